@@ -0,0 +1,60 @@
+/**
+ * One-off migration: replace negative placeholder voter IDs with per-option unattributed vote counters
+ * Polls used to store votes that couldn't be attributed to a user as synthetic negative IDs in voterIds.
+ * Safe to run more than once, polls without placeholder IDs are left untouched.
+ *
+ * Usage: npm run migrate:unattributed-votes
+ */
+
+require('dotenv').config();
+const Poll = require('../src/models/Poll');
+const { connectDB, disconnectDB } = require('../src/utils/db');
+const logger = require('../src/utils/logger');
+
+/**
+ * Convert the options of one poll
+ * @param {Object} poll - Lean poll document
+ * @returns {Array} Converted options
+ */
+const convertOptions = (poll) => {
+  return poll.options.map(option => {
+    const voterIds = option.voterIds || [];
+    const userIds = voterIds.filter(id => id > 0);
+    const unattributedVotes = (option.unattributedVotes || 0) + voterIds.filter(id => id < 0).length;
+
+    return {
+      ...option,
+      voterIds: userIds,
+      unattributedVotes,
+      existingVotes: Math.max(option.existingVotes || 0, userIds.length + unattributedVotes)
+    };
+  });
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  let converted = 0;
+  const cursor = Poll.find({ 'options.voterIds': { $lt: 0 } }).lean().cursor();
+
+  for await (const poll of cursor) {
+    try {
+      await Poll.collection.updateOne(
+        { _id: poll._id },
+        { $set: { options: convertOptions(poll) } }
+      );
+      converted++;
+    } catch (error) {
+      logger.error(`Could not convert poll ${poll._id}:`, error);
+    }
+  }
+
+  logger.info(`Converted placeholder voter IDs in ${converted} polls`);
+  await disconnectDB();
+};
+
+migrate().catch(async (error) => {
+  logger.error('Migration failed:', error);
+  await disconnectDB();
+  process.exitCode = 1;
+});
@@ -7,13 +7,14 @@ const { registerCommands } = require('./commands');
 const { setupMiddleware } = require('./middleware');
 const { setupScenes } = require('./scenes');
 const { setupPollingService } = require('./utils/pollingService');
+const { setupPollScheduler } = require('./utils/pollScheduler');
 
 // Initialize bot
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
 // Enable update types that aren't received by default
 bot.telegram.getUpdates({
-  allowed_updates: ['message', 'callback_query', 'poll', 'poll_answer', 'inline_query']
+  allowed_updates: ['message', 'callback_query', 'poll', 'poll_answer', 'inline_query', 'chosen_inline_result', 'my_chat_member']
 });
 
 // Set up session middleware
@@ -60,6 +61,11 @@ bot.use(session());
       }
     });
     
+    // Start scheduler for poll deadlines
+    // (before launch, since launch() only resolves once long polling stops)
+    setupPollScheduler(bot);
+    logger.info('Poll scheduler started');
+    
     // Start bot
     await bot.launch();
     logger.info('Bot started successfully');
@@ -142,6 +142,43 @@ const registerAdminCommands = (bot) => {
           } else {
             await ctx.reply('Poll info is too long to display');
           }
+          
+          // Show which polls this one was narrowed down from
+          const { getPollLineage, formatLineage } = require('../utils/pollLineage');
+          const { lineage, followUps } = await getPollLineage(poll);
+          
+          if (lineage.length > 1 || followUps.length > 0) {
+            const lines = [`Lineage: ${formatLineage(lineage)}`];
+            lineage.forEach(item => lines.push(`- ${item._id}: ${item.title}`));
+            if (followUps.length > 0) {
+              lines.push('', 'Follow-ups:');
+              followUps.forEach(item => lines.push(`- ${item._id}: ${formatLineage([item])}`));
+            }
+            await ctx.reply(lines.join('\n'));
+          }
+          
+          // Show the latest answers, changes and retractions
+          const VoteEvent = require('../models/VoteEvent');
+          const { createTranslator } = require('../utils/i18n');
+          const { formatVoteEvent } = require('../utils/voteHistory');
+          const t = createTranslator('en');
+          const { getChatTimeZone } = require('../utils/chatSettings');
+          const [events, counts, timeZone] = await Promise.all([
+            VoteEvent.getForPoll(poll._id),
+            VoteEvent.countByType(poll._id),
+            getChatTimeZone(poll.chatId)
+          ]);
+          
+          if (events.length > 0) {
+            let history = [
+              t('history.summary', counts),
+              ...events.map(event => formatVoteEvent(event, poll, t, 'en', timeZone))
+            ].join('\n');
+            if (history.length > 4000) {
+              history = history.substring(0, 4000) + '…';
+            }
+            await ctx.reply(history);
+          }
           break;
         }
         
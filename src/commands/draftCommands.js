@@ -0,0 +1,123 @@
+const { Markup } = require('telegraf');
+const PollDraft = require('../models/PollDraft');
+const { formatDateTime } = require('../utils/time');
+const { getChatTimeZone } = require('../utils/chatSettings');
+const logger = require('../utils/logger');
+
+/**
+ * Build the list of the user's drafts with continue and delete buttons
+ * @param {Function} t - Translator function
+ * @param {string} locale - Language code
+ * @param {string} [timeZone] - Time zone of the chat
+ * @param {Array} drafts - Drafts of the user in the chat
+ * @returns {Object} Message text and inline keyboard
+ */
+const buildDraftList = (t, locale, timeZone, drafts) => {
+  if (drafts.length === 0) {
+    return { text: t('drafts.empty'), keyboard: Markup.inlineKeyboard([]) };
+  }
+
+  const lines = [t('drafts.listHeader'), ''];
+  const buttons = [];
+
+  drafts.forEach((draft, index) => {
+    lines.push(t('drafts.listItem', {
+      number: index + 1,
+      title: draft.pollData.title || t('scenes.poll.notSet'),
+      count: (draft.pollData.options || []).length,
+      time: formatDateTime(draft.updatedAt, locale, timeZone)
+    }));
+
+    buttons.push([
+      Markup.button.callback(`▶️ ${index + 1}`, `draft_continue_${draft._id}`),
+      Markup.button.callback(`🗑️ ${index + 1}`, `draft_delete_${draft._id}`)
+    ]);
+  });
+
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(buttons) };
+};
+
+/**
+ * Register commands for unfinished poll drafts
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerDraftCommands = (bot) => {
+  // List the user's unfinished polls in this chat
+  bot.command('drafts', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const drafts = await PollDraft.getForUser(ctx.chat.id, ctx.from.id);
+      const { text, keyboard } = buildDraftList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), drafts);
+      await ctx.reply(text, keyboard);
+    } catch (error) {
+      logger.error('Error listing poll drafts:', error);
+      await ctx.reply(t('drafts.listError'));
+    }
+  });
+
+  // Continue a draft in the creation wizard
+  bot.action(/^draft_continue_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const draft = await PollDraft.findOne({
+        _id: ctx.match[1],
+        chatId: ctx.chat.id,
+        creatorId: ctx.from.id
+      });
+
+      if (!draft) {
+        return ctx.answerCbQuery(t('drafts.notFound'));
+      }
+
+      // The list is outdated once the draft is continued
+      try {
+        await ctx.deleteMessage();
+      } catch (error) {
+        logger.warn('Could not delete drafts list:', error);
+      }
+
+      return ctx.scene.enter('compact-create-poll', {
+        draft: { _id: draft._id, pollData: draft.pollData }
+      });
+    } catch (error) {
+      logger.error('Error continuing poll draft:', error);
+      await ctx.answerCbQuery(t('drafts.actionError')).catch(() => {});
+    }
+  });
+
+  // Delete a draft and its interface message
+  bot.action(/^draft_delete_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const draft = await PollDraft.findOneAndDelete({
+        _id: ctx.match[1],
+        chatId: ctx.chat.id,
+        creatorId: ctx.from.id
+      });
+
+      if (!draft) {
+        return ctx.answerCbQuery(t('drafts.notFound'));
+      }
+
+      await ctx.telegram.deleteMessage(draft.chatId, draft.messageId)
+        .catch(error => logger.debug(`Could not delete draft interface message: ${error.message}`));
+
+      await ctx.answerCbQuery(t('drafts.deleted'));
+
+      // Refresh the list
+      const drafts = await PollDraft.getForUser(ctx.chat.id, ctx.from.id);
+      const { text, keyboard } = buildDraftList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), drafts);
+      await ctx.editMessageText(text, keyboard);
+    } catch (error) {
+      logger.error('Error deleting poll draft:', error);
+      await ctx.answerCbQuery(t('drafts.actionError')).catch(() => {});
+    }
+  });
+};
+
+module.exports = {
+  registerDraftCommands
+};
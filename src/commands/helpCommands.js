@@ -69,9 +69,17 @@ const sendHelpMessage = async (ctx) => {
         `*${t('help.groupCommands.title')}*\n` +
         `🔸 ${t('help.groupCommands.newpoll')}\n\n` +
         `🔸 ${t('help.groupCommands.createpoll')}\n\n` +
+        `🔸 ${t('help.groupCommands.drafts')}\n\n` +
         
         `*${t('help.groupCommands.managingTitle')}*\n` +
-        `🔸 ${t('help.groupCommands.checkvoters')}\n`;
+        `🔸 ${t('help.groupCommands.checkvoters')}\n\n` +
+        `🔸 ${t('help.groupCommands.closepoll')}\n\n` +
+        `🔸 ${t('help.groupCommands.repost')}\n\n` +
+        `🔸 ${t('help.groupCommands.scheduled')}\n\n` +
+        `🔸 ${t('help.groupCommands.recurring')}\n\n` +
+        `🔸 ${t('help.groupCommands.templates')}\n\n` +
+        `🔸 ${t('help.groupCommands.roster')}\n\n` +
+        `🔸 ${t('help.groupCommands.settings')}\n`;
     } else {
       // Private chat help
       message += 
@@ -1,6 +1,14 @@
 const { registerPollCommands } = require('./pollCommands');
 const { registerHelpCommands } = require('./helpCommands');
 const { registerAdminCommands } = require('./adminCommands');
+const { registerScheduleCommands } = require('./scheduleCommands');
+const { registerRecurringCommands } = require('./recurringCommands');
+const { registerTemplateCommands } = require('./templateCommands');
+const { registerRepostCommands } = require('./repostCommands');
+const { registerDraftCommands } = require('./draftCommands');
+const { registerInlineCommands } = require('./inlineCommands');
+const { registerRosterCommands } = require('./rosterCommands');
+const { registerSettingsCommands } = require('./settingsCommands');
 const logger = require('../utils/logger');
 
 /**
@@ -14,12 +22,26 @@ const registerCommands = (bot) => {
   registerPollCommands(bot);
   registerHelpCommands(bot);
   registerAdminCommands(bot);
+  registerScheduleCommands(bot);
+  registerRecurringCommands(bot);
+  registerTemplateCommands(bot);
+  registerRepostCommands(bot);
+  registerDraftCommands(bot);
+  registerInlineCommands(bot);
+  registerRosterCommands(bot);
+  registerSettingsCommands(bot);
   
   // Set global command list for Telegram menu
   bot.telegram.setMyCommands([
     { command: 'help', description: 'Show help information' },
     { command: 'createpoll', description: 'Create a new poll (interactive wizard)' },
-    { command: 'checkvoters', description: 'Check who voted for a specific option' }
+    { command: 'checkvoters', description: 'Check who voted for a specific option' },
+    { command: 'scheduled', description: 'List and manage scheduled polls' },
+    { command: 'recurring', description: 'List and manage recurring polls' },
+    { command: 'templates', description: 'List and manage poll templates' },
+    { command: 'drafts', description: 'Continue unfinished polls' },
+    { command: 'roster', description: 'Manage named lists of members to mention' },
+    { command: 'settings', description: 'Set the time zone and quiet hours of the chat' }
   ]).catch(err => {
     logger.error('Failed to set bot commands', err);
   });
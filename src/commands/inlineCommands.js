@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const Poll = require('../models/Poll');
+const PollTemplate = require('../models/PollTemplate');
+const InlinePoll = require('../models/InlinePoll');
+const { parsePollText, MAX_OPTIONS } = require('../utils/pollText');
+const { publishPoll } = require('../utils/pollPublisher');
+const logger = require('../utils/logger');
+
+// Number of recent polls and templates offered in inline results
+const MAX_INLINE_POLLS = 10;
+const MAX_INLINE_TEMPLATES = 10;
+
+// The inline message can arrive before the chosen_inline_result update
+const CHOICE_LOOKUP_ATTEMPTS = 3;
+const CHOICE_LOOKUP_DELAY_MS = 1000;
+
+// Callback data of the button that carries the result ID in inline previews
+const PREVIEW_CALLBACK_PREFIX = 'inline_preview:';
+
+// Only recent choices are matched to inline messages
+const CHOICE_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the result ID of a poll written as inline query text
+ * Different texts get different IDs, so a preview is never matched to another text's choice.
+ * @param {string} query - Inline query text
+ * @returns {string} Result ID
+ */
+const getTextResultId = (query) => {
+  return `text:${crypto.createHash('sha1').update(query).digest('hex').substring(0, 16)}`;
+};
+
+/**
+ * Get the ID of the inline result a preview message was sent from
+ * @param {Object} message - Telegram message
+ * @returns {string|null} Result ID or null if the message is not a poll preview
+ */
+const getPreviewResultId = (message) => {
+  const buttons = (message.reply_markup?.inline_keyboard || []).flat();
+  const button = buttons.find(item => item.callback_data?.startsWith(PREVIEW_CALLBACK_PREFIX));
+  return button ? button.callback_data.substring(PREVIEW_CALLBACK_PREFIX.length) : null;
+};
+
+/**
+ * Build an inline result that sends a preview of a poll
+ * The preview carries the result ID in its button, so it can be matched to the chosen result.
+ * @param {string} id - Result ID
+ * @param {string} title - Result title
+ * @param {Object} definition - Poll definition
+ * @param {string} buttonText - Text of the preview button
+ * @returns {Object} InlineQueryResultArticle
+ */
+const buildPollResult = (id, title, definition, buttonText) => {
+  const optionTexts = definition.options.map(option => option.text);
+
+  return {
+    type: 'article',
+    id,
+    title,
+    description: optionTexts.join(' | '),
+    input_message_content: {
+      message_text: `📊 ${definition.title}\n` +
+        optionTexts.map((text, index) => `${index + 1}. ${text}`).join('\n')
+    },
+    reply_markup: {
+      inline_keyboard: [[{ text: buttonText, callback_data: `${PREVIEW_CALLBACK_PREFIX}${id}` }]]
+    }
+  };
+};
+
+/**
+ * Build a poll definition from a poll written as inline query text
+ * @param {string} query - Inline query text
+ * @returns {Object|null} Poll definition or null if the text is not a valid poll
+ */
+const definitionFromText = (query) => {
+  const parsed = parsePollText(query);
+  if (parsed.error) {
+    return null;
+  }
+
+  const { title, options, correctOptionId, isQuiz, isMultipleChoice, flags } = parsed;
+
+  if (!title || options.length < 2 || options.length > MAX_OPTIONS || options.some(option => !option)) {
+    return null;
+  }
+
+  // Telegram quizzes always have a single answer
+  if (isQuiz && isMultipleChoice) {
+    return null;
+  }
+
+  return {
+    title,
+    options: options.map(text => ({ text })),
+    isAnonymous: flags.anon,
+    isMultipleChoice,
+    type: isQuiz ? 'quiz' : 'regular',
+    correctOptionId,
+    closesAt: flags.close,
+    remindEvery: flags.remind
+  };
+};
+
+/**
+ * Build the definition of the poll to post for a chosen inline result
+ * @param {Object} inlinePoll - Inline poll document
+ * @returns {Promise<Object|null>} Poll definition or null if its source no longer exists
+ */
+const definitionFromChoice = async (inlinePoll) => {
+  if (inlinePoll.source === 'text') {
+    return definitionFromText(inlinePoll.query);
+  }
+
+  if (inlinePoll.source === 'poll') {
+    const poll = await Poll.findOne({ _id: inlinePoll.sourceId, creatorId: inlinePoll.userId });
+    return poll ? { ...poll.toPollDefinition(), repostedFromPollId: poll._id.toString() } : null;
+  }
+
+  const template = await PollTemplate.findOne({ _id: inlinePoll.sourceId, creatorId: inlinePoll.userId });
+  return template ? template.toPollDefinition() : null;
+};
+
+/**
+ * Claim the latest not yet posted choice of an inline result by a user
+ * @param {Number} userId - Telegram user ID
+ * @param {string} resultId - ID of the inline result the preview was sent from
+ * @param {Number} chatId - Chat the inline message was sent to
+ * @returns {Promise<Object|null>} Inline poll document
+ */
+const claimChosenInlinePoll = async (userId, resultId, chatId) => {
+  return InlinePoll.findOneAndUpdate(
+    {
+      userId,
+      resultId,
+      status: 'chosen',
+      createdAt: { $gte: new Date(Date.now() - CHOICE_MAX_AGE_MS) }
+    },
+    { status: 'posted', chatId },
+    { sort: { createdAt: -1 }, new: true }
+  );
+};
+
+/**
+ * Get the inline poll to post for a preview message
+ * Polls and templates are found from the result ID alone, so they are posted even when Telegram
+ * doesn't report the chosen result. Text polls need the chosen result for their text.
+ * @param {import('telegraf').Context} ctx - Telegraf context of the preview message
+ * @param {string} resultId - ID of the inline result the preview was sent from
+ * @returns {Promise<Object|null>} Inline poll document or null if the choice is not known yet
+ */
+const getInlinePollForPreview = async (ctx, resultId) => {
+  const inlinePoll = await claimChosenInlinePoll(ctx.from.id, resultId, ctx.chat.id);
+  if (inlinePoll) {
+    return inlinePoll;
+  }
+
+  const [source, sourceId] = resultId.split(':');
+  if (source !== 'poll' && source !== 'tpl') {
+    return null;
+  }
+
+  return InlinePoll.create({
+    userId: ctx.from.id,
+    resultId,
+    source: source === 'tpl' ? 'template' : source,
+    sourceId,
+    locale: ctx.i18n.locale,
+    status: 'posted',
+    chatId: ctx.chat.id
+  });
+};
+
+/**
+ * Replace an inline poll preview with the real poll
+ * A text poll whose chosen result has not arrived yet is tried again a little later,
+ * without holding up other updates.
+ * @param {import('telegraf').Context} ctx - Telegraf context of the preview message
+ * @param {string} resultId - ID of the inline result the preview was sent from
+ * @param {Number} [attempt] - Number of the attempt, starting from 1
+ * @returns {Promise<void>}
+ */
+const postInlinePreview = async (ctx, resultId, attempt = 1) => {
+  try {
+    const inlinePoll = await getInlinePollForPreview(ctx, resultId);
+    if (!inlinePoll) {
+      if (attempt < CHOICE_LOOKUP_ATTEMPTS) {
+        setTimeout(() => postInlinePreview(ctx, resultId, attempt + 1), CHOICE_LOOKUP_DELAY_MS);
+      } else {
+        logger.debug(`No chosen inline result ${resultId} found for message ${ctx.message.message_id}`);
+      }
+      return;
+    }
+
+    const definition = await definitionFromChoice(inlinePoll);
+    if (!definition) {
+      logger.warn(`Source of inline poll ${inlinePoll._id} no longer exists`);
+      return;
+    }
+
+    // Post into the forum topic the preview was sent to
+    const extra = {};
+    if (ctx.message.is_topic_message) {
+      extra.message_thread_id = ctx.message.message_thread_id;
+    }
+
+    const { poll } = await publishPoll(ctx.telegram, {
+      ...definition,
+      chatId: ctx.chat.id,
+      creatorId: ctx.from.id,
+      locale: inlinePoll.locale
+    }, extra);
+
+    inlinePoll.pollId = poll._id;
+    await inlinePoll.save();
+
+    logger.info(`Inline poll ${poll._id} posted in chat ${ctx.chat.id} by user ${ctx.from.id}`);
+
+    // The preview is replaced by the poll
+    try {
+      await ctx.deleteMessage();
+    } catch (error) {
+      logger.debug(`Could not delete inline poll preview: ${error.message}`);
+    }
+  } catch (error) {
+    logger.error('Error posting inline poll:', error);
+  }
+};
+
+/**
+ * Register inline mode handlers
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerInlineCommands = (bot) => {
+  // Offer recent polls, templates and polls written as "Title | A | B"
+  bot.on('inline_query', async (ctx) => {
+    const { t } = ctx.i18n;
+    const query = ctx.inlineQuery.query.trim();
+    const results = [];
+
+    try {
+      if (query.includes('|')) {
+        const definition = definitionFromText(query);
+        if (definition) {
+          results.push(buildPollResult(
+            getTextResultId(query),
+            t('inline.newPoll', { title: definition.title }),
+            definition,
+            t('inline.previewButton')
+          ));
+        }
+      } else {
+        const titleFilter = query ? { $regex: escapeRegExp(query), $options: 'i' } : { $exists: true };
+
+        const polls = await Poll.find({ creatorId: ctx.from.id, title: titleFilter })
+          .sort({ createdAt: -1 })
+          .limit(MAX_INLINE_POLLS);
+        polls.forEach(poll => {
+          results.push(buildPollResult(`poll:${poll._id}`, `📊 ${poll.title}`, poll, t('inline.previewButton')));
+        });
+
+        const templates = await PollTemplate.find({
+          creatorId: ctx.from.id,
+          $or: [{ name: titleFilter }, { title: titleFilter }]
+        })
+          .sort({ updatedAt: -1 })
+          .limit(MAX_INLINE_TEMPLATES);
+        templates.forEach(template => {
+          results.push(buildPollResult(`tpl:${template._id}`, `📋 ${template.name}`, template, t('inline.previewButton')));
+        });
+      }
+
+      await ctx.answerInlineQuery(results, {
+        cache_time: 0,
+        is_personal: true,
+        // Point users to the syntax when there is nothing to show
+        ...(results.length === 0 && {
+          button: { text: t('inline.helpButton'), start_parameter: 'inline' }
+        })
+      });
+    } catch (error) {
+      logger.error('Error answering inline query:', error);
+    }
+  });
+
+  // Remember which result was chosen, the poll is posted once its message shows up in a group
+  bot.on('chosen_inline_result', async (ctx) => {
+    const { result_id: resultId, query, from } = ctx.chosenInlineResult;
+    const [source, sourceId] = resultId.split(':');
+
+    try {
+      await InlinePoll.create({
+        userId: from.id,
+        resultId,
+        source: source === 'tpl' ? 'template' : source,
+        // Text results carry a hash of the query, not a document ID
+        sourceId: source === 'text' ? null : sourceId || null,
+        query,
+        locale: ctx.i18n.locale
+      });
+
+      logger.debug(`Inline result ${resultId} chosen by user ${from.id}`);
+    } catch (error) {
+      logger.error('Error saving chosen inline result:', error);
+    }
+  });
+
+  // Replace inline poll previews sent to groups with real polls
+  bot.on('message', async (ctx, next) => {
+    const viaBot = ctx.message.via_bot;
+    if (!viaBot || viaBot.id !== ctx.botInfo?.id || !ctx.isAnyGroup) {
+      return next();
+    }
+
+    const resultId = getPreviewResultId(ctx.message);
+    if (!resultId) {
+      logger.debug(`Inline message ${ctx.message.message_id} is not a poll preview`);
+      return;
+    }
+
+    await postInlinePreview(ctx, resultId);
+  });
+
+  // Previews stay in chats the bot is not a member of, explain why nothing happens
+  bot.action(new RegExp(`^${PREVIEW_CALLBACK_PREFIX}`), async (ctx) => {
+    await ctx.answerCbQuery(ctx.i18n.t('inline.previewHint'), { show_alert: true }).catch(() => {});
+  });
+};
+
+module.exports = {
+  registerInlineCommands
+};
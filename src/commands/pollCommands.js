@@ -1,45 +1,22 @@
 const { Markup } = require('telegraf');
 const Poll = require('../models/Poll');
+const Roster = require('../models/Roster');
+const VoteEvent = require('../models/VoteEvent');
 const logger = require('../utils/logger');
+const { closePoll } = require('../utils/pollCloser');
+const { parsePollText, MAX_OPTIONS } = require('../utils/pollText');
+const { resolveMentions } = require('../utils/userDirectory');
+const { getChatTimeZone } = require('../utils/chatSettings');
+const { checkDecisionRule } = require('../utils/pollDecisions');
+const { getWaitlistChanges, notifyWaitlistChanges } = require('../utils/pollWaitlist');
+const {
+  extractMentions,
+  findMentionIndex,
+  formatMention,
+  formatUnresolvedMentions
+} = require('../utils/mentions');
 const { v4: uuidv4 } = require('uuid');
 
-/**
- * Extract mentions from message entities
- * @param {Array} entities - Message entities from Telegram
- * @param {string} text - Full message text
- * @param {number} fromId - User ID of message sender
- * @returns {Array} Array of user mentions
- */
-const extractMentions = (entities, text, fromId) => {
-  if (!entities) return [];
-  
-  const mentions = [];
-  entities.forEach(entity => {
-    if (entity.type === 'mention') {
-      // Extract username from @mention
-      const username = text.substring(entity.offset + 1, entity.offset + entity.length);
-      mentions.push({
-        username,
-        userId: null, // Will be resolved later if possible
-        firstName: null,
-        lastName: null,
-        voted: false
-      });
-    } else if (entity.type === 'text_mention' && entity.user) {
-      // Text mentions already have user objects
-      mentions.push({
-        username: entity.user.username || null,
-        userId: entity.user.id,
-        firstName: entity.user.first_name || null,
-        lastName: entity.user.last_name || null,
-        voted: entity.user.id === fromId // Creator is automatically marked as voted
-      });
-    }
-  });
-  
-  return mentions;
-};
-
 /**
  * Register poll-related commands
  * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
@@ -61,18 +38,61 @@ const registerPollCommands = (bot) => {
         `${t('poll.provide')}\n` +
         `${t('poll.syntax')}\n\n` +
         `${t('poll.mentionExample')}\n` +
-        `${t('poll.mentionSample')}`
+        `${t('poll.mentionSample')}\n\n` +
+        `${t('poll.quizExample')}\n` +
+        `${t('poll.quizSample')}\n\n` +
+        t('poll.flags.usage')
+      );
+    }
+    
+    const parsed = parsePollText(commandArgs, new Date(), await getChatTimeZone(ctx.chat.id));
+    
+    // Point the user to the exact token that could not be parsed
+    if (parsed.error) {
+      return ctx.reply(
+        `${t('poll.flagError', { token: parsed.error.token, reason: t(parsed.error.key) })}\n\n` +
+        t('poll.flags.usage')
       );
     }
     
-    const parts = commandArgs.split('|').map(part => part.trim());
-    const title = parts[0];
-    const options = parts.slice(1);
+    const { title, options, correctOptionId, isQuiz, isMultipleChoice, flags } = parsed;
     
     if (options.length < 2) {
       return ctx.reply(t('poll.minOptions'));
     }
     
+    if (options.length > MAX_OPTIONS) {
+      return ctx.reply(t('poll.maxOptions', { max: MAX_OPTIONS, count: options.length }));
+    }
+    
+    // Telegram quizzes always have a single answer
+    if (isQuiz && isMultipleChoice) {
+      return ctx.reply(t('poll.quizNoMultiple'));
+    }
+    
+    // Votes in anonymous polls are not reported to the bot, so there is nobody to remind
+    if (flags.anon && flags.remind) {
+      return ctx.reply(
+        `${t('poll.flagError', { token: '--remind', reason: t('poll.flags.anonRemind') })}\n\n` +
+        t('poll.flags.usage')
+      );
+    }
+    
+    // --topic posts into the current forum topic, --topic=ID into the given one
+    let messageThreadId;
+    if (flags.topic === true) {
+      if (!ctx.message.is_topic_message) {
+        return ctx.reply(
+          `${t('poll.flagError', { token: '--topic', reason: t('poll.flags.notInTopic') })}\n\n` +
+          t('poll.flags.usage')
+        );
+      }
+      messageThreadId = ctx.message.message_thread_id;
+    } else if (flags.topic) {
+      messageThreadId = flags.topic;
+    }
+    const threadExtra = messageThreadId ? { message_thread_id: messageThreadId } : {};
+    
     try {
       // Extract mentions from poll title
       const mentions = extractMentions(
@@ -86,8 +106,13 @@ const registerPollCommands = (bot) => {
         title,
         options,
         {
-          is_anonymous: false,
-          allows_multiple_answers: false,
+          ...threadExtra,
+          is_anonymous: flags.anon,
+          allows_multiple_answers: isMultipleChoice,
+          ...(isQuiz && {
+            type: 'quiz',
+            correct_option_id: correctOptionId
+          })
         }
       );
       
@@ -99,11 +124,21 @@ const registerPollCommands = (bot) => {
         creatorId: ctx.from.id,
         title: title,
         options: options.map(text => ({ text, voterIds: [] })),
-        mentions: mentions,
-        isAnonymous: false,
-        isMultipleChoice: false
+        // Users the bot has seen can be matched by ID before they vote
+        mentions: await resolveMentions(mentions, ctx.telegram, ctx.chat.id),
+        isAnonymous: flags.anon,
+        isMultipleChoice,
+        type: isQuiz ? 'quiz' : 'regular',
+        correctOptionId,
+        closesAt: flags.close,
+        remindEvery: flags.remind,
+        messageThreadId: messageThreadId || null,
+        locale: ctx.i18n.locale
       });
       
+      // Schedule the first reminder, the scheduler takes it from there
+      poll.nextReminderAt = poll.getNextReminderAt(new Date());
+      
       await poll.save();
       
       logger.info(`New poll created in chat ${ctx.chat.id} by user ${ctx.from.id}`, {
@@ -114,17 +149,19 @@ const registerPollCommands = (bot) => {
       
       // If there are mentions, send follow-up message
       if (mentions.length > 0) {
-        const mentionList = mentions.map(m => 
-          m.username ? `@${m.username}` : `[User](tg://user?id=${m.userId})`
-        ).join(', ');
+        const mentionList = mentions.map(formatMention).join(', ');
           
         const userWord = mentions.length === 1 ? t('poll.user') : t('poll.users');
+        
+        // Warn about typos and users who can't vote in this chat right away
+        const unresolvedList = formatUnresolvedMentions(mentions, t);
           
         await ctx.reply(
           `${t('poll.createdWith', { count: mentions.length, users: userWord })}: ${mentionList}\n` +
+          (unresolvedList ? `${unresolvedList}\n` : '') +
           `${t('poll.checkVoters', { messageId: pollMessage.message_id })}\n` +
           `${t('poll.checkVotersExample', { messageId: pollMessage.message_id })}`,
-          { parse_mode: 'Markdown' }
+          { ...threadExtra, parse_mode: 'Markdown' }
         );
       } else {
         // Even if there are no mentions, add a note about checking voters
@@ -132,7 +169,7 @@ const registerPollCommands = (bot) => {
           `${t('poll.pollCreated')}\n` +
           `${t('poll.checkVoters', { messageId: pollMessage.message_id })}\n` +
           `${t('poll.checkVotersExample', { messageId: pollMessage.message_id })}`,
-          { parse_mode: 'Markdown' }
+          { ...threadExtra, parse_mode: 'Markdown' }
         );
       }
     } catch (error) {
@@ -206,55 +243,10 @@ const registerPollCommands = (bot) => {
       const oldVoterCount = dbPoll.total_voter_count || 0;
       dbPoll.total_voter_count = poll.total_voter_count;
       
-      // If this is a tracked poll, try to update the vote counts for each option
-      if (dbPoll.isTracked && poll.options && Array.isArray(poll.options)) {
-        // Go through each option and update vote counts
-        for (let i = 0; i < poll.options.length && i < dbPoll.options.length; i++) {
-          const pollOption = poll.options[i];
-          const dbOption = dbPoll.options[i];
-          
-          if (pollOption && typeof pollOption.voter_count === 'number') {
-            const newVoterCount = pollOption.voter_count;
-            const oldVoterCount = dbOption.existingVotes || 0;
-            
-            // Only update if we have more votes than before
-            if (newVoterCount > oldVoterCount) {
-              // Calculate how many new votes we have
-              const newVotes = newVoterCount - oldVoterCount;
-              
-              logger.debug(`Option "${dbOption.text}" has ${newVotes} new votes`, {
-                optionIndex: i,
-                oldCount: oldVoterCount,
-                newCount: newVoterCount,
-                pollId: poll.id
-              });
-              
-              // Create placeholder IDs for the new votes
-              if (newVotes > 0) {
-                // Safely find the lowest existing placeholder ID or use a default
-                const negativeIds = dbOption.voterIds.filter(id => id < 0);
-                const baseId = -1000000 * (i + 1);
-                const lastPlaceholderId = negativeIds.length > 0 
-                  ? Math.min(...negativeIds) - 1 
-                  : baseId - 1;
-                const newVoterIds = Array.from(
-                  { length: newVotes }, 
-                  (_, idx) => lastPlaceholderId - idx
-                );
-                
-                // Add new placeholder IDs
-                dbOption.voterIds = [...dbOption.voterIds, ...newVoterIds];
-                dbOption.existingVotes = newVoterCount;
-                
-                logger.debug(`Added ${newVotes} placeholder IDs for new votes`, {
-                  optionIndex: i,
-                  text: dbOption.text,
-                  placeholderIdsStart: lastPlaceholderId
-                });
-              }
-            }
-          }
-        }
+      // Votes Telegram counted that we didn't get a poll_answer for are kept as unattributed votes
+      if (Array.isArray(poll.options)) {
+        const optionsUpdated = dbPoll.reconcileVoteCounts(poll.options);
+        logger.debug(`Reconciled ${optionsUpdated} options of poll ${dbPoll._id} with Telegram counts`);
       }
       
       // Save the updated poll
@@ -264,6 +256,9 @@ const registerPollCommands = (bot) => {
         oldTotalVoterCount: oldVoterCount,
         newTotalVoterCount: dbPoll.total_voter_count
       });
+      
+      // Anonymous votes count towards vote thresholds as well
+      await checkDecisionRule(ctx.telegram, dbPoll);
     } catch (error) {
       logger.error(`Error handling poll update for poll_id ${poll?.id || 'unknown'}:`, error);
     }
@@ -380,144 +375,77 @@ const registerPollCommands = (bot) => {
         chatId: poll.chatId
       });
       
+      // A single choice poll can only hold one answer, an empty selection means the vote was retracted
+      const selectedOptions = poll.isMultipleChoice ? option_ids || [] : (option_ids || []).slice(0, 1);
+      
       // Record vote
-      if (option_ids && option_ids.length > 0) {
-        for (const optionIndex of option_ids) {
-          if (optionIndex >= 0 && optionIndex < poll.options.length) {
-            // If not multiple choice, remove previous votes
-            if (!poll.isMultipleChoice) {
-              poll.options.forEach(option => {
-                // Ensure voterIds exists
-                if (!option.voterIds) {
-                  option.voterIds = [];
-                }
-                // Only remove this user's votes (positive IDs), keep placeholders for existing votes (negative IDs)
-                option.voterIds = option.voterIds.filter(id => {
-                  // Remove the user's ID
-                  if (id === user.id) return false;
-                  // Keep all negative IDs (placeholders)
-                  if (id < 0) return true;
-                  // Keep all other IDs
-                  return true;
-                });
-              });
-            }
-            
-            // Ensure option has voterIds array
-            if (!poll.options[optionIndex].voterIds) {
-              poll.options[optionIndex].voterIds = [];
-            }
-            
-            // Add vote if not already voted for this option
-            if (!poll.options[optionIndex].voterIds.includes(user.id)) {
-              poll.options[optionIndex].voterIds.push(user.id);
-              
-              // Update total vote count for the option if necessary
-              const realVoterCount = poll.options[optionIndex].voterIds.filter(id => id > 0).length;
-              if (poll.options[optionIndex].existingVotes < realVoterCount) {
-                poll.options[optionIndex].existingVotes = realVoterCount;
-              }
-              
-              logger.debug(`Added vote from user ${user.id} for option ${optionIndex}`, {
-                pollId: poll._id.toString(),
-                optionText: poll.options[optionIndex].text,
-                totalVoters: poll.options[optionIndex].voterIds.length,
-                realVoters: realVoterCount
-              });
-            }
-          }
-        }
-      } else {
-        // User retracted their vote, remove from all options
-        let voteRemoved = false;
-        
-        poll.options.forEach(option => {
-          // Ensure voterIds exists
-          if (!option.voterIds) {
-            option.voterIds = [];
-          } else {
-            // Check if the user had voted for this option
-            const hadVote = option.voterIds.includes(user.id);
-            
-            // Only remove this user's vote (positive IDs), keep placeholders for existing votes (negative IDs)
-            option.voterIds = option.voterIds.filter(id => {
-              // Remove the user's ID
-              if (id === user.id) return false;
-              // Keep all negative IDs (placeholders)
-              if (id < 0) return true;
-              // Keep all other IDs
-              return true;
-            });
-            
-            if (hadVote) {
-              voteRemoved = true;
-              
-              // Adjust the existingVotes count if necessary
-              const realVoterCount = option.voterIds.filter(id => id > 0).length;
-              if (option.existingVotes > realVoterCount) {
-                option.existingVotes = realVoterCount;
-              }
-            }
-          }
-        });
-        
-        logger.debug(`User ${user.id} retracted vote from poll ${poll._id}`, {
-          voteRemoved: voteRemoved,
-          userId: user.id
-        });
+      // poll_answer always carries the user's full current selection, so for both
+      // single and multiple choice polls drop the options the user left and add the new ones.
+      // Seats go by the order of the votes, so the voters are updated atomically, not with save().
+      const vote = await Poll.applyVote(poll._id, user.id, selectedOptions, poll.options.length);
+      if (!vote) {
+        logger.debug(`Poll ${poll._id} was closed before the vote was recorded`);
+        return;
       }
+      poll = vote.poll;
+      
+      // Remember the previous selection for the vote history
+      const previousOptionIds = vote.previous.getUserOptionIds(user.id);
+      
+      // Remember who was waitlisted, to tell voters who got a seat or lost out
+      const previousWaitlists = vote.previous.getWaitlists();
+      
+      // Telegram's count of the options the user left went down by one
+      previousOptionIds
+        .filter(optionIndex => !selectedOptions.includes(optionIndex))
+        .forEach(optionIndex => {
+          const option = poll.options[optionIndex];
+          option.existingVotes = Math.max(0, (option.existingVotes || 0) - 1);
+        });
+      
+      poll.reconcileVoteCounts();
+      
+      logger.debug(`User ${user.id} answered poll ${poll._id}`, {
+        previousOptions: previousOptionIds,
+        selectedOptions
+      });
       
       // Update mention status if user is mentioned and mentions array exists
       if (poll.mentions && Array.isArray(poll.mentions)) {
-        const mentionIndex = poll.mentions.findIndex(mention => 
-          mention.userId === user.id || 
-          (mention.username && mention.username === user.username)
-        );
+        const mentionIndex = findMentionIndex(poll.mentions, user);
         
         if (mentionIndex !== -1) {
-          // Update user info if we only had username before
-          if (!poll.mentions[mentionIndex].userId) {
-            poll.mentions[mentionIndex].userId = user.id;
-            poll.mentions[mentionIndex].firstName = user.first_name;
-            poll.mentions[mentionIndex].lastName = user.last_name;
+          const mention = poll.mentions[mentionIndex];
+          
+          // Update user info if we only had username before (the user directory may have done it already)
+          if (!(mention.userId > 0)) {
+            mention.userId = user.id;
+            mention.firstName = user.first_name;
+            mention.lastName = user.last_name;
+          }
+          mention.unresolvedReason = null;
+          
+          // Roster members added by username get their ID as well
+          if (poll.rosterId) {
+            await Roster.resolveMember(poll.chatId, user);
           }
           
-          poll.mentions[mentionIndex].voted = option_ids.length > 0;
+          mention.voted = option_ids.length > 0;
         }
       }
       
+      // Stop reminding once everyone has voted, and start again if someone takes their vote back
+      if (poll.remindEvery) {
+        poll.nextReminderAt = poll.allMentionsVoted()
+          ? null
+          : poll.nextReminderAt || poll.getNextReminderAt(new Date());
+      }
+      
       // Update the poll's updatedAt timestamp
       poll.updatedAt = new Date();
       
-      // Recalculate total_voter_count based on unique voters
-      const uniqueVoters = new Set();
-      
-      // Count real voters (positive IDs)
-      poll.options.forEach(option => {
-        option.voterIds.forEach(id => {
-          if (id > 0) {
-            uniqueVoters.add(id);
-          }
-        });
-      });
-      
-      // Count placeholder votes (negative IDs) - each represents one vote
-      const placeholderVotes = poll.options.reduce(
-        (sum, option) => sum + option.voterIds.filter(id => id < 0).length, 
-        0
-      );
-      
-      // Update total_voter_count
-      const newTotalVoterCount = uniqueVoters.size + placeholderVotes;
-      
-      if (poll.total_voter_count !== newTotalVoterCount) {
-        logger.debug(`Updating total_voter_count from ${poll.total_voter_count} to ${newTotalVoterCount}`, {
-          pollId: poll._id.toString(),
-          uniqueRealVoters: uniqueVoters.size,
-          placeholderVotes: placeholderVotes
-        });
-        poll.total_voter_count = newTotalVoterCount;
-      }
+      // Users who chose several options in a multiple choice poll are counted once
+      poll.total_voter_count = poll.countTotalVoters();
       
       // Save the poll
       await poll.save();
@@ -528,6 +456,23 @@ const registerPollCommands = (bot) => {
         isTracked: poll.isTracked,
         totalVoterCount: poll.total_voter_count
       });
+      
+      // Keep every answer, change and retraction, the poll itself only holds the current selection
+      try {
+        await VoteEvent.record(poll, user, poll.getUserOptionIds(user.id), previousOptionIds);
+      } catch (historyError) {
+        logger.error(`Error recording vote history for poll ${poll._id}:`, historyError);
+      }
+      
+      // Tell voters who were waitlisted, or got a seat because someone took their vote back
+      try {
+        await notifyWaitlistChanges(ctx.telegram, poll, getWaitlistChanges(poll, previousWaitlists));
+      } catch (waitlistError) {
+        logger.error(`Error notifying waitlist of poll ${poll._id}:`, waitlistError);
+      }
+      
+      // Announce the outcome once the poll's quorum or threshold is reached
+      await checkDecisionRule(ctx.telegram, poll);
     } catch (error) {
       logger.error(`Error handling poll answer for poll_id ${poll_id || 'unknown'}:`, error);
     }
@@ -589,72 +534,10 @@ const registerPollCommands = (bot) => {
       const oldVoterCount = poll.total_voter_count || 0;
       poll.total_voter_count = telegramPoll.total_voter_count || 0;
       
-      // Track changes to vote counts
-      let optionsUpdated = 0;
-      
       // Update vote counts for each option
-      if (telegramPoll.options && Array.isArray(telegramPoll.options)) {
-        for (let i = 0; i < telegramPoll.options.length && i < poll.options.length; i++) {
-          const telegramOption = telegramPoll.options[i];
-          const pollOption = poll.options[i];
-          
-          if (telegramOption && typeof telegramOption.voter_count === 'number') {
-            const newVoterCount = telegramOption.voter_count;
-            const oldVoterCount = pollOption.existingVotes || 0;
-            
-            // Update the vote count if it changed
-            if (newVoterCount !== oldVoterCount) {
-              // Calculate how many new votes we have
-              const voteDiff = newVoterCount - oldVoterCount;
-              
-              if (voteDiff > 0) {
-                // Create placeholder IDs for the new votes
-                // Safely find the lowest existing placeholder ID or use a default
-                const negativeIds = pollOption.voterIds.filter(id => id < 0);
-                const baseId = -1000000 * (i + 1);
-                const lastPlaceholderId = negativeIds.length > 0 
-                  ? Math.min(...negativeIds) - 1 
-                  : baseId - 1;
-                const newVoterIds = Array.from(
-                  { length: voteDiff }, 
-                  (_, idx) => lastPlaceholderId - idx
-                );
-                
-                // Add new placeholder IDs
-                pollOption.voterIds = [...pollOption.voterIds, ...newVoterIds];
-                
-                logger.debug(`Added ${voteDiff} placeholder votes to option "${pollOption.text}"`, {
-                  pollId: poll._id,
-                  optionIndex: i,
-                  newTotal: newVoterCount
-                });
-              } else if (voteDiff < 0) {
-                // Remove placeholder IDs (negative IDs only)
-                // Sort by ascending to remove the newest placeholders first (highest negative numbers)
-                const placeholderIds = pollOption.voterIds
-                  .filter(id => id < 0)
-                  .sort((a, b) => a - b);
-                
-                // Remove |voteDiff| placeholder IDs
-                const idsToRemove = placeholderIds.slice(0, Math.abs(voteDiff));
-                
-                // Keep only IDs not in the idsToRemove list
-                pollOption.voterIds = pollOption.voterIds.filter(id => !idsToRemove.includes(id));
-                
-                logger.debug(`Removed ${Math.abs(voteDiff)} placeholder votes from option "${pollOption.text}"`, {
-                  pollId: poll._id,
-                  optionIndex: i,
-                  newTotal: newVoterCount
-                });
-              }
-              
-              // Update the stored vote count
-              pollOption.existingVotes = newVoterCount;
-              optionsUpdated++;
-            }
-          }
-        }
-      }
+      const optionsUpdated = Array.isArray(telegramPoll.options)
+        ? poll.reconcileVoteCounts(telegramPoll.options)
+        : 0;
       
       // Save the updated poll
       poll.updatedAt = new Date();
@@ -689,8 +572,70 @@ const registerPollCommands = (bot) => {
     }
   });
   
+  // Close a poll and post its final results
+  bot.command('closepoll', async (ctx) => {
+    const { t } = ctx.i18n;
+    
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('close.groupOnly'));
+    }
+    
+    // The poll is given either as a reply or as a message ID argument
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    let messageId = null;
+    
+    if (ctx.message.reply_to_message) {
+      messageId = ctx.message.reply_to_message.message_id;
+    } else if (args.length > 0 && /^\d+$/.test(args[0])) {
+      messageId = parseInt(args[0], 10);
+    }
+    
+    if (!messageId) {
+      return ctx.reply(t('close.usage'));
+    }
+    
+    try {
+      const poll = await Poll.findOne({
+        chatId: ctx.chat.id,
+        messageId
+      });
+      
+      if (!poll) {
+        return ctx.reply(t('close.notFound', { messageId }));
+      }
+      
+      if (poll.isClosed) {
+        return ctx.reply(t('close.alreadyClosed', { title: poll.title }));
+      }
+      
+      // Only the creator or a chat admin may close the poll
+      const isCreator = poll.creatorId === ctx.from.id;
+      if (!isCreator && !(await ctx.isAdmin())) {
+        return ctx.reply(t('close.permissionDenied'));
+      }
+      
+      // Someone else may have closed it in the meantime
+      const closed = await closePoll(ctx.telegram, poll, { closedBy: ctx.from.id });
+      if (!closed) {
+        return ctx.reply(t('close.alreadyClosed', { title: poll.title }));
+      }
+      
+      // Try to delete command message
+      try {
+        await ctx.deleteMessage(ctx.message.message_id);
+      } catch (error) {
+        logger.warn('Could not delete closepoll command message:', error);
+      }
+      
+      logger.info(`Poll ${poll._id} closed by user ${ctx.from.id} in chat ${ctx.chat.id}`);
+    } catch (error) {
+      logger.error('Error closing poll:', error);
+      await ctx.reply(t('close.closeError'));
+    }
+  });
+  
   // Track poll command removed - functionality was not working correctly
-  // Команда closepoll удалена
 };
 
 module.exports = {
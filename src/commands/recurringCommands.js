@@ -0,0 +1,264 @@
+const { Markup } = require('telegraf');
+const RecurringPoll = require('../models/RecurringPoll');
+const Poll = require('../models/Poll');
+const { formatDateTime } = require('../utils/time');
+const { getNextRun, describeRule } = require('../utils/recurrence');
+const { getChatTimeZone } = require('../utils/chatSettings');
+const logger = require('../utils/logger');
+
+// Number of past runs shown in the history view
+const HISTORY_RUNS = 5;
+
+/**
+ * Build the list of recurring polls with management buttons
+ * @param {Function} t - Translator function
+ * @param {string} locale - Language code
+ * @param {string} [timeZone] - Time zone of the chat
+ * @param {Array} recurringPolls - Recurring polls of the chat
+ * @returns {Object} Message text and inline keyboard
+ */
+const buildRecurringList = (t, locale, timeZone, recurringPolls) => {
+  if (recurringPolls.length === 0) {
+    return { text: t('recurring.empty'), keyboard: Markup.inlineKeyboard([]) };
+  }
+
+  const lines = [t('recurring.listHeader'), ''];
+  const buttons = [];
+
+  recurringPolls.forEach((recurringPoll, index) => {
+    const number = index + 1;
+    const id = recurringPoll._id;
+
+    lines.push(t('recurring.listItem', {
+      number,
+      title: recurringPoll.title,
+      rule: describeRule(recurringPoll.rule, t)
+    }));
+    lines.push(recurringPoll.isPaused || !recurringPoll.nextRunAt
+      ? `   ${t('recurring.paused')}`
+      : `   ${t('recurring.nextRun', { time: formatDateTime(recurringPoll.nextRunAt, locale, timeZone) })}`);
+
+    buttons.push([
+      recurringPoll.isPaused
+        ? Markup.button.callback(`▶️ ${number}`, `rec_resume_${id}`)
+        : Markup.button.callback(`⏸ ${number}`, `rec_pause_${id}`),
+      Markup.button.callback(`📊 ${number}`, `rec_history_${id}`),
+      Markup.button.callback(`🗑️ ${number}`, `rec_delete_${id}`)
+    ]);
+  });
+
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(buttons) };
+};
+
+/**
+ * Build the history of the polls posted from a recurring poll, one line per run
+ * @param {Function} t - Translator function
+ * @param {string} locale - Language code
+ * @param {string} [timeZone] - Time zone of the chat
+ * @param {Object} recurringPoll - Recurring poll
+ * @param {Array} polls - Posted polls, newest first
+ * @returns {string} History message
+ */
+const buildHistoryText = (t, locale, timeZone, recurringPoll, polls) => {
+  const lines = [t('recurring.historyHeader', { title: recurringPoll.title }), ''];
+
+  if (polls.length === 0) {
+    lines.push(t('recurring.noRuns'));
+    return lines.join('\n');
+  }
+
+  polls.forEach(poll => {
+    const counts = poll.getOptionCounts();
+    const results = poll.options
+      .map((option, index) => `${option.text}: ${counts[index]}`)
+      .join(' · ');
+    const status = poll.isClosed ? '🔒' : '🟢';
+
+    lines.push(`${status} ${formatDateTime(poll.createdAt, locale, timeZone)}`);
+    lines.push(`   ${results}`);
+  });
+
+  // Change between the two latest runs
+  if (polls.length > 1) {
+    const latest = polls[0].getOptionCounts();
+    const previous = polls[1].getOptionCounts();
+    const changes = polls[0].options
+      .map((option, index) => {
+        const diff = latest[index] - (previous[index] || 0);
+        return `${option.text}: ${diff > 0 ? '+' : ''}${diff}`;
+      })
+      .join(' · ');
+
+    lines.push('');
+    lines.push(t('recurring.changeSincePrevious', { changes }));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Find a recurring poll of the current chat that the user may manage
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {string} recurringPollId - Recurring poll ID from the callback data
+ * @returns {Promise<Object|null>} Recurring poll or null if the user was already answered
+ */
+const findManageableRecurringPoll = async (ctx, recurringPollId) => {
+  const { t } = ctx.i18n;
+
+  const recurringPoll = await RecurringPoll.findOne({
+    _id: recurringPollId,
+    chatId: ctx.chat.id
+  });
+
+  if (!recurringPoll) {
+    await ctx.answerCbQuery(t('recurring.notFound'));
+    return null;
+  }
+
+  // Only the creator or a chat admin may change a recurring poll
+  const isCreator = recurringPoll.creatorId === ctx.from.id;
+  if (!isCreator && !(await ctx.isAdmin())) {
+    await ctx.answerCbQuery(t('recurring.permissionDenied'));
+    return null;
+  }
+
+  return recurringPoll;
+};
+
+/**
+ * Show the recurring polls list in the current message
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ */
+const refreshRecurringList = async (ctx) => {
+  const { t } = ctx.i18n;
+  const recurringPolls = await RecurringPoll.getForChat(ctx.chat.id);
+  const { text, keyboard } = buildRecurringList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), recurringPolls);
+
+  try {
+    await ctx.editMessageText(text, keyboard);
+  } catch (error) {
+    // Ignore "message is not modified" errors as they're not critical
+    if (!error.description || !error.description.includes('message is not modified')) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Register commands for managing recurring polls
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerRecurringCommands = (bot) => {
+  // List recurring polls of the chat
+  bot.command('recurring', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    try {
+      const recurringPolls = await RecurringPoll.getForChat(ctx.chat.id);
+      const { text, keyboard } = buildRecurringList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), recurringPolls);
+      await ctx.reply(text, keyboard);
+    } catch (error) {
+      logger.error('Error listing recurring polls:', error);
+      await ctx.reply(t('recurring.listError'));
+    }
+  });
+
+  // Pause or resume a recurring poll
+  bot.action(/^rec_(pause|resume)_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+    const isPaused = ctx.match[1] === 'pause';
+
+    try {
+      const recurringPoll = await findManageableRecurringPoll(ctx, ctx.match[2]);
+      if (!recurringPoll) {
+        return;
+      }
+
+      recurringPoll.isPaused = isPaused;
+      // Runs missed while paused are not posted after resuming
+      recurringPoll.nextRunAt = isPaused ? recurringPoll.nextRunAt : getNextRun(recurringPoll.rule, new Date(), await getChatTimeZone(recurringPoll.chatId));
+      await recurringPoll.save();
+
+      logger.info(`Recurring poll ${recurringPoll._id} ${isPaused ? 'paused' : 'resumed'} by user ${ctx.from.id}`);
+      await ctx.answerCbQuery(t(isPaused ? 'recurring.pausedNotice' : 'recurring.resumedNotice'));
+
+      await refreshRecurringList(ctx);
+    } catch (error) {
+      logger.error('Error updating recurring poll:', error);
+      await ctx.answerCbQuery(t('recurring.actionError')).catch(() => {});
+    }
+  });
+
+  // Delete a recurring poll, polls already posted are kept
+  bot.action(/^rec_delete_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const recurringPoll = await findManageableRecurringPoll(ctx, ctx.match[1]);
+      if (!recurringPoll) {
+        return;
+      }
+
+      await recurringPoll.deleteOne();
+
+      logger.info(`Recurring poll ${recurringPoll._id} deleted by user ${ctx.from.id}`);
+      await ctx.answerCbQuery(t('recurring.deleted', { title: recurringPoll.title }));
+
+      await refreshRecurringList(ctx);
+    } catch (error) {
+      logger.error('Error deleting recurring poll:', error);
+      await ctx.answerCbQuery(t('recurring.actionError')).catch(() => {});
+    }
+  });
+
+  // Compare results of the latest runs
+  bot.action(/^rec_history_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const recurringPoll = await RecurringPoll.findOne({
+        _id: ctx.match[1],
+        chatId: ctx.chat.id
+      });
+
+      if (!recurringPoll) {
+        return ctx.answerCbQuery(t('recurring.notFound'));
+      }
+
+      const polls = await Poll.getRecurringHistory(recurringPoll._id, HISTORY_RUNS);
+
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(
+        buildHistoryText(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), recurringPoll, polls),
+        Markup.inlineKeyboard([
+          [Markup.button.callback(t('recurring.backButton'), 'rec_list')]
+        ])
+      );
+    } catch (error) {
+      logger.error('Error showing recurring poll history:', error);
+      await ctx.answerCbQuery(t('recurring.actionError')).catch(() => {});
+    }
+  });
+
+  // Back to the list
+  bot.action('rec_list', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      await ctx.answerCbQuery();
+      await refreshRecurringList(ctx);
+    } catch (error) {
+      logger.error('Error showing recurring polls:', error);
+      await ctx.answerCbQuery(t('recurring.actionError')).catch(() => {});
+    }
+  });
+};
+
+module.exports = {
+  registerRecurringCommands
+};
@@ -0,0 +1,177 @@
+const Poll = require('../models/Poll');
+const { closePoll } = require('../utils/pollCloser');
+const { sendMentionMessages } = require('../utils/pollReminders');
+const { getUserProfiles } = require('../utils/userDirectory');
+const { escapeMarkdown, formatMention } = require('../utils/mentions');
+const logger = require('../utils/logger');
+
+/**
+ * Load a reposted poll and the poll it was copied from
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {string} pollId - ID of the new poll document from the callback data
+ * @returns {Promise<Object|null>} New and old poll or null if the user was already answered
+ */
+const findRepostedPolls = async (ctx, pollId) => {
+  const { t } = ctx.i18n;
+
+  const poll = await Poll.findOne({ _id: pollId, chatId: ctx.chat.id });
+  const originalPoll = poll?.repostedFromPollId
+    ? await Poll.findOne({ _id: poll.repostedFromPollId, chatId: ctx.chat.id })
+    : null;
+
+  if (!poll || !originalPoll) {
+    await ctx.answerCbQuery(t('repost.originalNotFound'));
+    return null;
+  }
+
+  // Only the creators of either poll or a chat admin may act on the old poll
+  const isCreator = [poll.creatorId, originalPoll.creatorId].includes(ctx.from.id);
+  if (!isCreator && !(await ctx.isAdmin())) {
+    await ctx.answerCbQuery(t('repost.permissionDenied'));
+    return null;
+  }
+
+  return { poll, originalPoll };
+};
+
+/**
+ * Register commands for reposting polls
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerRepostCommands = (bot) => {
+  // Open the creation wizard pre-filled with an existing poll
+  bot.command('repost', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    // The poll is given either as a reply or as a message ID argument
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    let messageId = null;
+
+    if (ctx.message.reply_to_message) {
+      messageId = ctx.message.reply_to_message.message_id;
+    } else if (args.length > 0 && /^\d+$/.test(args[0])) {
+      messageId = parseInt(args[0], 10);
+    }
+
+    if (!messageId) {
+      return ctx.reply(t('repost.usage'));
+    }
+
+    try {
+      const poll = await Poll.findOne({
+        chatId: ctx.chat.id,
+        messageId
+      });
+
+      if (!poll) {
+        return ctx.reply(t('close.notFound', { messageId }));
+      }
+
+      logger.debug(`User ${ctx.from.id} reposting poll ${poll._id}`);
+
+      return ctx.scene.enter('compact-create-poll', {
+        commandMessageId: ctx.message.message_id,
+        prefill: {
+          ...poll.toPollDefinition(),
+          repostedFromPollId: poll._id.toString()
+        }
+      });
+    } catch (error) {
+      logger.error('Error reposting poll:', error);
+      await ctx.reply(t('poll.createError'));
+    }
+  });
+
+  // Close the poll that was reposted
+  bot.action(/^repost_close_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const polls = await findRepostedPolls(ctx, ctx.match[1]);
+      if (!polls) {
+        return;
+      }
+
+      const closed = await closePoll(ctx.telegram, polls.originalPoll, { closedBy: ctx.from.id });
+      await ctx.answerCbQuery(t(closed ? 'repost.oldClosed' : 'close.alreadyClosed', {
+        title: polls.originalPoll.title
+      }));
+    } catch (error) {
+      logger.error('Error closing reposted poll:', error);
+      await ctx.answerCbQuery(t('close.closeError')).catch(() => {});
+    }
+  });
+
+  // Ask everyone who voted in the old poll to vote again
+  bot.action(/^repost_ping_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const polls = await findRepostedPolls(ctx, ctx.match[1]);
+      if (!polls) {
+        return;
+      }
+
+      const { poll, originalPoll } = polls;
+      const voterIds = originalPoll.getUniqueVoterIds();
+      if (voterIds.length === 0) {
+        return ctx.answerCbQuery(t('repost.noVoters'));
+      }
+
+      // Voters are pinged once per repost, however often the button is pressed
+      const claimed = await Poll.updateOne(
+        { _id: poll._id, originalVotersPingedAt: null },
+        { originalVotersPingedAt: new Date() }
+      );
+      if (claimed.modifiedCount === 0) {
+        return ctx.answerCbQuery(t('repost.alreadyPinged'));
+      }
+
+      await ctx.answerCbQuery();
+
+      // Keep the other buttons of the follow-up message
+      const keyboard = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || [];
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: keyboard
+          .map(row => row.filter(button => !button.callback_data?.startsWith('repost_ping_')))
+          .filter(row => row.length > 0)
+      }).catch(error => logger.warn('Could not remove the ping button:', error));
+
+      const profiles = await getUserProfiles(ctx.telegram, originalPoll.chatId, voterIds);
+      await sendMentionMessages(
+        ctx.telegram,
+        poll.chatId,
+        voterIds.map(userId => formatMention(profiles.get(userId) || { userId })),
+        (mentions, index) => (index === 0
+          ? t('repost.pingMessage', { title: escapeMarkdown(poll.title), mentions })
+          : t('reminders.pendingMore', { mentions })),
+        {
+          reply_to_message_id: poll.messageId,
+          allow_sending_without_reply: true
+        }
+      );
+    } catch (error) {
+      logger.error('Error pinging voters of reposted poll:', error);
+      await ctx.answerCbQuery(t('repost.actionError')).catch(() => {});
+    }
+  });
+
+  // Dismiss the repost follow-up message
+  bot.action('repost_done', async (ctx) => {
+    await ctx.answerCbQuery();
+    try {
+      await ctx.deleteMessage();
+    } catch (error) {
+      logger.warn('Could not delete repost follow-up message:', error);
+    }
+  });
+};
+
+module.exports = {
+  registerRepostCommands
+};
@@ -0,0 +1,179 @@
+const Roster = require('../models/Roster');
+const logger = require('../utils/logger');
+
+// Roster names are typed in commands and shown on buttons, keep them short
+const MAX_ROSTER_NAME_LENGTH = 32;
+
+/**
+ * Collect the users given to a /roster command
+ * Users can be @mentioned, text-mentioned or given by replying to one of their messages.
+ * @param {Object} message - Command message
+ * @returns {Array} Users with userId, username, firstName and lastName
+ */
+const extractRosterUsers = (message) => {
+  const users = [];
+
+  (message.entities || []).forEach(entity => {
+    if (entity.type === 'mention') {
+      users.push({
+        userId: null,
+        username: message.text.substring(entity.offset + 1, entity.offset + entity.length)
+      });
+    } else if (entity.type === 'text_mention' && entity.user && !entity.user.is_bot) {
+      users.push({
+        userId: entity.user.id,
+        username: entity.user.username || null,
+        firstName: entity.user.first_name || null,
+        lastName: entity.user.last_name || null
+      });
+    }
+  });
+
+  const repliedUser = message.reply_to_message?.from;
+  if (repliedUser && !repliedUser.is_bot) {
+    users.push({
+      userId: repliedUser.id,
+      username: repliedUser.username || null,
+      firstName: repliedUser.first_name || null,
+      lastName: repliedUser.last_name || null
+    });
+  }
+
+  return users;
+};
+
+/**
+ * Format a roster member for lists without notifying them
+ * @param {Object} member - Roster member
+ * @returns {string} Display name
+ */
+const formatMember = (member) => {
+  const name = [member.firstName, member.lastName].filter(Boolean).join(' ');
+  if (member.username) {
+    return name ? `${name} (${member.username})` : member.username;
+  }
+  return name || `User ${member.userId}`;
+};
+
+/**
+ * Check whether the user may change a roster
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {Object} roster - Roster document
+ * @returns {Promise<boolean>} Whether the user is the roster creator or a chat admin
+ */
+const canManageRoster = async (ctx, roster) => {
+  return roster.creatorId === ctx.from.id || await ctx.isAdmin();
+};
+
+/**
+ * Register commands for managing rosters
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerRosterCommands = (bot) => {
+  // /roster add|remove|delete|list|show <name> [@user ...]
+  bot.command('roster', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    const [subcommand, name] = ctx.message.text.split(/\s+/).slice(1);
+    const action = (subcommand || '').toLowerCase();
+
+    try {
+      if (action === 'list') {
+        const rosters = await Roster.getForChat(ctx.chat.id);
+        if (rosters.length === 0) {
+          return ctx.reply(t('roster.empty'));
+        }
+
+        const lines = [t('roster.listHeader'), ''];
+        rosters.forEach((roster, index) => {
+          lines.push(t('roster.listItem', {
+            number: index + 1,
+            name: roster.name,
+            count: roster.members.length
+          }));
+        });
+        return ctx.reply(lines.join('\n'));
+      }
+
+      if (!['add', 'remove', 'delete', 'show'].includes(action) || !name || name.startsWith('@')) {
+        return ctx.reply(t('roster.usage'));
+      }
+
+      if (name.length > MAX_ROSTER_NAME_LENGTH) {
+        return ctx.reply(t('roster.nameTooLong', { max: MAX_ROSTER_NAME_LENGTH }));
+      }
+
+      let roster = await Roster.findByName(ctx.chat.id, name);
+
+      if (action === 'show') {
+        if (!roster) {
+          return ctx.reply(t('roster.notFound', { name }));
+        }
+
+        const lines = [t('roster.showHeader', { name: roster.name, count: roster.members.length })];
+        roster.members.forEach((member, index) => {
+          lines.push(`${index + 1}. ${formatMember(member)}`);
+        });
+        return ctx.reply(lines.join('\n'));
+      }
+
+      const users = extractRosterUsers(ctx.message);
+
+      if (action === 'add') {
+        if (users.length === 0) {
+          return ctx.reply(t('roster.usage'));
+        }
+
+        if (!roster) {
+          roster = new Roster({ chatId: ctx.chat.id, creatorId: ctx.from.id, name });
+        } else if (!(await canManageRoster(ctx, roster))) {
+          return ctx.reply(t('roster.permissionDenied'));
+        }
+
+        const added = roster.addMembers(users);
+        await roster.save();
+
+        logger.info(`Roster ${roster._id} in chat ${ctx.chat.id}: ${added} members added by user ${ctx.from.id}`);
+        return ctx.reply(t('roster.added', { count: added, name: roster.name, total: roster.members.length }));
+      }
+
+      // remove, delete
+      if (!roster) {
+        return ctx.reply(t('roster.notFound', { name }));
+      }
+
+      if (!(await canManageRoster(ctx, roster))) {
+        return ctx.reply(t('roster.permissionDenied'));
+      }
+
+      if (action === 'delete') {
+        await roster.deleteOne();
+        logger.info(`Roster ${roster._id} deleted by user ${ctx.from.id}`);
+        return ctx.reply(t('roster.deleted', { name: roster.name }));
+      }
+
+      // A mistyped mention must not wipe the roster, deleting it takes its own subcommand
+      if (users.length === 0) {
+        return ctx.reply(t('roster.removeNoUsers', { name: roster.name }));
+      }
+
+      const removed = roster.removeMembers(users);
+      await roster.save();
+
+      logger.info(`Roster ${roster._id} in chat ${ctx.chat.id}: ${removed} members removed by user ${ctx.from.id}`);
+      return ctx.reply(t('roster.removed', { count: removed, name: roster.name, total: roster.members.length }));
+    } catch (error) {
+      logger.error('Error handling /roster command:', error);
+      await ctx.reply(t('roster.actionError'));
+    }
+  });
+};
+
+module.exports = {
+  registerRosterCommands
+};
@@ -0,0 +1,154 @@
+const { Markup } = require('telegraf');
+const ScheduledPoll = require('../models/ScheduledPoll');
+const { formatDateTime } = require('../utils/time');
+const { getChatTimeZone } = require('../utils/chatSettings');
+const logger = require('../utils/logger');
+
+/**
+ * Build the list of pending scheduled polls with edit and cancel buttons
+ * @param {Function} t - Translator function
+ * @param {string} locale - Language code
+ * @param {string} [timeZone] - Time zone of the chat
+ * @param {Array} scheduledPolls - Pending scheduled polls
+ * @returns {Object} Message text and inline keyboard
+ */
+const buildScheduledList = (t, locale, timeZone, scheduledPolls) => {
+  if (scheduledPolls.length === 0) {
+    return { text: t('schedule.empty'), keyboard: Markup.inlineKeyboard([]) };
+  }
+
+  const lines = [t('schedule.listHeader'), ''];
+  const buttons = [];
+
+  scheduledPolls.forEach((scheduledPoll, index) => {
+    lines.push(t('schedule.listItem', {
+      number: index + 1,
+      title: scheduledPoll.title,
+      time: formatDateTime(scheduledPoll.postAt, locale, timeZone)
+    }));
+
+    buttons.push([
+      Markup.button.callback(`✏️ ${index + 1}`, `sched_edit_${scheduledPoll._id}`),
+      Markup.button.callback(`🗑️ ${index + 1}`, `sched_cancel_${scheduledPoll._id}`)
+    ]);
+  });
+
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(buttons) };
+};
+
+/**
+ * Find a pending scheduled poll of the current chat that the user may manage
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {string} scheduledPollId - Scheduled poll ID from the callback data
+ * @returns {Promise<Object|null>} Scheduled poll or null if the user was already answered
+ */
+const findManageableScheduledPoll = async (ctx, scheduledPollId) => {
+  const { t } = ctx.i18n;
+
+  const scheduledPoll = await ScheduledPoll.findOne({
+    _id: scheduledPollId,
+    chatId: ctx.chat.id,
+    status: 'pending'
+  });
+
+  if (!scheduledPoll) {
+    await ctx.answerCbQuery(t('schedule.notFound'));
+    return null;
+  }
+
+  // Only the creator or a chat admin may change a scheduled poll
+  const isCreator = scheduledPoll.creatorId === ctx.from.id;
+  if (!isCreator && !(await ctx.isAdmin())) {
+    await ctx.answerCbQuery(t('schedule.permissionDenied'));
+    return null;
+  }
+
+  return scheduledPoll;
+};
+
+/**
+ * Register commands for managing scheduled polls
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerScheduleCommands = (bot) => {
+  // List pending scheduled polls of the chat
+  bot.command('scheduled', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    try {
+      const scheduledPolls = await ScheduledPoll.getPending(ctx.chat.id);
+      const { text, keyboard } = buildScheduledList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), scheduledPolls);
+      await ctx.reply(text, keyboard);
+    } catch (error) {
+      logger.error('Error listing scheduled polls:', error);
+      await ctx.reply(t('schedule.listError'));
+    }
+  });
+
+  // Open a scheduled poll in the creation wizard
+  bot.action(/^sched_edit_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const scheduledPoll = await findManageableScheduledPoll(ctx, ctx.match[1]);
+      if (!scheduledPoll) {
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      // The list is outdated once the poll is edited
+      try {
+        await ctx.deleteMessage();
+      } catch (error) {
+        logger.warn('Could not delete scheduled polls list:', error);
+      }
+
+      return ctx.scene.enter('compact-create-poll', {
+        prefill: {
+          ...scheduledPoll.toPollDefinition(),
+          scheduledPollId: scheduledPoll._id.toString(),
+          postAt: scheduledPoll.postAt
+        }
+      });
+    } catch (error) {
+      logger.error('Error editing scheduled poll:', error);
+      await ctx.answerCbQuery(t('schedule.actionError'));
+    }
+  });
+
+  // Cancel a scheduled poll
+  bot.action(/^sched_cancel_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const scheduledPoll = await findManageableScheduledPoll(ctx, ctx.match[1]);
+      if (!scheduledPoll) {
+        return;
+      }
+
+      scheduledPoll.status = 'cancelled';
+      await scheduledPoll.save();
+
+      logger.info(`Scheduled poll ${scheduledPoll._id} cancelled by user ${ctx.from.id}`);
+      await ctx.answerCbQuery(t('schedule.cancelled', { title: scheduledPoll.title }));
+
+      // Refresh the list
+      const scheduledPolls = await ScheduledPoll.getPending(ctx.chat.id);
+      const { text, keyboard } = buildScheduledList(t, ctx.i18n.locale, await getChatTimeZone(ctx.chat.id), scheduledPolls);
+      await ctx.editMessageText(text, keyboard);
+    } catch (error) {
+      logger.error('Error cancelling scheduled poll:', error);
+      await ctx.answerCbQuery(t('schedule.actionError')).catch(() => {});
+    }
+  });
+};
+
+module.exports = {
+  registerScheduleCommands
+};
@@ -0,0 +1,100 @@
+const { isValidTimeZone, formatDateTime } = require('../utils/time');
+const {
+  getChatSettings,
+  updateChatSettings,
+  parseQuietHours,
+  formatTimeOfDay
+} = require('../utils/chatSettings');
+const logger = require('../utils/logger');
+
+/**
+ * Build the message describing the settings of a chat
+ * @param {Function} t - Translator function
+ * @param {string} locale - Language code
+ * @param {Object} settings - Chat settings
+ * @returns {string} Settings message
+ */
+const buildSettingsText = (t, locale, settings) => {
+  const { timezone, quietHoursStart, quietHoursEnd } = settings;
+  const hasQuietHours = Number.isInteger(quietHoursStart) && Number.isInteger(quietHoursEnd);
+
+  return [
+    t('settings.header'),
+    '',
+    t('settings.timezone', {
+      timezone: timezone || t('settings.serverTimezone'),
+      time: formatDateTime(new Date(), locale, timezone || undefined)
+    }),
+    hasQuietHours
+      ? t('settings.quietHours', { start: formatTimeOfDay(quietHoursStart), end: formatTimeOfDay(quietHoursEnd) })
+      : t('settings.quietHoursOff'),
+    '',
+    t('settings.usage')
+  ].join('\n');
+};
+
+/**
+ * Register commands for chat settings
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerSettingsCommands = (bot) => {
+  // /settings [timezone <zone>|quiet <HH:MM-HH:MM>|off]
+  bot.command('settings', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    const [subcommand, ...args] = ctx.message.text.split(/\s+/).slice(1);
+    const action = (subcommand || '').toLowerCase();
+    const value = args.join(' ');
+
+    try {
+      if (!action) {
+        const settings = await getChatSettings(ctx.chat.id);
+        return ctx.reply(buildSettingsText(t, ctx.i18n.locale, settings));
+      }
+
+      if (!['timezone', 'quiet'].includes(action) || !value) {
+        return ctx.reply(t('settings.usage'));
+      }
+
+      if (!(await ctx.isAdmin())) {
+        return ctx.reply(t('settings.permissionDenied'));
+      }
+
+      let changes;
+      if (action === 'timezone') {
+        if (value.toLowerCase() === 'off') {
+          changes = { timezone: null };
+        } else if (isValidTimeZone(value)) {
+          changes = { timezone: value };
+        } else {
+          return ctx.reply(t('settings.invalidTimezone', { timezone: value }));
+        }
+      } else if (value.toLowerCase() === 'off') {
+        changes = { quietHoursStart: null, quietHoursEnd: null };
+      } else {
+        const quietHours = parseQuietHours(value);
+        if (!quietHours) {
+          return ctx.reply(t('settings.invalidQuietHours'));
+        }
+        changes = { quietHoursStart: quietHours.start, quietHoursEnd: quietHours.end };
+      }
+
+      const settings = await updateChatSettings(ctx.chat.id, changes);
+
+      logger.info(`Settings of chat ${ctx.chat.id} changed by user ${ctx.from.id}`, changes);
+      return ctx.reply(`${t('settings.saved')}\n\n${buildSettingsText(t, ctx.i18n.locale, settings)}`);
+    } catch (error) {
+      logger.error('Error handling /settings command:', error);
+      await ctx.reply(t('settings.actionError'));
+    }
+  });
+};
+
+module.exports = {
+  registerSettingsCommands
+};
@@ -0,0 +1,219 @@
+const { Markup } = require('telegraf');
+const PollTemplate = require('../models/PollTemplate');
+const { MINUTE_MS } = require('../utils/time');
+const logger = require('../utils/logger');
+
+const { MAX_TEMPLATE_NAME_LENGTH } = PollTemplate;
+
+// A rename prompt nobody answered is forgotten after this long
+const RENAME_TIMEOUT_MS = 10 * MINUTE_MS;
+
+/**
+ * Build the list of chat templates with rename and delete buttons
+ * @param {Function} t - Translator function
+ * @param {Array} templates - Templates of the chat
+ * @returns {Object} Message text and inline keyboard
+ */
+const buildTemplateList = (t, templates) => {
+  if (templates.length === 0) {
+    return { text: t('templates.empty'), keyboard: Markup.inlineKeyboard([]) };
+  }
+
+  const lines = [t('templates.listHeader'), ''];
+  const buttons = [];
+
+  templates.forEach((template, index) => {
+    lines.push(t('templates.listItem', {
+      number: index + 1,
+      name: template.name,
+      title: template.title,
+      count: template.options.length
+    }));
+
+    buttons.push([
+      Markup.button.callback(`✏️ ${index + 1}`, `tpl_rename_${template._id}`),
+      Markup.button.callback(`🗑️ ${index + 1}`, `tpl_delete_${template._id}`)
+    ]);
+  });
+
+  lines.push('');
+  lines.push(t('templates.usageHint'));
+
+  return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(buttons) };
+};
+
+/**
+ * Find a template of the current chat that the user may manage
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {string} templateId - Template ID from the callback data
+ * @returns {Promise<Object|null>} Template or null if the user was already answered
+ */
+const findManageableTemplate = async (ctx, templateId) => {
+  const { t } = ctx.i18n;
+
+  const template = await PollTemplate.findOne({
+    _id: templateId,
+    chatId: ctx.chat.id
+  });
+
+  if (!template) {
+    await ctx.answerCbQuery(t('templates.notFound'));
+    return null;
+  }
+
+  // Only the creator or a chat admin may change a template
+  const isCreator = template.creatorId === ctx.from.id;
+  if (!isCreator && !(await ctx.isAdmin())) {
+    await ctx.answerCbQuery(t('templates.permissionDenied'));
+    return null;
+  }
+
+  return template;
+};
+
+/**
+ * Register commands for managing poll templates
+ * @param {import('telegraf').Telegraf} bot - Telegraf bot instance
+ */
+const registerTemplateCommands = (bot) => {
+  // List templates of the chat
+  bot.command('templates', async (ctx) => {
+    const { t } = ctx.i18n;
+
+    // Only allowed in groups
+    if (!ctx.isAnyGroup) {
+      return ctx.reply(t('poll.groupOnly'));
+    }
+
+    try {
+      const templates = await PollTemplate.getForChat(ctx.chat.id);
+      const { text, keyboard } = buildTemplateList(t, templates);
+      await ctx.reply(text, keyboard);
+    } catch (error) {
+      logger.error('Error listing poll templates:', error);
+      await ctx.reply(t('templates.listError'));
+    }
+  });
+
+  // Ask for a new template name
+  bot.action(/^tpl_rename_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const template = await findManageableTemplate(ctx, ctx.match[1]);
+      if (!template) {
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      const prompt = await ctx.reply(t('templates.renamePrompt', { name: template.name }), {
+        reply_markup: {
+          force_reply: true,
+          input_field_placeholder: template.name
+        }
+      });
+
+      // A reply of this user to the prompt is the new name
+      ctx.session = ctx.session || {};
+      ctx.session.templateRename = {
+        templateId: template._id.toString(),
+        promptMessageId: prompt.message_id,
+        listMessageId: ctx.callbackQuery.message.message_id,
+        expiresAt: Date.now() + RENAME_TIMEOUT_MS
+      };
+    } catch (error) {
+      logger.error('Error starting template rename:', error);
+      await ctx.answerCbQuery(t('templates.actionError')).catch(() => {});
+    }
+  });
+
+  // Delete a template
+  bot.action(/^tpl_delete_([a-f0-9]{24})$/, async (ctx) => {
+    const { t } = ctx.i18n;
+
+    try {
+      const template = await findManageableTemplate(ctx, ctx.match[1]);
+      if (!template) {
+        return;
+      }
+
+      await template.deleteOne();
+
+      logger.info(`Poll template ${template._id} deleted by user ${ctx.from.id}`);
+      await ctx.answerCbQuery(t('templates.deleted', { name: template.name }));
+
+      // Refresh the list
+      const templates = await PollTemplate.getForChat(ctx.chat.id);
+      const { text, keyboard } = buildTemplateList(t, templates);
+      await ctx.editMessageText(text, keyboard);
+    } catch (error) {
+      logger.error('Error deleting poll template:', error);
+      await ctx.answerCbQuery(t('templates.actionError')).catch(() => {});
+    }
+  });
+
+  // Receive the new name of a template being renamed
+  bot.on('text', async (ctx, next) => {
+    const rename = ctx.session?.templateRename;
+    if (!rename) {
+      return next();
+    }
+
+    if (Date.now() > rename.expiresAt) {
+      delete ctx.session.templateRename;
+      return next();
+    }
+
+    // Other messages of the user in the chat are left alone
+    if (ctx.message.reply_to_message?.message_id !== rename.promptMessageId) {
+      return next();
+    }
+
+    const { t } = ctx.i18n;
+    const name = ctx.message.text.trim().substring(0, MAX_TEMPLATE_NAME_LENGTH);
+    delete ctx.session.templateRename;
+
+    // Clean up the prompt and the answer
+    for (const messageId of [rename.promptMessageId, ctx.message.message_id]) {
+      try {
+        await ctx.deleteMessage(messageId);
+      } catch (error) {
+        logger.warn('Could not delete template rename message:', error);
+      }
+    }
+
+    if (!name || name === '/cancel') {
+      return;
+    }
+
+    try {
+      const template = await PollTemplate.findOne({
+        _id: rename.templateId,
+        chatId: ctx.chat.id
+      });
+
+      if (!template) {
+        return ctx.reply(t('templates.notFound'));
+      }
+
+      template.name = name;
+      await template.save();
+
+      logger.info(`Poll template ${template._id} renamed by user ${ctx.from.id}`);
+
+      // Refresh the list the rename was started from
+      const templates = await PollTemplate.getForChat(ctx.chat.id);
+      const { text, keyboard } = buildTemplateList(t, templates);
+      await ctx.telegram.editMessageText(ctx.chat.id, rename.listMessageId, null, text, keyboard)
+        .catch(error => logger.warn('Could not refresh template list:', error));
+    } catch (error) {
+      logger.error('Error renaming poll template:', error);
+      await ctx.reply(t('templates.actionError'));
+    }
+  });
+};
+
+module.exports = {
+  registerTemplateCommands
+};
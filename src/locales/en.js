@@ -25,16 +25,24 @@ const en = {
     },
     groupCommands: {
       title: 'Creating Polls:',
-      newpoll: '/newpoll Poll Title | Option 1 | Option 2 | ...\nCreate a new poll with the given title and options.\nYou can mention users in the title to track their votes.\nExample: /newpoll Meeting tomorrow @user1 @user2? | Yes | No | Maybe',
+      newpoll: '/newpoll Poll Title | Option 1 | Option 2 | ...\nCreate a new poll with the given title and options.\nYou can mention users in the title to track their votes.\nExample: /newpoll Meeting tomorrow @user1 @user2? | Yes | No | Maybe\nMark the correct option with * to create a quiz: /newpoll 2 + 2 = ? | 3 | *4\nFlags: --multi, --anon, --quiz=N, --close=2h, --remind=30m, --topic[=ID]. Send /newpoll without arguments for details.',
       createpoll: '/createpoll\nStart an interactive poll creation wizard with step-by-step guidance.\nThis is the easiest way to create a poll!',
 
       managingTitle: 'Managing Polls:',
+      closepoll: '/closepoll [message ID] - Close a poll and post its final results. Reply to the poll or pass its message ID. Available to the poll creator and chat admins.',
+      drafts: '/drafts - Continue a poll you started with /createpoll but did not finish, for example after the bot was restarted.',
+      repost: '/repost [message ID] - Post a copy of a poll. Reply to the poll or pass its message ID, then edit the copy in the wizard. Afterwards you can close the old poll and ping its voters.',
+      scheduled: '/scheduled - List polls waiting to be posted in this chat and edit or cancel them. To schedule a poll, finish /createpoll with the Schedule button.',
+      recurring: '/recurring - List polls that repeat in this chat, pause, resume or delete them and compare results across runs. To set one up, finish /createpoll with the Repeat button.',
+      templates: '/templates - List the poll templates of this chat, rename or delete them. Save a template with the Save as template button in /createpoll and pick it when starting a new poll.',
+      roster: '/roster add|remove|delete|show name @user ... - Keep named lists of members, for example /roster add team @anna @boris. Reply to a message to add its author. /roster delete name deletes the list, /roster list shows all lists. Attach a list to a poll with the Attach roster button in /createpoll to mention everyone on it.',
+      settings: '/settings - Show the time zone and quiet hours of the chat. Admins can change them with /settings timezone Europe/Berlin and /settings quiet 22:00-08:00. Dates are shown in the chat time zone, and reminders, scheduled polls and results due during quiet hours are sent when they end.',
       checkvoters: '/checkvoters [message_id] [option_number] - Check who voted for a specific option and create an additional poll to confirm participation\nSpecify message_id to select a poll and option_number to check voters for that option. The command can be used both in private chat with the bot and in the group.'
     },
     privateCommands: {
       description: 'To use my poll features, add me to a group chat and use the following commands:',
       newpoll: '/newpoll - Create a new poll (text command)',
-      createpoll: '/createpoll - Create a new poll (interactive wizard)',
+      createpoll: '/createpoll - Create a new poll (interactive wizard). In private chat I will ask which of our common groups to post it to',
 
       checkvoters: '/checkvoters - Check who voted for a specific option and create an additional poll to confirm participation. The command can be used both in private chat and in the group',
       trackingInfo: 'I\'ll help you track votes and provide convenient paginated access (5 entries per page) to the list of voters! You can also notify users who voted for a specific option.'
@@ -44,11 +52,40 @@ const en = {
   // Poll creation
   poll: {
     groupOnly: 'Polls can only be created in groups or supergroups.',
+    pickGroup: 'Choose the group to create the poll in:',
+    noSharedGroups: 'I could not find a group we are both in. Add me to a group first, then try again.',
+    notGroupMember: 'You are not a member of this group',
     provide: 'Please provide poll details:',
     syntax: '/newpoll Poll Title | Option 1 | Option 2 | ...',
     mentionExample: 'You can mention users in the title to track their votes. For example:',
     mentionSample: '/newpoll Meeting tomorrow @user1 @user2?',
+    quizExample: 'Mark the correct option with * to create a quiz:',
+    quizSample: '/newpoll 2 + 2 = ? | 3 | *4 | 5',
+    flagError: 'Could not understand {token}: {reason}',
+    flags: {
+      usage: 'Flags go at the end, after the last option:\n' +
+        '--multi — allow choosing several options\n' +
+        '--anon — anonymous poll\n' +
+        '--quiz=N — quiz, option N is the correct answer\n' +
+        '--close=2h — close after a duration or at a time (2h, 1d, 18:00, "25.12 18:00" or 25.12T18:00)\n' +
+        '--remind=30m — remind mentioned users who haven\'t voted (at least 5m)\n' +
+        '--topic or --topic=ID — post into this forum topic or the topic with the given ID\n' +
+        'Example: /newpoll Lunch? | Pizza | Sushi --multi --close=2h',
+      unknown: 'unknown flag',
+      noValue: 'this flag doesn\'t take a value',
+      valueRequired: 'this flag needs a value, e.g. --close=2h',
+      invalidQuiz: 'the correct option must be a number starting from 1',
+      quizOutOfRange: 'there is no option with this number',
+      invalidClose: 'the deadline must be a duration like 2h or a future time like 18:00',
+      invalidRemind: 'the interval must be a duration like 30m or 3h',
+      remindTooShort: 'reminders can\'t be more frequent than every 5 minutes',
+      invalidTopic: 'the topic ID must be a number',
+      notInTopic: 'send the command inside a forum topic or give the topic ID',
+      anonRemind: 'votes in anonymous polls can\'t be tracked, so there is nobody to remind'
+    },
+    quizNoMultiple: 'A quiz can\'t allow multiple answers. Remove --multi or the * mark.',
     minOptions: 'Please provide at least 2 options for the poll, separated by |',
+    maxOptions: 'A poll can have at most {max} options, you provided {count}',
     createdWith: 'Poll created with {count} mentioned {users}:',
     user: 'user',
     users: 'users',
@@ -79,10 +116,13 @@ const en = {
       titlePlaceholder: 'Enter poll title here...',
       noText: 'Please send a text message.',
       usingImportedMentions: 'I\'ll use {count} users from the selected option "{option}" in your poll.',
+      usingNonVoters: 'I\'ll use {count} users who didn\'t vote in "{title}" in your poll.',
       titleWithImportedMentions: 'Your poll title: "{title}" will include the following users:\n{mentions}',
       includedImportedMentions: 'Poll includes {count} users who voted for option "{option}" in the previous poll.',
       mentionsForPoll: '📊 Poll "{title}"\n👥 {mentions}',
       mentionsForCheckVoters: '📊 Checking readiness of participants for the option "{option}" from poll "{originalPollTitle}"\n👥 {mentions}',
+      mentionsForRoster: '📊 Poll "{title}"\n👥 {mentions}',
+      mentionsForNonVoters: '📊 You didn\'t vote in "{originalPollTitle}", please answer this poll\n👥 {mentions}',
       mentionsDetected: 'I detected {count} {users} in your title: {list}',
       combinedPrompt: 'Let\'s create a new poll! Please enter the title for your poll.\n\nAfter that, I\'ll ask you to add options one by one. When you\'re done adding options, type /done or click the Done button.',
       compactPrompt: 'Enter poll title:',
@@ -116,14 +156,106 @@ const en = {
       editTitleButton: '✏️ Edit Title',
       editTitlePrompt: 'Enter new poll title:',
       addOptionButton: '➕ Add Option',
-      addOptionPrompt: 'Enter option #{count}:',
+      addOptionPrompt: 'Enter option #{count} (send several lines to add several options):',
       editOptionPrompt: 'Edit option "{option}":',
       optionDeleted: 'Option deleted',
       titleRequired: 'Title is required',
       minimumOptionsRequired: 'At least 2 options are required',
       creatingPoll: 'Creating your poll...',
       pollCreated: 'Poll created successfully! Use /checkvoters {messageId} to check votes.',
-      welcomeCreatePoll: 'Let\'s create a new poll! Use the buttons below to add a title and options.'
+      welcomeCreatePoll: 'Let\'s create a new poll! Use the buttons below to add a title and options.',
+      // Answer mode strings
+      multipleOffButton: '☑️ Multiple answers: off',
+      multipleOnButton: '☑️ Multiple answers: on',
+      multipleEnabled: 'Users can choose several options',
+      multipleDisabled: 'Users can choose one option',
+      multipleAnswersNote: '☑️ Users can choose several options',
+      multipleDisablesQuiz: 'Multiple answers enabled, quiz mode turned off',
+      quizDisablesMultiple: 'Quiz mode enabled, multiple answers turned off',
+      // Deadline strings
+      deadlineButton: '⏰ Deadline',
+      clearDeadlineButton: '❌ Remove deadline',
+      deadlineSection: 'Closes at',
+      deadlinePrompt: 'When should the poll close? Send a duration like 30m, 2h or 1d, or a date like 18:00, 25.12 18:00 or 2025-12-25 18:00:',
+      deadlinePlaceholder: '2h',
+      invalidDeadline: 'Could not understand the deadline. It must be a duration or a future date.',
+      deadlineCleared: 'Deadline removed',
+      // Reminder strings
+      remindersButton: '🔔 Reminders',
+      clearRemindersButton: '❌ Turn off reminders',
+      remindersSection: 'Reminders',
+      remindersEvery: 'every {interval} until the deadline or until everyone mentioned has voted',
+      remindersPrompt: 'How often should mentioned users who haven\'t voted be reminded? Send a duration like 30m, 3h or 1d:',
+      remindersPlaceholder: '3h',
+      invalidReminders: 'Could not understand the interval. It must be a duration of at least 5 minutes.',
+      remindersCleared: 'Reminders turned off',
+      // Decision rule strings
+      decisionButton: '🎯 Decision rule',
+      clearDecisionButton: '❌ Remove rule',
+      decisionCloseOnButton: '🔒 Close when met: on',
+      decisionCloseOffButton: '🔓 Close when met: off',
+      decisionSection: 'Decision rule',
+      decisionClosesNote: '(the poll closes when it is met)',
+      decisionPrompt: 'When is the poll decided? Send a percentage like 60% for a quorum of the mentioned users, or a number like 5 for the votes the leading option needs:',
+      decisionPlaceholder: '60%',
+      invalidDecision: 'Could not understand the rule. Send a percentage from 1% to 100% or a number of votes.',
+      decisionCleared: 'Decision rule removed',
+      quorumNeedsMentions: 'A quorum needs mentioned users. Mention users in the poll or use a vote threshold instead.',
+      // Capacity strings
+      optionCapacity: '{capacity} seats',
+      capacityPrompt: 'How many seats does "{option}" have? Voters beyond that go on a waitlist and get a seat when someone takes their vote back. Send 0 to remove the limit:',
+      capacityPlaceholder: '10',
+      invalidCapacity: 'Send the number of seats, or 0 to remove the limit.',
+      attachRosterButton: '👥 Attach roster',
+      detachRosterButton: '❌ Remove roster',
+      chooseRoster: '👥 Choose a roster, its members will be mentioned in the poll:',
+      noRosters: 'There are no rosters in this chat. Create one with /roster add <name> @user1 @user2',
+      rosterNotFound: 'This roster no longer exists',
+      rosterAttached: 'Roster "{name}" attached, {count} members',
+      rosterDetached: 'Roster removed',
+      rosterSection: '(including roster "{name}")',
+      deadlinePassed: 'The deadline has already passed, please set a new one',
+      // Scheduling strings
+      scheduleButton: '🕒 Schedule',
+      schedulePrompt: 'When should the poll be posted? Send a duration like 30m, 2h or 1d, or a date like 18:00, 25.12 18:00 or 2025-12-25 18:00:',
+      invalidScheduleTime: 'Could not understand the time. It must be a duration or a future date.',
+      scheduleAfterDeadline: 'The poll would be posted after its deadline. Choose an earlier time or change the deadline.',
+      scheduled: '🕒 Poll "{title}" will be posted on {time}. Use /scheduled to edit or cancel it.',
+      scheduleError: 'Failed to schedule the poll. Please try again.',
+      editingScheduled: '🕒 Scheduled for {time}',
+      // Recurrence strings
+      repeatButton: '🔁 Repeat',
+      recurrencePrompt: 'How often should the poll be posted? Examples:\ndaily 09:00\nweekly mon,thu 18:00\ncron 0 9 * * 1-5 (minute hour day month weekday)',
+      recurrencePlaceholder: 'weekly sun 12:00',
+      invalidRecurrence: 'Could not understand the schedule. Use one of the formats from the examples.',
+      recurringSaved: '🔁 Poll "{title}" will be posted {rule}. First run: {time}. Use /recurring to manage it.',
+      recurringError: 'Failed to save the recurring poll. Please try again.',
+      maxOptionsReached: 'A poll can have at most {max} options',
+      optionsDropped: 'A poll can have at most {max} options, {count} lines were not added:\n{lines}',
+      creatingInGroup: 'Creating poll in group ({chatId})',
+      pollCreatedInGroup: 'Poll was created in the group ({chatId}). Check the group to see your poll.',
+      repostingNote: '🔁 Copy of an existing poll',
+      // Template strings
+      chooseTemplate: '📋 Start from a template or create a new poll from scratch:',
+      blankPollButton: '➕ Blank poll',
+      saveTemplateButton: '💾 Save as template',
+      templateSaved: 'Template "{name}" saved',
+      templateSaveError: 'Failed to save the template',
+      templateApplied: 'Template "{name}" loaded',
+      templateNotFound: 'This template no longer exists',
+      // Quiz mode strings
+      quizOffButton: '🎓 Quiz: off',
+      quizOnButton: '🎓 Quiz: on',
+      quizEnabled: 'Quiz mode enabled. Mark the correct option.',
+      quizDisabled: 'Quiz mode disabled',
+      quizSection: 'Quiz',
+      correctOptionSet: 'Correct option marked',
+      correctOptionNotSet: 'Correct option is not marked yet',
+      correctOptionRequired: 'Mark the correct option for the quiz',
+      explanationButton: '💡 Explanation',
+      explanationSection: 'Explanation',
+      explanationPrompt: 'Enter an explanation shown after answering (up to {max} characters):',
+      explanationPlaceholder: 'Enter explanation here...'
     },
     voters: {
       selectPoll: 'Please select a poll to check voters:',
@@ -152,7 +284,45 @@ const en = {
       startingNewPoll: 'Let\'s create a new poll with the users who voted for this option.',
       suggestedTitle: 'Suggested title',
       redirectingToCreate: 'Redirecting to poll creation...',
-      redirectingSimple: 'Creating new poll...'
+      redirectingSimple: 'Creating new poll...',
+      multipleChoiceNote: 'This poll allows multiple answers, so one person can be counted in several options. Unique voters: {count}',
+      quizResultsButton: '🎓 Quiz results',
+      quizCorrectAnswer: 'Correct answer: "{option}"',
+      quizAnsweredRight: 'Answered right: {count}',
+      quizAnsweredWrong: 'Answered wrong: {count}',
+      quizScores: 'Quiz scores in this chat:',
+      quizScoreLine: '{position}. {name} — {correct}/{total}',
+      notVotedButton: '🙈 Didn\'t vote ({count})',
+      notVotedHeader: 'Mentioned but didn\'t vote: {count}',
+      everyoneVoted: '✅ Everyone who was mentioned has voted.',
+      pingNonVotersButton: '🔔 Ping them',
+      nonVotersPinged: 'Reminder sent to {count} users',
+      nonVotersCannotPing: 'None of these users can be mentioned',
+      notVotedOption: 'Didn\'t vote',
+      notVotedFollowUpTitle: 'Follow-up for those who skipped "{title}"',
+      voterSetButton: '🧮 Combine voters of several polls',
+      voterSetHeader: 'Voter set builder',
+      voterSetEmpty: 'Add a poll to start. Then combine it with other polls to find who voted in all of them, in any of them or in one but not another.',
+      voterSetAddButton: '➕ Add poll',
+      voterSet: {
+        union: '∪ Or',
+        intersect: '∩ And',
+        difference: '∖ But not'
+      },
+      voterSetSelectPoll: 'Select a poll:',
+      voterSetSelectOption: 'Whose votes in "{title}"?',
+      voterSetAnyOption: 'Any option',
+      voterSetResult: 'Users in the set: {count}',
+      voterSetEmptyResult: 'There is nobody in this set',
+      voterSetExportButton: '📄 Export CSV',
+      voterSetResetButton: '🔄 Start over',
+      voterSetPing: '🔔 {mentions}',
+      voterSetPingButton: '🔔 Tag everyone in the set',
+      voterSetSeveralChats: 'The set combines polls from several chats. Tagging them or creating a poll would show the voters of one chat in another, build a set from polls of a single chat instead.',
+      voterSetOption: 'Selected voters',
+      lineage: '🧬 Narrowed down: {chain}',
+      followUps: '↪️ Follow-ups: {polls}',
+      historyButton: '📜 History'
     }
   },
   
@@ -164,8 +334,22 @@ const en = {
     invalidOption: 'Invalid option number. Please specify a valid option number from 1 to {count}.',
     noVoters: 'No one has voted for this option: "{option}"',
     optionVoters: 'Voted: {count}',
+    alsoVotedOtherOptions: '{count} of them also chose other options',
+    confirmedVoters: '✅ Confirmed: {count} of {capacity} seats',
+    waitlistedVoters: '⏳ Waitlist: {count}',
     list: 'Voters:',
     page: 'Page',
+    existingVotes: 'Plus {count} votes cast before tracking started',
+    anonymousVotes: 'Plus {count} votes that can\'t be attributed to a user',
+    trackingLimitation: 'Telegram doesn\'t tell who voted before the poll was tracked. Track polls before voting starts to see every voter.',
+    trackedSince: 'Tracking since: {date}',
+    unresolvedHeader: '⚠️ These mentions can\'t be matched to a voter:',
+    unresolvedReason: {
+      invalidUsername: 'not a valid username',
+      notUser: 'not a user',
+      notMember: 'not a member of this chat',
+      unknownUser: 'not seen by the bot yet, matched once they vote or write in this chat'
+    },
     useToMention: 'You can use these mentions in your next poll:',
     copyForNext: '📋 Copy this to mention all users who voted for this option:',
     usage: 'Usage: /checkvoters [message_id] [option_number]'
@@ -189,7 +373,149 @@ const en = {
     option: '"{text}": {votes} votes ({percentage}%)',
     allVoted: '✅ All {count} mentioned users voted.',
     someNotVoted: '⚠️ {pending} out of {total} mentioned users did not vote.',
-    closeError: 'Failed to close poll. Please try again.'
+    closeError: 'Failed to close poll. Please try again.',
+    deadlineReached: '⏰ The poll deadline has passed.',
+    usage: 'Reply to a poll with /closepoll or use /closepoll <message_id>',
+    alreadyClosed: 'Poll "{title}" is already closed.'
+  },
+  reminders: {
+    pending: '⏰ Reminder: please vote in "{title}"\n👥 {mentions}',
+    pendingMore: '👥 {mentions}'
+  },
+  history: {
+    header: '📜 Vote history of "{title}"',
+    summary: 'Answers: {vote}, changes: {change}, retractions: {retract}',
+    latest: 'Latest {count} events:',
+    empty: 'No votes have been recorded yet.',
+    vote: '{icon} {time} {user} voted for {current}',
+    change: '{icon} {time} {user} changed the vote: {previous} → {current}',
+    retract: '{icon} {time} {user} retracted the vote for {previous}'
+  },
+  schedule: {
+    empty: 'There are no scheduled polls in this chat.',
+    listHeader: '🕒 Scheduled polls:',
+    listItem: '{number}. "{title}" — {time}',
+    notFound: 'This scheduled poll was already posted or cancelled',
+    permissionDenied: 'Only the poll creator or chat administrators can change scheduled polls',
+    cancelled: 'Scheduled poll "{title}" cancelled',
+    listError: 'Failed to load scheduled polls. Please try again.',
+    actionError: 'Something went wrong, please try again'
+  },
+  recurring: {
+    empty: 'There are no recurring polls in this chat.',
+    listHeader: '🔁 Recurring polls:',
+    listItem: '{number}. "{title}" — {rule}',
+    nextRun: 'Next: {time}',
+    paused: '⏸ Paused',
+    ruleDaily: 'every day at {time}',
+    ruleWeekly: 'every {days} at {time}',
+    ruleCron: 'on cron schedule "{cron}"',
+    weekdays: {
+      0: 'Sunday',
+      1: 'Monday',
+      2: 'Tuesday',
+      3: 'Wednesday',
+      4: 'Thursday',
+      5: 'Friday',
+      6: 'Saturday'
+    },
+    historyHeader: '📊 Recent runs of "{title}":',
+    noRuns: 'No polls have been posted yet.',
+    changeSincePrevious: 'Change since previous run: {changes}',
+    backButton: '⬅️ Back',
+    notFound: 'This recurring poll no longer exists',
+    permissionDenied: 'Only the poll creator or chat administrators can change recurring polls',
+    pausedNotice: 'Recurring poll paused',
+    resumedNotice: 'Recurring poll resumed',
+    deleted: 'Recurring poll "{title}" deleted',
+    listError: 'Failed to load recurring polls. Please try again.',
+    actionError: 'Something went wrong, please try again'
+  },
+  repost: {
+    usage: 'Reply to a poll with /repost or use /repost <message_id>',
+    followUp: '🔁 The poll was reposted. What should happen to the previous one?',
+    closeOldButton: '🔒 Close old poll',
+    pingVotersButton: '📣 Ping its voters',
+    doneButton: '✅ Nothing',
+    oldClosed: 'Poll "{title}" closed',
+    noVoters: 'Nobody voted in the old poll',
+    alreadyPinged: 'The voters of the old poll were already pinged',
+    pingMessage: '📣 Poll "{title}" was posted again, please vote here:\n{mentions}',
+    originalNotFound: 'The original poll was not found',
+    permissionDenied: 'Only the poll creators or chat administrators can do this',
+    actionError: 'Something went wrong, please try again'
+  },
+  inline: {
+    newPoll: '📊 Post poll "{title}"',
+    helpButton: 'How to create polls inline',
+    previewButton: '📊 Poll preview',
+    previewHint: 'The poll is posted in place of this preview when the bot is a member of the chat. Add the bot to the chat and send the poll again.'
+  },
+  drafts: {
+    empty: 'You have no unfinished polls in this chat.',
+    listHeader: '📝 Your unfinished polls:',
+    listItem: '{number}. "{title}", {count} options — edited {time}',
+    continued: 'Draft restored',
+    notYours: 'Only the poll creator can continue this draft',
+    notFound: 'This draft no longer exists',
+    deleted: 'Draft deleted',
+    listError: 'Failed to load drafts. Please try again.',
+    actionError: 'Something went wrong, please try again'
+  },
+  roster: {
+    usage: 'Usage:\n/roster add <name> @user1 @user2 — add users (or reply to a message to add its author)\n/roster remove <name> @user1 — remove users\n/roster delete <name> — delete the roster\n/roster show <name> — list members\n/roster list — list rosters of this chat',
+    empty: 'There are no rosters in this chat. Create one with /roster add <name> @user1 @user2',
+    listHeader: '👥 Rosters:',
+    listItem: '{number}. {name} — {count} members',
+    showHeader: '👥 Roster "{name}", {count} members:',
+    notFound: 'There is no roster named "{name}" in this chat',
+    nameTooLong: 'Roster names can be at most {max} characters long',
+    added: 'Added {count} members to "{name}", it now has {total}',
+    removed: 'Removed {count} members from "{name}", it now has {total}',
+    deleted: 'Roster "{name}" deleted',
+    removeNoUsers: 'Mention the users to remove from "{name}". To delete the whole roster, use /roster delete {name}',
+    permissionDenied: 'Only the roster creator or chat administrators can change this roster',
+    actionError: 'Something went wrong, please try again'
+  },
+  templates: {
+    empty: 'There are no poll templates in this chat. Use the Save as template button in /createpoll to add one.',
+    listHeader: '📋 Poll templates:',
+    listItem: '{number}. {name} — "{title}", {count} options',
+    usageHint: 'Templates are offered when you start /createpoll.',
+    renamePrompt: 'Send a new name for the template "{name}" or /cancel:',
+    deleted: 'Template "{name}" deleted',
+    notFound: 'This template no longer exists',
+    permissionDenied: 'Only the template creator or chat administrators can change templates',
+    listError: 'Failed to load templates. Please try again.',
+    actionError: 'Something went wrong, please try again'
+  },
+  settings: {
+    header: '⚙️ Chat settings',
+    timezone: '🌍 Time zone: {timezone} (now {time})',
+    serverTimezone: 'server time',
+    quietHours: '🌙 Quiet hours: {start}–{end}',
+    quietHoursOff: '🌙 Quiet hours: off',
+    usage: 'Usage:\n/settings timezone Europe/Berlin — dates are shown and entered in this time zone, off for server time\n/settings quiet 22:00-08:00 — reminders, scheduled polls and results wait until the quiet hours end, off to turn them off',
+    invalidTimezone: 'Unknown time zone "{timezone}". Use a name like Europe/Berlin or America/New_York.',
+    invalidQuietHours: 'Could not understand the quiet hours. Use a range like 22:00-08:00.',
+    permissionDenied: 'Only chat administrators can change the settings',
+    saved: '✅ Settings saved',
+    actionError: 'Something went wrong, please try again'
+  },
+  decision: {
+    ruleQuorum: 'quorum of {percentage}% of the mentioned users',
+    ruleThreshold: '{votes} votes for one option',
+    reached: '🎯 The poll "{title}" is decided',
+    quorumMet: 'Quorum reached: {votes} of {total} mentioned users voted ({percentage}%)',
+    leading: 'Leading option: {option} ({votes} votes)',
+    thresholdMet: '{option} reached {votes} votes',
+    closedReason: '🎯 The poll was closed because its decision rule was met'
+  },
+  waitlist: {
+    waitlistedPrivate: '"{option}" in the poll "{title}" is full. You are number {position} on the waitlist and will get a seat when someone takes their vote back.',
+    waitlistedChat: '{mention}, "{option}" is full. You are number {position} on the waitlist.',
+    promotedPrivate: 'A seat freed up: your vote for "{option}" in the poll "{title}" is now confirmed.',
+    promotedChat: '{mention}, a seat freed up: your vote for "{option}" is now confirmed.'
   }
 };
 
@@ -25,16 +25,24 @@ const ru = {
     },
     groupCommands: {
       title: 'Создание опросов:',
-      newpoll: '/newpoll Заголовок опроса | Вариант 1 | Вариант 2 | ...\nСоздать новый опрос с указанным заголовком и вариантами.\nВы можете упомянуть пользователей в заголовке, чтобы отслеживать их голоса.\nПример: /newpoll Встреча завтра @user1 @user2? | Да | Нет | Возможно',
+      newpoll: '/newpoll Заголовок опроса | Вариант 1 | Вариант 2 | ...\nСоздать новый опрос с указанным заголовком и вариантами.\nВы можете упомянуть пользователей в заголовке, чтобы отслеживать их голоса.\nПример: /newpoll Встреча завтра @user1 @user2? | Да | Нет | Возможно\nОтметьте правильный вариант символом *, чтобы создать викторину: /newpoll 2 + 2 = ? | 3 | *4\nФлаги: --multi, --anon, --quiz=N, --close=2h, --remind=30m, --topic[=ID]. Отправьте /newpoll без аргументов, чтобы узнать подробнее.',
       createpoll: '/createpoll\nЗапустить интерактивного мастера создания опроса с пошаговыми инструкциями.\nЭто самый простой способ создать опрос!',
 
       managingTitle: 'Управление опросами:',
+      closepoll: '/closepoll [ID сообщения] - Закрыть опрос и опубликовать итоги. Ответьте на опрос или укажите ID его сообщения. Доступно создателю опроса и администраторам чата.',
+      drafts: '/drafts - Продолжить опрос, начатый через /createpoll и не завершенный, например после перезапуска бота.',
+      repost: '/repost [ID сообщения] - Опубликовать копию опроса. Ответьте на опрос или укажите ID его сообщения, затем отредактируйте копию в мастере. После этого можно закрыть старый опрос и упомянуть его участников.',
+      scheduled: '/scheduled - Показать опросы, ожидающие публикации в этом чате, и изменить или отменить их. Чтобы запланировать опрос, завершите /createpoll кнопкой «Запланировать».',
+      recurring: '/recurring - Показать повторяющиеся опросы этого чата, приостановить, возобновить или удалить их и сравнить результаты разных запусков. Чтобы настроить повтор, завершите /createpoll кнопкой «Повторять».',
+      templates: '/templates - Показать шаблоны опросов этого чата, переименовать или удалить их. Сохраните шаблон кнопкой «Сохранить как шаблон» в /createpoll и выберите его при создании нового опроса.',
+      roster: '/roster add|remove|delete|show имя @user ... - Именованные списки участников, например /roster add team @anna @boris. Ответьте на сообщение, чтобы добавить его автора. /roster delete имя удаляет список, /roster list показывает все списки. Прикрепите список к опросу кнопкой «Прикрепить список» в /createpoll, чтобы упомянуть всех его участников.',
+      settings: '/settings - Показать часовой пояс и тихие часы чата. Администраторы могут изменить их командами /settings timezone Europe/Moscow и /settings quiet 22:00-08:00. Даты показываются в часовом поясе чата, а напоминания, отложенные опросы и итоги, выпавшие на тихие часы, отправляются после их окончания.',
       checkvoters: '/checkvoters [id_сообщения] [номер_варианта] - Проверить, кто проголосовал за конкретный вариант и создать дополнительный опрос для подтверждения участия\nУкажите id_сообщения для выбора опроса и номер_варианта для проверки проголосовавших за этот вариант. Команду можно использовать как в приватном чате с ботом, так и в группе.'
     },
     privateCommands: {
       description: 'Чтобы использовать функции опросов, добавьте меня в групповой чат и используйте следующие команды:',
       newpoll: '/newpoll - Создать новый опрос (текстовая команда)',
-      createpoll: '/createpoll - Создать новый опрос (интерактивный мастер)',
+      createpoll: '/createpoll - Создать новый опрос (интерактивный мастер). В личном чате я спрошу, в какую из наших общих групп его отправить',
 
       checkvoters: '/checkvoters - Проверить, кто проголосовал за конкретный вариант и создать дополнительный опрос для подтверждения участия. Команду можно использовать как в приватном чате, так и в группе',
       trackingInfo: 'Я помогу вам отслеживать голоса и предоставлю удобный постраничный доступ к списку проголосовавших. Также вы можете уведомлять пользователей, которые проголосовали за определенный пункт.'
@@ -44,6 +52,9 @@ const ru = {
   // Poll creation
   poll: {
     groupOnly: 'Опросы можно создавать только в группах или супергруппах.',
+    pickGroup: 'Выберите группу, в которой нужно создать опрос:',
+    noSharedGroups: 'Не удалось найти группу, в которой мы оба состоим. Сначала добавьте меня в группу, затем попробуйте снова.',
+    notGroupMember: 'Вы не состоите в этой группе',
     privateCheckHelp: 'Для проверки опроса из приватного чата используйте формат: /checkvoters <id_группы> [id_сообщения]',
     invalidGroupId: 'Некорректный ID группы. Пожалуйста, укажите правильный числовой ID.',
     noUserPolls: 'У вас нет активных опросов. Сначала создайте опрос в группе или используйте команду /checkvoters <id_группы> [id_сообщения]',
@@ -54,7 +65,33 @@ const ru = {
     syntax: '/newpoll Заголовок опроса | Вариант 1 | Вариант 2 | ...',
     mentionExample: 'Вы можете упомянуть пользователей в заголовке, чтобы отслеживать их голоса. Например:',
     mentionSample: '/newpoll Встреча завтра @user1 @user2?',
+    quizExample: 'Отметьте правильный вариант символом *, чтобы создать викторину:',
+    quizSample: '/newpoll 2 + 2 = ? | 3 | *4 | 5',
+    flagError: 'Не удалось разобрать {token}: {reason}',
+    flags: {
+      usage: 'Флаги пишутся в конце, после последнего варианта:\n' +
+        '--multi — разрешить выбор нескольких вариантов\n' +
+        '--anon — анонимный опрос\n' +
+        '--quiz=N — викторина, вариант N — правильный ответ\n' +
+        '--close=2h — закрыть через указанное время или в указанный момент (2h, 1d, 18:00, "25.12 18:00" или 25.12T18:00)\n' +
+        '--remind=30m — напоминать упомянутым, кто ещё не проголосовал (не чаще раза в 5m)\n' +
+        '--topic или --topic=ID — опубликовать в этой теме форума или в теме с указанным ID\n' +
+        'Пример: /newpoll Обед? | Пицца | Суши --multi --close=2h',
+      unknown: 'неизвестный флаг',
+      noValue: 'этот флаг не принимает значение',
+      valueRequired: 'этому флагу нужно значение, например --close=2h',
+      invalidQuiz: 'номер правильного варианта должен быть числом, начиная с 1',
+      quizOutOfRange: 'варианта с таким номером нет',
+      invalidClose: 'срок должен быть длительностью вроде 2h или будущим временем вроде 18:00',
+      invalidRemind: 'интервал должен быть длительностью вроде 30m или 3h',
+      remindTooShort: 'напоминания не могут приходить чаще, чем раз в 5 минут',
+      invalidTopic: 'ID темы должен быть числом',
+      notInTopic: 'отправьте команду внутри темы форума или укажите ID темы',
+      anonRemind: 'голоса в анонимных опросах не отслеживаются, поэтому напоминать некому'
+    },
+    quizNoMultiple: 'Викторина не может допускать несколько ответов. Уберите --multi или отметку *.',
     minOptions: 'Пожалуйста, укажите как минимум 2 варианта для опроса, разделенных символом |',
+    maxOptions: 'В опросе может быть не больше {max} вариантов, вы указали {count}',
     createdWith: 'Опрос создан с упоминанием {count} {users}:',
     user: 'пользователя',
     users: 'пользователей',
@@ -90,10 +127,13 @@ const ru = {
       titlePlaceholder: 'Введите заголовок опроса здесь...',
       noText: 'Пожалуйста, отправьте текстовое сообщение.',
       usingImportedMentions: 'Я буду использовать {count} пользователей из выбранного варианта "{option}" в вашем опросе.',
+      usingNonVoters: 'Я упомяну в опросе {count} пользователей, которые не проголосовали в "{title}".',
       titleWithImportedMentions: 'Заголовок вашего опроса: "{title}" будет включать следующих пользователей:\n{mentions}',
       includedImportedMentions: 'Опрос включает {count} пользователей, которые проголосовали за вариант "{option}" в предыдущем опросе.',
       mentionsForPoll: '📊 Опрос "{title}"\n👥 {mentions}',
       mentionsForCheckVoters: '📊 Проверка готовности участников к варианту "{option}" опроса "{originalPollTitle}"\n👥 {mentions}',
+      mentionsForRoster: '📊 Опрос "{title}"\n👥 {mentions}',
+      mentionsForNonVoters: '📊 Вы не проголосовали в опросе "{originalPollTitle}", ответьте, пожалуйста, на этот опрос\n👥 {mentions}',
       mentionsDetected: 'Я обнаружил {count} {users} в вашем заголовке: {list}',
       combinedPrompt: 'Давайте создадим новый опрос! Пожалуйста, введите заголовок для вашего опроса.\n\nПосле этого я попрошу вас добавить варианты один за другим. Когда закончите добавление вариантов, напишите /done или нажмите кнопку Готово.',
       compactPrompt: 'Введите заголовок опроса:',
@@ -127,7 +167,7 @@ const ru = {
       editTitleButton: '✏️ Редактировать заголовок',
       editTitlePrompt: 'Введите новый заголовок опроса:',
       addOptionButton: '➕ Добавить вариант',
-      addOptionPrompt: 'Введите вариант #{count}:',
+      addOptionPrompt: 'Введите вариант #{count} (несколько строк добавят несколько вариантов):',
       editOptionPrompt: 'Редактировать вариант "{option}":',
       optionDeleted: 'Вариант удален',
       titleRequired: 'Требуется указать заголовок',
@@ -136,7 +176,97 @@ const ru = {
       pollCreated: 'Опрос успешно создан! Используйте /checkvoters {messageId} для проверки голосов.',
       pollCreatedInGroup: 'Опрос успешно создан в группе ({chatId}). Проверьте группу, чтобы увидеть опрос.',
       creatingInGroup: 'Создание опроса в группе ({chatId})',
-      welcomeCreatePoll: 'Давайте создадим новый опрос! Используйте кнопки ниже, чтобы добавить заголовок и варианты.'
+      welcomeCreatePoll: 'Давайте создадим новый опрос! Используйте кнопки ниже, чтобы добавить заголовок и варианты.',
+      // Answer mode strings
+      multipleOffButton: '☑️ Несколько ответов: выкл',
+      multipleOnButton: '☑️ Несколько ответов: вкл',
+      multipleEnabled: 'Можно выбрать несколько вариантов',
+      multipleDisabled: 'Можно выбрать один вариант',
+      multipleAnswersNote: '☑️ Можно выбрать несколько вариантов',
+      multipleDisablesQuiz: 'Несколько ответов включено, режим викторины выключен',
+      quizDisablesMultiple: 'Режим викторины включен, несколько ответов выключено',
+      // Deadline strings
+      deadlineButton: '⏰ Срок',
+      clearDeadlineButton: '❌ Убрать срок',
+      deadlineSection: 'Закрывается',
+      deadlinePrompt: 'Когда закрыть опрос? Отправьте длительность, например 30m, 2h или 1d, или дату, например 18:00, 25.12 18:00 или 2025-12-25 18:00:',
+      deadlinePlaceholder: '2h',
+      invalidDeadline: 'Не удалось распознать срок. Укажите длительность или дату в будущем.',
+      deadlineCleared: 'Срок удален',
+      // Reminder strings
+      remindersButton: '🔔 Напоминания',
+      clearRemindersButton: '❌ Выключить напоминания',
+      remindersSection: 'Напоминания',
+      remindersEvery: 'каждые {interval}, пока не истечет срок или пока все упомянутые не проголосуют',
+      remindersPrompt: 'Как часто напоминать упомянутым, кто ещё не проголосовал? Отправьте длительность, например 30m, 3h или 1d:',
+      remindersPlaceholder: '3h',
+      invalidReminders: 'Не удалось распознать интервал. Укажите длительность не меньше 5 минут.',
+      remindersCleared: 'Напоминания выключены',
+      // Decision rule strings
+      decisionButton: '🎯 Правило решения',
+      clearDecisionButton: '❌ Убрать правило',
+      decisionCloseOnButton: '🔒 Закрыть при выполнении: да',
+      decisionCloseOffButton: '🔓 Закрыть при выполнении: нет',
+      decisionSection: 'Правило решения',
+      decisionClosesNote: '(опрос закроется, когда оно выполнится)',
+      decisionPrompt: 'Когда опрос считается решенным? Отправьте процент, например 60%, для кворума упомянутых пользователей или число, например 5, — сколько голосов нужно лидирующему варианту:',
+      decisionPlaceholder: '60%',
+      invalidDecision: 'Не удалось распознать правило. Отправьте процент от 1% до 100% или число голосов.',
+      decisionCleared: 'Правило решения удалено',
+      quorumNeedsMentions: 'Для кворума нужны упомянутые пользователи. Упомяните пользователей в опросе или используйте порог голосов.',
+      // Capacity strings
+      optionCapacity: 'мест: {capacity}',
+      capacityPrompt: 'Сколько мест у варианта "{option}"? Проголосовавшие сверх этого попадут в лист ожидания и получат место, когда кто-нибудь отзовет голос. Отправьте 0, чтобы снять ограничение:',
+      capacityPlaceholder: '10',
+      invalidCapacity: 'Отправьте число мест или 0, чтобы снять ограничение.',
+      attachRosterButton: '👥 Прикрепить список',
+      detachRosterButton: '❌ Убрать список',
+      chooseRoster: '👥 Выберите список, его участники будут упомянуты в опросе:',
+      noRosters: 'В этом чате нет списков участников. Создайте список командой /roster add <имя> @user1 @user2',
+      rosterNotFound: 'Этот список больше не существует',
+      rosterAttached: 'Список "{name}" прикреплен, участников: {count}',
+      rosterDetached: 'Список убран',
+      rosterSection: '(включая список "{name}")',
+      deadlinePassed: 'Срок уже прошел, пожалуйста, укажите новый',
+      // Scheduling strings
+      scheduleButton: '🕒 Запланировать',
+      schedulePrompt: 'Когда опубликовать опрос? Отправьте длительность, например 30m, 2h или 1d, или дату, например 18:00, 25.12 18:00 или 2025-12-25 18:00:',
+      invalidScheduleTime: 'Не удалось распознать время. Укажите длительность или дату в будущем.',
+      scheduleAfterDeadline: 'Опрос будет опубликован после своего срока. Выберите более раннее время или измените срок.',
+      scheduled: '🕒 Опрос "{title}" будет опубликован {time}. Используйте /scheduled, чтобы изменить или отменить его.',
+      scheduleError: 'Не удалось запланировать опрос. Пожалуйста, попробуйте еще раз.',
+      editingScheduled: '🕒 Запланирован на {time}',
+      // Recurrence strings
+      repeatButton: '🔁 Повторять',
+      recurrencePrompt: 'Как часто публиковать опрос? Примеры:\nежедневно 09:00\nеженедельно пн,чт 18:00\ncron 0 9 * * 1-5 (минута час день месяц день_недели)',
+      recurrencePlaceholder: 'еженедельно вс 12:00',
+      invalidRecurrence: 'Не удалось распознать расписание. Используйте один из форматов из примеров.',
+      recurringSaved: '🔁 Опрос "{title}" будет публиковаться {rule}. Первый запуск: {time}. Используйте /recurring для управления.',
+      recurringError: 'Не удалось сохранить повторяющийся опрос. Пожалуйста, попробуйте еще раз.',
+      maxOptionsReached: 'В опросе может быть не больше {max} вариантов',
+      optionsDropped: 'В опросе может быть не больше {max} вариантов, строки, которые не поместились ({count}):\n{lines}',
+      repostingNote: '🔁 Копия существующего опроса',
+      // Template strings
+      chooseTemplate: '📋 Начните с шаблона или создайте новый опрос с нуля:',
+      blankPollButton: '➕ Пустой опрос',
+      saveTemplateButton: '💾 Сохранить как шаблон',
+      templateSaved: 'Шаблон "{name}" сохранен',
+      templateSaveError: 'Не удалось сохранить шаблон',
+      templateApplied: 'Шаблон "{name}" загружен',
+      templateNotFound: 'Этот шаблон больше не существует',
+      // Quiz mode strings
+      quizOffButton: '🎓 Викторина: выкл',
+      quizOnButton: '🎓 Викторина: вкл',
+      quizEnabled: 'Режим викторины включен. Отметьте правильный вариант.',
+      quizDisabled: 'Режим викторины выключен',
+      quizSection: 'Викторина',
+      correctOptionSet: 'Правильный вариант отмечен',
+      correctOptionNotSet: 'Правильный вариант еще не отмечен',
+      correctOptionRequired: 'Отметьте правильный вариант для викторины',
+      explanationButton: '💡 Пояснение',
+      explanationSection: 'Пояснение',
+      explanationPrompt: 'Введите пояснение, которое увидят после ответа (до {max} символов):',
+      explanationPlaceholder: 'Введите пояснение здесь...'
     },
     voters: {
       startingPollCreation: 'Создание опроса...',
@@ -173,7 +303,45 @@ const ru = {
       pollInGroup: 'Опрос в группе',
       previousPolls: 'Ваши предыдущие опросы',
       activePolls: 'Активные опросы в ваших группах',
-      errorLoadingPolls: 'Ошибка при загрузке опросов. Пожалуйста, попробуйте снова.'
+      errorLoadingPolls: 'Ошибка при загрузке опросов. Пожалуйста, попробуйте снова.',
+      multipleChoiceNote: 'В этом опросе можно выбрать несколько ответов, поэтому один человек может учитываться в нескольких вариантах. Уникальных голосующих: {count}',
+      quizResultsButton: '🎓 Результаты викторины',
+      quizCorrectAnswer: 'Правильный ответ: "{option}"',
+      quizAnsweredRight: 'Ответили правильно: {count}',
+      quizAnsweredWrong: 'Ответили неправильно: {count}',
+      quizScores: 'Счет викторин в этом чате:',
+      quizScoreLine: '{position}. {name} — {correct}/{total}',
+      notVotedButton: '🙈 Не проголосовали ({count})',
+      notVotedHeader: 'Упомянуты, но не проголосовали: {count}',
+      everyoneVoted: '✅ Все упомянутые пользователи проголосовали.',
+      pingNonVotersButton: '🔔 Напомнить им',
+      nonVotersPinged: 'Напоминание отправлено пользователям: {count}',
+      nonVotersCannotPing: 'Никого из этих пользователей нельзя упомянуть',
+      notVotedOption: 'Не проголосовали',
+      notVotedFollowUpTitle: 'Повторный опрос для пропустивших "{title}"',
+      voterSetButton: '🧮 Объединить голоса нескольких опросов',
+      voterSetHeader: 'Конструктор выборки',
+      voterSetEmpty: 'Добавьте опрос, затем объедините его с другими, чтобы найти тех, кто голосовал во всех опросах, хотя бы в одном или в одном, но не в другом.',
+      voterSetAddButton: '➕ Добавить опрос',
+      voterSet: {
+        union: '∪ Или',
+        intersect: '∩ И',
+        difference: '∖ Кроме'
+      },
+      voterSetSelectPoll: 'Выберите опрос:',
+      voterSetSelectOption: 'Чьи голоса в "{title}"?',
+      voterSetAnyOption: 'Любой вариант',
+      voterSetResult: 'Пользователей в выборке: {count}',
+      voterSetEmptyResult: 'В выборке никого нет',
+      voterSetExportButton: '📄 Экспорт CSV',
+      voterSetResetButton: '🔄 Начать заново',
+      voterSetPing: '🔔 {mentions}',
+      voterSetPingButton: '🔔 Упомянуть всех из выборки',
+      voterSetSeveralChats: 'Выборка объединяет опросы из нескольких чатов. Упоминание или новый опрос показали бы участников одного чата в другом, составьте выборку из опросов одного чата.',
+      voterSetOption: 'Выбранные участники',
+      lineage: '🧬 Цепочка опросов: {chain}',
+      followUps: '↪️ Повторные опросы: {polls}',
+      historyButton: '📜 История'
     }
   },
   
@@ -185,12 +353,21 @@ const ru = {
     invalidOption: 'Некорректный номер варианта. Пожалуйста, укажите правильный номер варианта от 1 до {count}.',
     noVoters: 'Никто не проголосовал за этот вариант: "{option}"',
     optionVoters: 'Проголосовали: {count}',
+    alsoVotedOtherOptions: 'Из них {count} также выбрали другие варианты',
+    confirmedVoters: '✅ Подтверждены: {count} из {capacity} мест',
+    waitlistedVoters: '⏳ Лист ожидания: {count}',
     list: 'Проголосовавшие:',
     page: 'Страница',
     existingVotes: 'И ещё {count} анонимных голосов, отданных до начала отслеживания',
     anonymousVotes: 'И ещё {count} анонимных голосов',
-    mixedAnonymousVotes: '{existing} голосов до начала отслеживания и {anonymous} анонимных голосов после',
-    totalAnonymousVotes: 'И ещё {count} анонимных голосов',
+    trackingLimitation: 'Telegram не сообщает, кто проголосовал до начала отслеживания. Начинайте отслеживать опрос до голосования, чтобы видеть всех участников.',
+    unresolvedHeader: '⚠️ Эти упоминания нельзя сопоставить с голосующими:',
+    unresolvedReason: {
+      invalidUsername: 'некорректное имя пользователя',
+      notUser: 'это не пользователь',
+      notMember: 'не состоит в этом чате',
+      unknownUser: 'бот еще не видел этого пользователя, он распознается, когда проголосует или напишет в чат'
+    },
     trackedSince: 'Отслеживается с: {date}',
     cannotDetermineVotes: 'Для варианта "{option}" невозможно определить проголосовавших пользователей из {count} голосов в анонимном опросе.',
     useToMention: 'Вы можете использовать эти упоминания в вашем следующем опросе:',
@@ -217,7 +394,149 @@ const ru = {
     option: '"{text}": {votes} голосов ({percentage}%)',
     allVoted: '✅ Все {count} упомянутых пользователей проголосовали.',
     someNotVoted: '⚠️ {pending} из {total} упомянутых пользователей не проголосовали.',
-    closeError: 'Не удалось закрыть опрос. Пожалуйста, попробуйте еще раз.'
+    closeError: 'Не удалось закрыть опрос. Пожалуйста, попробуйте еще раз.',
+    deadlineReached: '⏰ Срок опроса истек.',
+    usage: 'Ответьте на опрос командой /closepoll или используйте /closepoll <id_сообщения>',
+    alreadyClosed: 'Опрос "{title}" уже закрыт.'
+  },
+  reminders: {
+    pending: '⏰ Напоминание: проголосуйте в опросе "{title}"\n👥 {mentions}',
+    pendingMore: '👥 {mentions}'
+  },
+  history: {
+    header: '📜 История голосования в "{title}"',
+    summary: 'Ответов: {vote}, изменений: {change}, отзывов: {retract}',
+    latest: 'Последние события ({count}):',
+    empty: 'Голосов пока нет.',
+    vote: '{icon} {time} {user} проголосовал(а) за {current}',
+    change: '{icon} {time} {user} изменил(а) голос: {previous} → {current}',
+    retract: '{icon} {time} {user} отозвал(а) голос за {previous}'
+  },
+  schedule: {
+    empty: 'В этом чате нет запланированных опросов.',
+    listHeader: '🕒 Запланированные опросы:',
+    listItem: '{number}. "{title}" — {time}',
+    notFound: 'Этот опрос уже опубликован или отменен',
+    permissionDenied: 'Изменять запланированные опросы могут только создатель опроса и администраторы чата',
+    cancelled: 'Запланированный опрос "{title}" отменен',
+    listError: 'Не удалось загрузить запланированные опросы. Пожалуйста, попробуйте еще раз.',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  recurring: {
+    empty: 'В этом чате нет повторяющихся опросов.',
+    listHeader: '🔁 Повторяющиеся опросы:',
+    listItem: '{number}. "{title}" — {rule}',
+    nextRun: 'Следующий: {time}',
+    paused: '⏸ Приостановлен',
+    ruleDaily: 'каждый день в {time}',
+    ruleWeekly: 'по дням: {days} в {time}',
+    ruleCron: 'по расписанию cron "{cron}"',
+    weekdays: {
+      0: 'воскресенье',
+      1: 'понедельник',
+      2: 'вторник',
+      3: 'среда',
+      4: 'четверг',
+      5: 'пятница',
+      6: 'суббота'
+    },
+    historyHeader: '📊 Последние запуски "{title}":',
+    noRuns: 'Опросы еще не публиковались.',
+    changeSincePrevious: 'Изменение с прошлого запуска: {changes}',
+    backButton: '⬅️ Назад',
+    notFound: 'Этот повторяющийся опрос больше не существует',
+    permissionDenied: 'Изменять повторяющиеся опросы могут только создатель опроса и администраторы чата',
+    pausedNotice: 'Повторяющийся опрос приостановлен',
+    resumedNotice: 'Повторяющийся опрос возобновлен',
+    deleted: 'Повторяющийся опрос "{title}" удален',
+    listError: 'Не удалось загрузить повторяющиеся опросы. Пожалуйста, попробуйте еще раз.',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  repost: {
+    usage: 'Ответьте на опрос командой /repost или используйте /repost <id_сообщения>',
+    followUp: '🔁 Опрос опубликован заново. Что сделать с предыдущим?',
+    closeOldButton: '🔒 Закрыть старый опрос',
+    pingVotersButton: '📣 Упомянуть проголосовавших',
+    doneButton: '✅ Ничего',
+    oldClosed: 'Опрос "{title}" закрыт',
+    noVoters: 'В старом опросе никто не голосовал',
+    pingMessage: '📣 Опрос "{title}" опубликован заново, проголосуйте здесь:\n{mentions}',
+    alreadyPinged: 'Проголосовавших в старом опросе уже упомянули',
+    originalNotFound: 'Исходный опрос не найден',
+    permissionDenied: 'Это могут сделать только создатели опросов и администраторы чата',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  inline: {
+    newPoll: '📊 Опубликовать опрос "{title}"',
+    helpButton: 'Как создавать опросы через inline',
+    previewButton: '📊 Предпросмотр опроса',
+    previewHint: 'Опрос появляется вместо предпросмотра, если бот состоит в чате. Добавьте бота в чат и отправьте опрос еще раз.'
+  },
+  drafts: {
+    empty: 'У вас нет незавершенных опросов в этом чате.',
+    listHeader: '📝 Ваши незавершенные опросы:',
+    listItem: '{number}. "{title}", вариантов: {count} — изменен {time}',
+    continued: 'Черновик восстановлен',
+    notYours: 'Продолжить этот черновик может только автор опроса',
+    notFound: 'Этот черновик больше не существует',
+    deleted: 'Черновик удален',
+    listError: 'Не удалось загрузить черновики. Пожалуйста, попробуйте еще раз.',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  roster: {
+    usage: 'Использование:\n/roster add <имя> @user1 @user2 — добавить пользователей (или ответьте на сообщение, чтобы добавить его автора)\n/roster remove <имя> @user1 — удалить пользователей\n/roster delete <имя> — удалить список\n/roster show <имя> — показать участников\n/roster list — списки этого чата',
+    empty: 'В этом чате нет списков участников. Создайте список командой /roster add <имя> @user1 @user2',
+    listHeader: '👥 Списки участников:',
+    listItem: '{number}. {name} — участников: {count}',
+    showHeader: '👥 Список "{name}", участников: {count}:',
+    notFound: 'В этом чате нет списка "{name}"',
+    nameTooLong: 'Имя списка может быть не длиннее {max} символов',
+    added: 'В список "{name}" добавлено участников: {count}, всего: {total}',
+    removed: 'Из списка "{name}" удалено участников: {count}, осталось: {total}',
+    deleted: 'Список "{name}" удалён',
+    removeNoUsers: 'Упомяните пользователей, которых нужно удалить из "{name}". Чтобы удалить список целиком, используйте /roster delete {name}',
+    permissionDenied: 'Изменять этот список могут только его создатель и администраторы чата',
+    actionError: 'Что-то пошло не так, попробуйте ещё раз'
+  },
+  templates: {
+    empty: 'В этом чате нет шаблонов опросов. Используйте кнопку «Сохранить как шаблон» в /createpoll, чтобы добавить шаблон.',
+    listHeader: '📋 Шаблоны опросов:',
+    listItem: '{number}. {name} — "{title}", вариантов: {count}',
+    usageHint: 'Шаблоны предлагаются при запуске /createpoll.',
+    renamePrompt: 'Отправьте новое название для шаблона "{name}" или /cancel:',
+    deleted: 'Шаблон "{name}" удален',
+    notFound: 'Этот шаблон больше не существует',
+    permissionDenied: 'Изменять шаблоны могут только их создатель и администраторы чата',
+    listError: 'Не удалось загрузить шаблоны. Пожалуйста, попробуйте еще раз.',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  settings: {
+    header: '⚙️ Настройки чата',
+    timezone: '🌍 Часовой пояс: {timezone} (сейчас {time})',
+    serverTimezone: 'время сервера',
+    quietHours: '🌙 Тихие часы: {start}–{end}',
+    quietHoursOff: '🌙 Тихие часы: выключены',
+    usage: 'Использование:\n/settings timezone Europe/Moscow — даты показываются и вводятся в этом часовом поясе, off — время сервера\n/settings quiet 22:00-08:00 — напоминания, отложенные опросы и итоги ждут окончания тихих часов, off — выключить',
+    invalidTimezone: 'Неизвестный часовой пояс "{timezone}". Укажите название вроде Europe/Moscow или Asia/Yekaterinburg.',
+    invalidQuietHours: 'Не удалось распознать тихие часы. Укажите промежуток вроде 22:00-08:00.',
+    permissionDenied: 'Изменять настройки могут только администраторы чата',
+    saved: '✅ Настройки сохранены',
+    actionError: 'Что-то пошло не так, попробуйте еще раз'
+  },
+  decision: {
+    ruleQuorum: 'кворум {percentage}% упомянутых пользователей',
+    ruleThreshold: '{votes} голосов за один вариант',
+    reached: '🎯 Опрос "{title}" решен',
+    quorumMet: 'Кворум набран: проголосовали {votes} из {total} упомянутых пользователей ({percentage}%)',
+    leading: 'Лидирует вариант: {option} (голосов: {votes})',
+    thresholdMet: 'Вариант {option} набрал {votes} голосов',
+    closedReason: '🎯 Опрос закрыт, потому что выполнено его правило решения'
+  },
+  waitlist: {
+    waitlistedPrivate: 'Мест на вариант "{option}" в опросе "{title}" больше нет. Вы {position}-й в листе ожидания и получите место, когда кто-нибудь отзовет голос.',
+    waitlistedChat: '{mention}, мест на вариант "{option}" больше нет. Вы {position}-й в листе ожидания.',
+    promotedPrivate: 'Освободилось место: ваш голос за "{option}" в опросе "{title}" подтвержден.',
+    promotedChat: '{mention}, освободилось место: ваш голос за "{option}" подтвержден.'
   }
 };
 
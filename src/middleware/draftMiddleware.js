@@ -0,0 +1,51 @@
+/**
+ * Middleware for restoring poll creation drafts
+ * @module middleware/draftMiddleware
+ */
+
+const PollDraft = require('../models/PollDraft');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware that re-enters the poll creation wizard when a button of a draft's
+ * interface message is pressed after the session was lost (restart or scene timeout).
+ * Must be registered after the stage middleware.
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {Function} next - Next middleware function
+ */
+const draftMiddleware = async (ctx, next) => {
+  const message = ctx.callbackQuery?.message;
+  if (!message || !ctx.scene || ctx.scene.current) {
+    return await next();
+  }
+
+  let draft = null;
+  try {
+    draft = await PollDraft.findOne({
+      chatId: message.chat.id,
+      messageId: message.message_id
+    });
+  } catch (error) {
+    logger.error('Error looking up poll draft:', error);
+  }
+
+  if (!draft) {
+    return await next();
+  }
+
+  // Only the creator can continue the draft, as with a running wizard
+  if (draft.creatorId !== ctx.from.id) {
+    return await ctx.answerCbQuery(ctx.i18n.t('drafts.notYours'));
+  }
+
+  logger.debug(`Restoring poll draft ${draft._id} from interface message`);
+
+  return ctx.scene.enter('compact-create-poll', {
+    draft: { _id: draft._id, pollData: draft.pollData },
+    fromInterface: true
+  });
+};
+
+module.exports = {
+  draftMiddleware
+};
@@ -2,6 +2,8 @@ const { chatTypeMiddleware } = require('./chatTypeMiddleware');
 const { userMiddleware } = require('./userMiddleware');
 const logger = require('../utils/logger');
 const { i18nMiddleware } = require('../utils/i18n');
+const { chatRegistryMiddleware } = require('../utils/chatRegistry');
+const { userDirectoryMiddleware } = require('../utils/userDirectory');
 
 /**
  * Set up all middleware for the bot
@@ -33,6 +35,12 @@ const setupMiddleware = (bot) => {
   // Add chat type context
   bot.use(chatTypeMiddleware);
   
+  // Keep track of the groups the bot is in
+  bot.use(chatRegistryMiddleware);
+  
+  // Remember the users the bot sees, including voters
+  bot.use(userDirectoryMiddleware);
+  
   // Add user data to context
   bot.use(userMiddleware);
   
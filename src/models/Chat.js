@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Chat schema for mongoose
+ * Registry of group chats the bot has been added to
+ */
+const ChatSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String, // Telegram chat type (group, supergroup)
+    default: 'group'
+  },
+  username: {
+    type: String, // Public username of the chat, if any
+    default: null
+  },
+  isActive: {
+    type: Boolean, // Whether the bot is currently a member of the chat
+    default: true
+  },
+  lastSeenAt: {
+    type: Date, // Last time the bot received an update from the chat
+    default: Date.now
+  },
+  timezone: {
+    type: String, // IANA time zone dates are shown and entered in, the server time zone if not set
+    default: null
+  },
+  quietHoursStart: {
+    type: Number, // Minutes after midnight when the bot stops sending scheduled messages
+    default: null
+  },
+  quietHoursEnd: {
+    type: Number, // Minutes after midnight when scheduled messages are sent again
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing the chats the bot is in
+ChatSchema.index({ isActive: 1, lastSeenAt: -1 });
+
+/**
+ * Static method to get chats the bot is currently a member of
+ * @param {Number} limit - Maximum number of chats to return
+ * @returns {Promise<Array>} Array of chats, most recently active first
+ */
+ChatSchema.statics.getActive = async function(limit = 50) {
+  return this.find({ isActive: true })
+    .sort({ lastSeenAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to get the chats with the given IDs the bot is currently a member of
+ * @param {Array<Number>} chatIds - Telegram chat IDs
+ * @param {Number} limit - Maximum number of chats to return
+ * @returns {Promise<Array>} Array of chats, most recently active first
+ */
+ChatSchema.statics.getActiveByIds = async function(chatIds, limit = 50) {
+  return this.find({ chatId: { $in: chatIds }, isActive: true })
+    .sort({ lastSeenAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Check whether quiet hours are set up for the chat
+ * @returns {Boolean} Whether scheduled messages are held back part of the day
+ */
+ChatSchema.methods.hasQuietHours = function() {
+  return Number.isInteger(this.quietHoursStart) &&
+    Number.isInteger(this.quietHoursEnd) &&
+    this.quietHoursStart !== this.quietHoursEnd;
+};
+
+const Chat = mongoose.model('Chat', ChatSchema);
+
+module.exports = Chat;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Choices that never showed up in a group are removed after a day
+const INLINE_POLL_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Inline poll schema for mongoose
+ * Remembers an inline result chosen by a user until its message shows up in a chat,
+ * at which point the real poll is posted there
+ */
+const InlinePollSchema = new mongoose.Schema({
+  userId: {
+    type: Number, // Telegram user ID of the user who chose the result
+    required: true
+  },
+  resultId: {
+    type: String, // ID of the chosen inline result, also carried by the preview button
+    required: true
+  },
+  source: {
+    type: String, // What the poll is created from
+    enum: ['text', 'poll', 'template'],
+    required: true
+  },
+  sourceId: {
+    type: String, // Poll or template document ID
+    default: null
+  },
+  query: {
+    type: String, // Inline query text, the poll itself for text results
+    default: ''
+  },
+  locale: {
+    type: String, // Language of the user
+    default: 'en'
+  },
+  status: {
+    type: String,
+    enum: ['chosen', 'posted'],
+    default: 'chosen'
+  },
+  chatId: {
+    type: Number, // Chat the poll was posted to
+    default: null
+  },
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll document created when posting
+    ref: 'Poll',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for matching the inline message to the latest choice of its sender and result
+InlinePollSchema.index({ userId: 1, resultId: 1, status: 1, createdAt: -1 });
+InlinePollSchema.index({ createdAt: 1 }, { expireAfterSeconds: INLINE_POLL_TTL_SECONDS });
+
+const InlinePoll = mongoose.model('InlinePoll', InlinePollSchema);
+
+module.exports = InlinePoll;
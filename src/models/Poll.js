@@ -1,49 +1,48 @@
 const mongoose = require('mongoose');
+const { PollOptionSchema, MentionSchema, DecisionRuleSchema } = require('./pollSchemas');
 
 /**
- * Schema for poll options
+ * Schema for an option in the final results snapshot
  */
-const PollOptionSchema = new mongoose.Schema({
+const ResultOptionSchema = new mongoose.Schema({
   text: {
     type: String,
-    required: true,
     trim: true
   },
-  voterIds: {
-    type: [Number], // Telegram user IDs of voters
-    default: []
-  },
-  existingVotes: {
-    type: Number, // Count of votes that existed before tracking
+  votes: {
+    type: Number, // Total votes, including ones that couldn't be attributed
     default: 0
+  },
+  voters: {
+    type: [{
+      userId: Number, // Telegram user ID
+      name: String // Display name at the time the poll was closed
+    }],
+    default: []
   }
-});
+}, { _id: false });
 
 /**
- * Schema for poll mentions
+ * Schema for the final results snapshot taken when a poll is closed
  */
-const MentionSchema = new mongoose.Schema({
-  userId: {
-    type: Number, // Telegram user ID
-    required: false
-  },
-  username: {
-    type: String,
-    trim: true
+const FinalResultsSchema = new mongoose.Schema({
+  closedAt: {
+    type: Date,
+    default: Date.now
   },
-  firstName: {
-    type: String,
-    trim: true
+  closedBy: {
+    type: Number, // Telegram user ID, null when closed by the scheduler
+    default: null
   },
-  lastName: {
-    type: String,
-    trim: true
+  totalVoters: {
+    type: Number,
+    default: 0
   },
-  voted: {
-    type: Boolean,
-    default: false
+  options: {
+    type: [ResultOptionSchema],
+    default: []
   }
-});
+}, { _id: false });
 
 /**
  * Poll schema for mongoose
@@ -100,18 +99,77 @@ const PollSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  type: {
+    type: String, // Telegram poll type
+    enum: ['regular', 'quiz'],
+    default: 'regular'
+  },
+  correctOptionId: {
+    type: Number, // Index of the correct option for quiz polls
+    default: null
+  },
+  explanation: {
+    type: String, // Text shown to users after answering a quiz
+    trim: true,
+    default: ''
+  },
   isClosed: {
     type: Boolean,
     default: false
   },
   closesAt: {
+    type: Date, // Deadline after which the scheduler closes the poll
+    default: null
+  },
+  remindEvery: {
+    type: Number, // Interval in ms between reminders to mentioned users who haven't voted
+    default: null
+  },
+  lastRemindedAt: {
     type: Date,
     default: null
   },
+  nextReminderAt: {
+    type: Date, // When the scheduler sends the next reminder, null once reminders are over
+    default: null
+  },
+  reminderCount: {
+    type: Number, // Number of reminders sent so far
+    default: 0
+  },
+  decisionRule: {
+    type: DecisionRuleSchema, // When the outcome of the poll is final, e.g. 60% of the mentioned users voted
+    default: null
+  },
+  decisionMetAt: {
+    type: Date, // When the decision rule was met and announced
+    default: null
+  },
+  messageThreadId: {
+    type: Number, // Forum topic the poll was posted in
+    default: null
+  },
+  locale: {
+    type: String, // Language of the creator, used for messages sent without a user context
+    default: 'en'
+  },
   fromCheckVoters: {
     type: Boolean,
     default: false
   },
+  parentPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll whose voters this follow-up poll was created for
+    ref: 'Poll',
+    default: null
+  },
+  sourceOptionIndex: {
+    type: Number, // Option of the parent poll the mentioned users voted for, null if they were picked otherwise
+    default: null
+  },
+  sourceOptionText: {
+    type: String, // Text of that option, or how the users were picked (e.g. "Didn't vote")
+    default: null
+  },
   isTracked: {
     type: Boolean,
     default: false
@@ -124,10 +182,41 @@ const PollSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  finalResults: {
+    type: FinalResultsSchema, // Snapshot of the results when the poll was closed, never changed afterwards
+    default: null
+  },
+  resultsAnnounceAt: {
+    type: Date, // When the results held back by the chat's quiet hours are posted
+    default: null
+  },
+  closeReason: {
+    type: String, // Translation key of the line explaining why the poll was closed
+    default: null
+  },
   originalPollId: {
     type: String,
     index: true,
     sparse: true
+  },
+  repostedFromPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll document this poll is a repost of
+    ref: 'Poll',
+    default: null
+  },
+  originalVotersPingedAt: {
+    type: Date, // When the voters of the original poll were asked to vote in this repost
+    default: null
+  },
+  recurringPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Recurring poll this poll was posted from
+    ref: 'RecurringPoll',
+    default: null
+  },
+  rosterId: {
+    type: mongoose.Schema.Types.ObjectId, // Roster whose members were mentioned in the poll
+    ref: 'Roster',
+    default: null
   }
 }, {
   timestamps: true
@@ -136,6 +225,24 @@ const PollSchema = new mongoose.Schema({
 // Indexes for efficient lookups
 PollSchema.index({ chatId: 1, messageId: 1 }, { unique: true });
 PollSchema.index({ pollId: 1 }, { sparse: true });
+PollSchema.index({ isClosed: 1, closesAt: 1 });
+PollSchema.index({ isClosed: 1, nextReminderAt: 1 });
+PollSchema.index({ resultsAnnounceAt: 1 }, { sparse: true });
+PollSchema.index({ recurringPollId: 1, createdAt: -1 });
+PollSchema.index({ parentPollId: 1, createdAt: 1 });
+
+// Remember whether the results snapshot existed when the document was loaded
+PollSchema.post('init', function() {
+  this.$locals.hasFinalResults = !!this.finalResults;
+});
+
+// The final results snapshot is immutable once stored
+PollSchema.pre('save', function(next) {
+  if (this.$locals.hasFinalResults && this.isModified('finalResults')) {
+    return next(new Error(`Final results of poll ${this._id} can't be changed`));
+  }
+  next();
+});
 
 /**
  * Add a vote to a poll option
@@ -155,13 +262,8 @@ PollSchema.methods.addVote = async function(optionIndex, userId) {
   // If not multiple choice, remove previous votes
   if (!this.isMultipleChoice) {
     this.options.forEach(option => {
-      // Remove only this user's vote, keep placeholders and other users' votes
-      option.voterIds = option.voterIds.filter(id => {
-        // Remove this user's ID
-        if (id === userId) return false;
-        // Keep all other IDs (negative placeholders and positive user IDs)
-        return true;
-      });
+      // Remove only this user's vote
+      option.voterIds = option.voterIds.filter(id => id !== userId);
     });
   }
   
@@ -180,34 +282,420 @@ PollSchema.methods.addVote = async function(optionIndex, userId) {
   return true;
 };
 
+/**
+ * Get IDs of all real users who voted, each counted once
+ * @returns {Array<Number>} - Telegram user IDs of voters
+ */
+PollSchema.methods.getUniqueVoterIds = function() {
+  const uniqueVoters = new Set();
+  
+  this.options.forEach(option => {
+    (option.voterIds || []).forEach(id => uniqueVoters.add(id));
+  });
+  
+  return Array.from(uniqueVoters);
+};
+
+/**
+ * Count the number of people who voted in the poll
+ * Unattributed votes stand for one voter each. In a multiple choice poll one person
+ * may be counted in several options, so the largest option is used as the lower bound.
+ * @returns {Number} - Total number of voters
+ */
+PollSchema.methods.countTotalVoters = function() {
+  const unattributedCounts = this.options.map(option => option.unattributedVotes || 0);
+  
+  const unattributedVoters = this.isMultipleChoice
+    ? Math.max(0, ...unattributedCounts)
+    : unattributedCounts.reduce((sum, count) => sum + count, 0);
+  
+  return this.getUniqueVoterIds().length + unattributedVoters;
+};
+
+/**
+ * Reconcile the vote counts of the options with the counts reported by Telegram
+ * Votes Telegram counted beyond the known voters of an option are kept as unattributed votes.
+ * Without Telegram counts the last reported ones are used, e.g. after a poll_answer update.
+ * @param {Array} [telegramOptions] - Options of a Telegram poll object with voter_count
+ * @returns {Number} - Number of options whose counts changed
+ */
+PollSchema.methods.reconcileVoteCounts = function(telegramOptions = null) {
+  let changedCount = 0;
+  
+  this.options.forEach((option, index) => {
+    const reportedCount = telegramOptions?.[index]?.voter_count;
+    const attributedCount = (option.voterIds || []).length;
+    
+    // The poll_answer of a vote may arrive after the poll update that counted it, or the other way around
+    const existingVotes = Math.max(
+      typeof reportedCount === 'number' && reportedCount >= 0 ? reportedCount : option.existingVotes || 0,
+      attributedCount
+    );
+    const unattributedVotes = existingVotes - attributedCount;
+    
+    if (option.existingVotes !== existingVotes || option.unattributedVotes !== unattributedVotes) {
+      option.existingVotes = existingVotes;
+      option.unattributedVotes = unattributedVotes;
+      changedCount++;
+    }
+  });
+  
+  return changedCount;
+};
+
+/**
+ * Get the options a user voted for
+ * @param {Number} userId - Telegram user ID
+ * @returns {Array<Number>} - Indexes of the options the user chose
+ */
+PollSchema.methods.getUserOptionIds = function(userId) {
+  return this.options
+    .map((option, index) => ((option.voterIds || []).includes(userId) ? index : -1))
+    .filter(index => index !== -1);
+};
+
 /**
  * Check if all mentioned users have voted
  * @returns {Boolean} - Whether all mentioned users have voted
  */
 PollSchema.methods.allMentionsVoted = function() {
-  if (this.mentions.length === 0) {
-    return true;
-  }
-  return this.mentions.every(mention => mention.voted);
+  return this.getPendingMentions().length === 0;
 };
 
 /**
  * Get list of mentions that haven't voted yet
+ * A mention counts as voted when it was marked so or its user ID is among the voters,
+ * so roster members are matched against the actual votes.
  * @returns {Array} - Array of mentions that haven't voted
  */
 PollSchema.methods.getPendingMentions = function() {
-  return this.mentions.filter(mention => !mention.voted);
+  const voterIds = new Set(this.getUniqueVoterIds());
+  return this.mentions.filter(mention => !mention.voted && !voterIds.has(mention.userId));
+};
+
+/**
+ * Get the time of the next reminder according to the reminder policy of the poll
+ * Reminders repeat every remindEvery until the deadline or until every mentioned user has voted.
+ * @param {Date} [from] - Time of the last reminder, the last one sent or the posting time by default
+ * @returns {Date|null} - Time of the next reminder or null if no more reminders are due
+ */
+PollSchema.methods.getNextReminderAt = function(from = this.lastRemindedAt || this.createdAt || new Date()) {
+  if (this.isClosed || !this.remindEvery || this.allMentionsVoted()) {
+    return null;
+  }
+
+  const nextReminderAt = new Date(from.getTime() + this.remindEvery);
+
+  // The poll is closed by then, its results are announced instead
+  if (this.closesAt && nextReminderAt >= this.closesAt) {
+    return null;
+  }
+
+  return nextReminderAt;
 };
 
 /**
  * Close the poll
+ * @param {Object} [finalResults] - Snapshot of the final results, stored only if none exists yet
  * @returns {Promise<void>}
  */
-PollSchema.methods.close = async function() {
+PollSchema.methods.close = async function(finalResults = null) {
   this.isClosed = true;
+  if (finalResults && !this.finalResults) {
+    this.finalResults = finalResults;
+  }
   await this.save();
 };
 
+/**
+ * Check if the poll is a quiz
+ * @returns {Boolean} - Whether the poll is a quiz with a correct option
+ */
+PollSchema.methods.isQuiz = function() {
+  return this.type === 'quiz' && this.correctOptionId !== null && this.correctOptionId !== undefined;
+};
+
+/**
+ * Split quiz voters into those who answered correctly and those who did not
+ * @returns {Object} - { correct: Array<Number>, wrong: Array<Number> } of Telegram user IDs
+ */
+PollSchema.methods.getQuizResults = function() {
+  const correct = [];
+  const wrong = [];
+  
+  if (!this.isQuiz()) {
+    return { correct, wrong };
+  }
+  
+  this.options.forEach((option, index) => {
+    (option.voterIds || []).forEach(id => {
+      if (index === this.correctOptionId) {
+        correct.push(id);
+      } else {
+        wrong.push(id);
+      }
+    });
+  });
+  
+  return { correct, wrong };
+};
+
+/**
+ * Get the definition of this poll, used to post a copy of it
+ * @returns {Object} Poll definition
+ */
+PollSchema.methods.toPollDefinition = function() {
+  return {
+    chatId: this.chatId,
+    title: this.title,
+    options: this.options.map(option => ({ text: option.text, capacity: option.capacity || null })),
+    // Everyone has to vote again in the copy
+    mentions: this.mentions.map(mention => ({
+      userId: mention.userId,
+      username: mention.username,
+      firstName: mention.firstName,
+      lastName: mention.lastName,
+      voted: false
+    })),
+    isAnonymous: this.isAnonymous,
+    isMultipleChoice: this.isMultipleChoice,
+    type: this.type,
+    correctOptionId: this.correctOptionId,
+    explanation: this.explanation,
+    // A deadline that already passed would close the copy right away
+    closesAt: this.closesAt && this.closesAt > new Date() ? this.closesAt : null,
+    remindEvery: this.remindEvery,
+    decisionRule: this.decisionRule ? this.decisionRule.toObject() : null,
+    locale: this.locale
+  };
+};
+
+/**
+ * Get the number of votes for each option, final results are used once the poll is closed
+ * @returns {Array<Number>} Vote counts in option order
+ */
+PollSchema.methods.getOptionCounts = function() {
+  if (this.finalResults && this.finalResults.options.length === this.options.length) {
+    return this.finalResults.options.map(option => option.votes);
+  }
+  
+  return this.options.map(option => (option.voterIds || []).length + (option.unattributedVotes || 0));
+};
+
+/**
+ * Split the voters of an option into confirmed seats and the waitlist
+ * Seats go to voters in the order they voted, options without a capacity have no waitlist.
+ * @param {Number} optionIndex - Index of the option
+ * @returns {Object} - { confirmed: Array<Number>, waitlisted: Array<Number> } of Telegram user IDs
+ */
+PollSchema.methods.getOptionSeats = function(optionIndex) {
+  const option = this.options[optionIndex];
+  const voterIds = option?.voterIds || [];
+
+  if (!option?.capacity) {
+    return { confirmed: [...voterIds], waitlisted: [] };
+  }
+
+  return {
+    confirmed: voterIds.slice(0, option.capacity),
+    waitlisted: voterIds.slice(option.capacity)
+  };
+};
+
+/**
+ * Get the waitlist of every option
+ * @returns {Array<Array<Number>>} - Waitlisted user IDs per option, in the order they voted
+ */
+PollSchema.methods.getWaitlists = function() {
+  return this.options.map((option, index) => this.getOptionSeats(index).waitlisted);
+};
+
+/**
+ * Check whether the decision rule of the poll is met
+ * Quorum rules count the mentioned users who voted, threshold rules the votes of the leading option.
+ * @returns {Object|null} - { votes, total, optionIndex } or null if there is no rule or it isn't met
+ */
+PollSchema.methods.getDecision = function() {
+  if (!this.decisionRule) {
+    return null;
+  }
+
+  const counts = this.getOptionCounts();
+  const optionIndex = counts.indexOf(Math.max(...counts));
+  const { type, value } = this.decisionRule;
+
+  if (type === 'quorum') {
+    const total = this.mentions.length;
+    const votes = total - this.getPendingMentions().length;
+    return total > 0 && votes * 100 >= value * total ? { votes, total, optionIndex } : null;
+  }
+
+  const votes = counts[optionIndex];
+  return votes >= value ? { votes, total: this.countTotalVoters(), optionIndex } : null;
+};
+
+/**
+ * Get the chain of polls this follow-up poll was narrowed down from
+ * @param {Number} maxDepth - Maximum number of ancestors to load
+ * @returns {Promise<Array>} Array of polls from the original one to this poll
+ */
+PollSchema.methods.getLineage = async function(maxDepth = 10) {
+  const lineage = [this];
+  const seen = new Set([this._id.toString()]);
+  
+  let current = this;
+  while (current.parentPollId && lineage.length <= maxDepth) {
+    // Guard against cycles in case of broken data
+    if (seen.has(current.parentPollId.toString())) break;
+    
+    const parent = await this.constructor.findById(current.parentPollId);
+    if (!parent) break;
+    
+    lineage.unshift(parent);
+    seen.add(parent._id.toString());
+    current = parent;
+  }
+  
+  return lineage;
+};
+
+/**
+ * Static method to get the follow-up polls created for the voters of a poll
+ * @param {ObjectId} parentPollId - Parent poll ID
+ * @param {Number} limit - Maximum number of polls to return
+ * @returns {Promise<Array>} Array of polls, oldest first
+ */
+PollSchema.statics.getFollowUps = async function(parentPollId, limit = 10) {
+  return this.find({ parentPollId })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to record a user's current selection in an open poll in one atomic update
+ * Options the user left lose their vote and new ones get it appended, so concurrent votes never
+ * overwrite each other and seats keep going by the order of the votes.
+ * @param {ObjectId} pollId - Poll document ID
+ * @param {Number} userId - Telegram user ID of the voter
+ * @param {Array<Number>} selectedOptions - Indexes of the options the user selected
+ * @param {Number} optionCount - Number of options of the poll
+ * @returns {Promise<Object|null>} { previous, poll } documents before and after the vote, or null if the poll is closed
+ */
+PollSchema.statics.applyVote = async function(pollId, userId, selectedOptions, optionCount) {
+  const $pull = {};
+  const $addToSet = {};
+  for (let optionIndex = 0; optionIndex < optionCount; optionIndex++) {
+    if (selectedOptions.includes(optionIndex)) {
+      $addToSet[`options.${optionIndex}.voterIds`] = userId;
+    } else {
+      $pull[`options.${optionIndex}.voterIds`] = userId;
+    }
+  }
+
+  // The document right before this update, the one after it follows from it without another read
+  const previous = await this.findOneAndUpdate(
+    { _id: pollId, isClosed: false },
+    { $pull, $addToSet },
+    { new: false }
+  );
+  if (!previous) {
+    return null;
+  }
+
+  const updated = previous.toObject();
+  updated.options.forEach((option, optionIndex) => {
+    const voterIds = option.voterIds || [];
+    if (!selectedOptions.includes(optionIndex)) {
+      option.voterIds = voterIds.filter(id => id !== userId);
+    } else if (!voterIds.includes(userId)) {
+      option.voterIds = [...voterIds, userId];
+    }
+  });
+
+  // A hydrated document only saves the fields changed after this, never the voters
+  return { previous, poll: this.hydrate(updated) };
+};
+
+/**
+ * Static method to fill in the user ID of open poll mentions made by the username of a user
+ * Usernames are matched case-insensitively, like Telegram does.
+ * @param {Object} user - Telegram user object
+ * @returns {Promise<Number>} Number of polls updated
+ */
+PollSchema.statics.backfillMentions = async function(user) {
+  if (!user || !user.id || !user.username) {
+    return 0;
+  }
+
+  const result = await this.updateMany(
+    {
+      isClosed: false,
+      // Mentions made before this could carry a negative placeholder ID
+      mentions: { $elemMatch: { username: user.username, userId: { $not: { $gt: 0 } } } }
+    },
+    {
+      $set: {
+        'mentions.$[mention].userId': user.id,
+        'mentions.$[mention].firstName': user.first_name,
+        'mentions.$[mention].lastName': user.last_name,
+        'mentions.$[mention].unresolvedReason': null
+      }
+    },
+    {
+      arrayFilters: [{ 'mention.username': user.username, 'mention.userId': { $not: { $gt: 0 } } }],
+      collation: { locale: 'en', strength: 2 }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Static method to get the polls posted from a recurring poll
+ * @param {ObjectId} recurringPollId - Recurring poll ID
+ * @param {Number} limit - Maximum number of polls to return
+ * @returns {Promise<Array>} Array of polls, newest first
+ */
+PollSchema.statics.getRecurringHistory = async function(recurringPollId, limit = 5) {
+  return this.find({ recurringPollId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to get quiz scores for every user in a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Array>} Array of { userId, correct, total } sorted by score
+ */
+PollSchema.statics.getQuizScores = async function(chatId) {
+  const quizzes = await this.find({
+    chatId,
+    type: 'quiz',
+    correctOptionId: { $ne: null }
+  });
+  
+  const scores = new Map();
+  quizzes.forEach(quiz => {
+    const { correct, wrong } = quiz.getQuizResults();
+    
+    correct.forEach(userId => {
+      const score = scores.get(userId) || { userId, correct: 0, total: 0 };
+      score.correct++;
+      score.total++;
+      scores.set(userId, score);
+    });
+    
+    wrong.forEach(userId => {
+      const score = scores.get(userId) || { userId, correct: 0, total: 0 };
+      score.total++;
+      scores.set(userId, score);
+    });
+  });
+  
+  return Array.from(scores.values())
+    .sort((a, b) => b.correct - a.correct || a.total - b.total);
+};
+
 /**
  * Static method to get polls created or tracked by a specific user
  * @param {Number} userId - Telegram user ID
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Drafts nobody touched for a week are removed by MongoDB
+const DRAFT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Poll draft schema for mongoose
+ * Stores the state of an unfinished poll creation wizard so it survives restarts
+ */
+const PollDraftSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID where the wizard interface message is
+    required: true
+  },
+  creatorId: {
+    type: Number, // Telegram user ID of the user creating the poll
+    required: true,
+    index: true
+  },
+  messageId: {
+    type: Number, // Message ID of the wizard interface message
+    required: true
+  },
+  pollData: {
+    type: mongoose.Schema.Types.Mixed, // Wizard state (ctx.wizard.state.pollData)
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index for finding the draft of an interface message
+PollDraftSchema.index({ chatId: 1, messageId: 1 });
+PollDraftSchema.index({ updatedAt: 1 }, { expireAfterSeconds: DRAFT_TTL_SECONDS });
+
+/**
+ * Static method to save the wizard state of a draft
+ * @param {Object} pollData - Wizard state
+ * @param {Number} chatId - Telegram chat ID where the wizard runs
+ * @returns {Promise<Object>} Saved draft
+ */
+PollDraftSchema.statics.saveState = async function(pollData, chatId) {
+  const update = {
+    chatId,
+    creatorId: pollData.creatorId,
+    messageId: pollData.messageId,
+    pollData
+  };
+
+  if (pollData.draftId) {
+    const draft = await this.findByIdAndUpdate(pollData.draftId, update, { new: true });
+    if (draft) {
+      return draft;
+    }
+  }
+
+  return this.create(update);
+};
+
+/**
+ * Static method to get drafts of a user in a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Number} creatorId - Telegram user ID
+ * @returns {Promise<Array>} Array of drafts, most recently edited first
+ */
+PollDraftSchema.statics.getForUser = async function(chatId, creatorId) {
+  return this.find({ chatId, creatorId }).sort({ updatedAt: -1 });
+};
+
+const PollDraft = mongoose.model('PollDraft', PollDraftSchema);
+
+module.exports = PollDraft;
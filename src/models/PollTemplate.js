@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { PollOptionSchema, MentionSchema } = require('./pollSchemas');
+
+// Template names are shown on buttons, keep them short
+const MAX_TEMPLATE_NAME_LENGTH = 40;
+
+/**
+ * Poll template schema for mongoose
+ * Stores a reusable poll definition for a chat
+ */
+const PollTemplateSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID the template belongs to
+    required: true,
+    index: true
+  },
+  creatorId: {
+    type: Number, // Telegram user ID of the user who saved the template
+    required: true
+  },
+  name: {
+    type: String, // Name shown in template lists
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [PollOptionSchema],
+    required: true,
+    validate: [
+      {
+        validator: function(options) {
+          return options.length >= 2; // Poll must have at least 2 options
+        },
+        message: 'Poll must have at least 2 options'
+      }
+    ]
+  },
+  mentions: {
+    type: [MentionSchema],
+    default: []
+  },
+  importedMentions: {
+    type: [String],
+    default: []
+  },
+  isMultipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  type: {
+    type: String, // Telegram poll type
+    enum: ['regular', 'quiz'],
+    default: 'regular'
+  },
+  correctOptionId: {
+    type: Number, // Index of the correct option for quiz polls
+    default: null
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the poll definition stored in this template
+ * @returns {Object} Poll definition
+ */
+PollTemplateSchema.methods.toPollDefinition = function() {
+  return {
+    chatId: this.chatId,
+    title: this.title,
+    options: this.options.map(option => ({ text: option.text, capacity: option.capacity || null })),
+    mentions: this.mentions.map(mention => mention.toObject()),
+    importedMentions: [...this.importedMentions],
+    isMultipleChoice: this.isMultipleChoice,
+    type: this.type,
+    correctOptionId: this.correctOptionId,
+    explanation: this.explanation
+  };
+};
+
+/**
+ * Static method to get templates of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Number} limit - Maximum number of templates to return
+ * @returns {Promise<Array>} Array of templates ordered by name
+ */
+PollTemplateSchema.statics.getForChat = async function(chatId, limit = 20) {
+  return this.find({ chatId })
+    .sort({ name: 1 })
+    .limit(limit);
+};
+
+const PollTemplate = mongoose.model('PollTemplate', PollTemplateSchema);
+
+module.exports = PollTemplate;
+module.exports.MAX_TEMPLATE_NAME_LENGTH = MAX_TEMPLATE_NAME_LENGTH;
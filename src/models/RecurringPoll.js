@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { PollOptionSchema, MentionSchema, DecisionRuleSchema } = require('./pollSchemas');
+
+/**
+ * Recurrence rule schema
+ */
+const RecurrenceRuleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['daily', 'weekly', 'cron'],
+    required: true
+  },
+  time: {
+    type: String, // HH:MM for daily and weekly rules
+    default: null
+  },
+  weekdays: {
+    type: [Number], // Days of week for weekly rules, 0 = Sunday
+    default: []
+  },
+  cron: {
+    type: String, // Five-field cron expression for cron rules
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Recurring poll schema for mongoose
+ * Stores a poll template that the scheduler posts to the chat every time its rule fires
+ */
+const RecurringPollSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID the poll is posted to
+    required: true,
+    index: true
+  },
+  creatorId: {
+    type: Number, // Telegram user ID of the user who set up the recurrence
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [PollOptionSchema],
+    required: true,
+    validate: [
+      {
+        validator: function(options) {
+          return options.length >= 2; // Poll must have at least 2 options
+        },
+        message: 'Poll must have at least 2 options'
+      }
+    ]
+  },
+  mentions: {
+    type: [MentionSchema],
+    default: []
+  },
+  importedMentions: {
+    type: [String], // Mentions posted in a separate message after each poll
+    default: []
+  },
+  isMultipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  type: {
+    type: String, // Telegram poll type
+    enum: ['regular', 'quiz'],
+    default: 'regular'
+  },
+  correctOptionId: {
+    type: Number, // Index of the correct option for quiz polls
+    default: null
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  closeAfterMs: {
+    type: Number, // Each posted poll is closed this long after posting
+    default: null
+  },
+  remindEvery: {
+    type: Number, // Interval in ms between reminders to mentioned users who haven't voted
+    default: null
+  },
+  decisionRule: {
+    type: DecisionRuleSchema, // When the outcome of the posted poll is final
+    default: null
+  },
+  locale: {
+    type: String, // Language of the creator
+    default: 'en'
+  },
+  rosterId: {
+    type: mongoose.Schema.Types.ObjectId, // Roster whose members are mentioned in the poll
+    ref: 'Roster',
+    default: null
+  },
+  rule: {
+    type: RecurrenceRuleSchema,
+    required: true
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: {
+    type: Date, // When the next poll will be posted
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  runCount: {
+    type: Number, // Number of polls posted so far
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the scheduler lookup
+RecurringPollSchema.index({ isPaused: 1, nextRunAt: 1 });
+
+/**
+ * Get the definition of the next poll to post
+ * @param {Date} [now] - Posting time
+ * @returns {Object} Poll definition
+ */
+RecurringPollSchema.methods.toPollDefinition = function(now = new Date()) {
+  return {
+    chatId: this.chatId,
+    creatorId: this.creatorId,
+    title: this.title,
+    options: this.options.map(option => ({ text: option.text, capacity: option.capacity || null })),
+    mentions: this.mentions.map(mention => mention.toObject()),
+    importedMentions: [...this.importedMentions],
+    isMultipleChoice: this.isMultipleChoice,
+    type: this.type,
+    correctOptionId: this.correctOptionId,
+    explanation: this.explanation,
+    closesAt: this.closeAfterMs ? new Date(now.getTime() + this.closeAfterMs) : null,
+    remindEvery: this.remindEvery,
+    decisionRule: this.decisionRule ? this.decisionRule.toObject() : null,
+    locale: this.locale,
+    rosterId: this.rosterId,
+    recurringPollId: this._id
+  };
+};
+
+/**
+ * Static method to get all recurring polls of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Array>} Array of recurring polls, newest first
+ */
+RecurringPollSchema.statics.getForChat = async function(chatId) {
+  return this.find({ chatId }).sort({ createdAt: -1 });
+};
+
+const RecurringPoll = mongoose.model('RecurringPoll', RecurringPollSchema);
+
+module.exports = RecurringPoll;
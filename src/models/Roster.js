@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a roster member
+ */
+const RosterMemberSchema = new mongoose.Schema({
+  userId: {
+    type: Number, // Telegram user ID, null until a member added by username votes
+    default: null
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+/**
+ * Roster schema for mongoose
+ * A named list of chat members that can be mentioned in polls at once
+ */
+const RosterSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID the roster belongs to
+    required: true
+  },
+  creatorId: {
+    type: Number, // Telegram user ID of the user who created the roster
+    required: true
+  },
+  name: {
+    type: String, // Lowercase name used in /roster commands
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  members: {
+    type: [RosterMemberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+RosterSchema.index({ chatId: 1, name: 1 }, { unique: true });
+
+/**
+ * Find the index of a member matching a user by ID or username
+ * @param {Object} user - User with userId and/or username
+ * @returns {Number} Member index or -1
+ */
+RosterSchema.methods.findMemberIndex = function(user) {
+  const username = user.username ? user.username.toLowerCase() : null;
+
+  return this.members.findIndex(member =>
+    (user.userId && member.userId === user.userId) ||
+    (username && member.username && member.username.toLowerCase() === username)
+  );
+};
+
+/**
+ * Add users to the roster, users already on it are skipped
+ * @param {Array} users - Users with userId, username, firstName and lastName
+ * @returns {Number} Number of added members
+ */
+RosterSchema.methods.addMembers = function(users) {
+  let added = 0;
+
+  users.forEach(user => {
+    if (this.findMemberIndex(user) !== -1) {
+      return;
+    }
+
+    this.members.push({
+      userId: user.userId || null,
+      username: user.username || null,
+      firstName: user.firstName || null,
+      lastName: user.lastName || null
+    });
+    added++;
+  });
+
+  return added;
+};
+
+/**
+ * Remove users from the roster
+ * @param {Array} users - Users with userId and/or username
+ * @returns {Number} Number of removed members
+ */
+RosterSchema.methods.removeMembers = function(users) {
+  let removed = 0;
+
+  users.forEach(user => {
+    const index = this.findMemberIndex(user);
+    if (index !== -1) {
+      this.members.splice(index, 1);
+      removed++;
+    }
+  });
+
+  return removed;
+};
+
+/**
+ * Get the roster members as poll mentions
+ * @returns {Array} Mentions nobody has voted for yet
+ */
+RosterSchema.methods.toMentions = function() {
+  return this.members.map(member => ({
+    userId: member.userId,
+    username: member.username,
+    firstName: member.firstName,
+    lastName: member.lastName,
+    voted: false
+  }));
+};
+
+/**
+ * Static method to find a roster of a chat by name
+ * @param {Number} chatId - Telegram chat ID
+ * @param {string} name - Roster name
+ * @returns {Promise<Object|null>} Roster
+ */
+RosterSchema.statics.findByName = async function(chatId, name) {
+  return this.findOne({ chatId, name: name.trim().toLowerCase() });
+};
+
+/**
+ * Static method to get rosters of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Number} limit - Maximum number of rosters to return
+ * @returns {Promise<Array>} Array of rosters ordered by name
+ */
+RosterSchema.statics.getForChat = async function(chatId, limit = 20) {
+  return this.find({ chatId })
+    .sort({ name: 1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to remember the user ID of a member that was added by username
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Object} user - Telegram user object
+ * @returns {Promise<void>}
+ */
+RosterSchema.statics.resolveMember = async function(chatId, user) {
+  if (!user.username) {
+    return;
+  }
+
+  await this.updateMany(
+    { chatId, members: { $elemMatch: { userId: null, username: user.username } } },
+    {
+      $set: {
+        'members.$.userId': user.id,
+        'members.$.firstName': user.first_name || null,
+        'members.$.lastName': user.last_name || null
+      }
+    },
+    // Usernames are case-insensitive in Telegram
+    { collation: { locale: 'en', strength: 2 } }
+  );
+};
+
+const Roster = mongoose.model('Roster', RosterSchema);
+
+module.exports = Roster;
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const { PollOptionSchema, MentionSchema, DecisionRuleSchema } = require('./pollSchemas');
+
+/**
+ * Scheduled poll schema for mongoose
+ * Stores a poll definition that the scheduler posts to the chat at postAt
+ */
+const ScheduledPollSchema = new mongoose.Schema({
+  chatId: {
+    type: Number, // Telegram chat ID the poll will be posted to
+    required: true,
+    index: true
+  },
+  creatorId: {
+    type: Number, // Telegram user ID of the user who scheduled the poll
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: {
+    type: [PollOptionSchema],
+    required: true,
+    validate: [
+      {
+        validator: function(options) {
+          return options.length >= 2; // Poll must have at least 2 options
+        },
+        message: 'Poll must have at least 2 options'
+      }
+    ]
+  },
+  mentions: {
+    type: [MentionSchema],
+    default: []
+  },
+  importedMentions: {
+    type: [String], // Mentions posted in a separate message after the poll
+    default: []
+  },
+  fromCheckVoters: {
+    type: Boolean, // Follow-up poll created from checkvoters
+    default: false
+  },
+  fromNonVoters: {
+    type: Boolean, // Follow-up poll for the users who didn't vote in the original poll
+    default: false
+  },
+  selectedOption: {
+    type: String, // Option the imported mentions voted for
+    default: null
+  },
+  parentPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll the imported mentions come from
+    ref: 'Poll',
+    default: null
+  },
+  sourceOptionIndex: {
+    type: Number, // Index of the selected option in that poll
+    default: null
+  },
+  originalPollTitle: {
+    type: String, // Title of the poll the imported mentions come from
+    default: null
+  },
+  repostedFromPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll document this poll is a repost of
+    ref: 'Poll',
+    default: null
+  },
+  isMultipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  type: {
+    type: String, // Telegram poll type
+    enum: ['regular', 'quiz'],
+    default: 'regular'
+  },
+  correctOptionId: {
+    type: Number, // Index of the correct option for quiz polls
+    default: null
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  closesAt: {
+    type: Date, // Deadline of the posted poll
+    default: null
+  },
+  remindEvery: {
+    type: Number, // Interval in ms between reminders to mentioned users who haven't voted
+    default: null
+  },
+  decisionRule: {
+    type: DecisionRuleSchema, // When the outcome of the posted poll is final
+    default: null
+  },
+  locale: {
+    type: String, // Language of the creator
+    default: 'en'
+  },
+  rosterId: {
+    type: mongoose.Schema.Types.ObjectId, // Roster whose members are mentioned in the poll
+    ref: 'Roster',
+    default: null
+  },
+  postAt: {
+    type: Date, // When the poll should be posted
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  postedAt: {
+    type: Date,
+    default: null
+  },
+  postedPollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll document created when posting
+    ref: 'Poll',
+    default: null
+  },
+  error: {
+    type: String, // Reason the poll could not be posted
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for the scheduler lookup
+ScheduledPollSchema.index({ status: 1, postAt: 1 });
+
+/**
+ * Get the poll definition used to post this poll
+ * @returns {Object} Poll definition
+ */
+ScheduledPollSchema.methods.toPollDefinition = function() {
+  return {
+    chatId: this.chatId,
+    creatorId: this.creatorId,
+    title: this.title,
+    options: this.options.map(option => ({ text: option.text, capacity: option.capacity || null })),
+    mentions: this.mentions.map(mention => mention.toObject()),
+    importedMentions: [...this.importedMentions],
+    fromCheckVoters: this.fromCheckVoters,
+    fromNonVoters: this.fromNonVoters,
+    selectedOption: this.selectedOption,
+    parentPollId: this.parentPollId,
+    sourceOptionIndex: this.sourceOptionIndex,
+    originalPollTitle: this.originalPollTitle,
+    repostedFromPollId: this.repostedFromPollId,
+    isMultipleChoice: this.isMultipleChoice,
+    type: this.type,
+    correctOptionId: this.correctOptionId,
+    explanation: this.explanation,
+    closesAt: this.closesAt,
+    remindEvery: this.remindEvery,
+    decisionRule: this.decisionRule ? this.decisionRule.toObject() : null,
+    locale: this.locale,
+    rosterId: this.rosterId
+  };
+};
+
+/**
+ * Static method to get pending scheduled polls of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Array>} Array of scheduled polls ordered by posting time
+ */
+ScheduledPollSchema.statics.getPending = async function(chatId) {
+  return this.find({ chatId, status: 'pending' }).sort({ postAt: 1 });
+};
+
+const ScheduledPoll = mongoose.model('ScheduledPoll', ScheduledPollSchema);
+
+module.exports = ScheduledPoll;
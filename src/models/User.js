@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Usernames are matched case-insensitively, like Telegram does
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Number of previous names kept per user
+const MAX_NAME_HISTORY = 20;
+
+/**
+ * Schema for a name a user was seen with
+ */
+const UserNameSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    default: null
+  },
+  firstName: {
+    type: String,
+    default: null
+  },
+  lastName: {
+    type: String,
+    default: null
+  },
+  seenAt: {
+    type: Date, // When the user was first seen with this name
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * User schema for mongoose
+ * A directory of Telegram users the bot has seen, used to show names without asking the Telegram API
+ */
+const UserSchema = new mongoose.Schema({
+  userId: {
+    type: Number, // Telegram user ID
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  firstName: {
+    type: String,
+    default: null
+  },
+  lastName: {
+    type: String,
+    default: null
+  },
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  nameHistory: {
+    type: [UserNameSchema], // Names the user had, oldest first, including the current one
+    default: []
+  },
+  chatIds: {
+    type: [Number], // Group chats the user was seen in, checked when looking for the user's groups
+    default: []
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+UserSchema.index({ username: 1 }, { collation: USERNAME_COLLATION });
+
+/**
+ * Get the name of the user as it is shown in messages
+ * @returns {string} @username, full name or a placeholder with the user ID
+ */
+UserSchema.methods.getDisplayName = function() {
+  if (this.username) {
+    return `@${this.username}`;
+  }
+  const name = [this.firstName, this.lastName].filter(Boolean).join(' ');
+  return name || `User ${this.userId}`;
+};
+
+/**
+ * Static method to store a Telegram user, remembering the previous name when it changed
+ * @param {Object} user - Telegram user object
+ * @returns {Promise<Object>} User document
+ */
+UserSchema.statics.record = async function(user) {
+  const profile = {
+    username: user.username || null,
+    firstName: user.first_name || null,
+    lastName: user.last_name || null
+  };
+  const now = new Date();
+
+  const existing = await this.findOne({ userId: user.id });
+  if (!existing) {
+    return this.create({
+      userId: user.id,
+      ...profile,
+      isBot: !!user.is_bot,
+      nameHistory: [{ ...profile, seenAt: now }],
+      lastSeenAt: now
+    });
+  }
+
+  const changed = Object.keys(profile).some(key => existing[key] !== profile[key]);
+  if (changed) {
+    existing.set(profile);
+    existing.nameHistory.push({ ...profile, seenAt: now });
+    if (existing.nameHistory.length > MAX_NAME_HISTORY) {
+      existing.nameHistory = existing.nameHistory.slice(-MAX_NAME_HISTORY);
+    }
+  }
+  existing.lastSeenAt = now;
+  return existing.save();
+};
+
+/**
+ * Static method to get the known users with the given IDs
+ * @param {Array<Number>} userIds - Telegram user IDs
+ * @returns {Promise<Map>} Users keyed by user ID, unknown users are missing
+ */
+UserSchema.statics.findByIds = async function(userIds) {
+  const users = await this.find({ userId: { $in: userIds } });
+  return new Map(users.map(user => [user.userId, user]));
+};
+
+/**
+ * Static method to find users by their current usernames
+ * @param {Array<string>} usernames - Usernames without @
+ * @returns {Promise<Map>} Users keyed by lowercase username, unknown usernames are missing
+ */
+UserSchema.statics.findByUsernames = async function(usernames) {
+  const users = await this.find({ username: { $in: usernames } }).collation(USERNAME_COLLATION);
+  return new Map(users.map(user => [user.username.toLowerCase(), user]));
+};
+
+/**
+ * Static method to remember that a user was seen in a group chat
+ * @param {Number} userId - Telegram user ID
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Object>} Update result
+ */
+UserSchema.statics.addChat = async function(userId, chatId) {
+  return this.updateOne({ userId }, { $addToSet: { chatIds: chatId } });
+};
+
+/**
+ * Static method to forget a group chat the user left
+ * @param {Number} userId - Telegram user ID
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Object>} Update result
+ */
+UserSchema.statics.removeChat = async function(userId, chatId) {
+  return this.updateOne({ userId }, { $pull: { chatIds: chatId } });
+};
+
+module.exports = mongoose.model('User', UserSchema);
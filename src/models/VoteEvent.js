@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * Vote event schema for mongoose
+ * An append-only log of every answer, change and retraction in a poll
+ */
+const VoteEventSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId, // Poll the answer was given in
+    ref: 'Poll',
+    required: true
+  },
+  chatId: {
+    type: Number, // Telegram chat ID of the poll
+    required: true
+  },
+  userId: {
+    type: Number, // Telegram user ID of the voter
+    required: true
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String, // First answer, change of an answer or retraction
+    enum: ['vote', 'change', 'retract'],
+    required: true
+  },
+  optionIds: {
+    type: [Number], // Options selected after the event, empty for retractions
+    default: []
+  },
+  previousOptionIds: {
+    type: [Number], // Options selected before the event
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+VoteEventSchema.index({ pollId: 1, createdAt: -1 });
+
+/**
+ * Get the type of an event from the selections before and after it
+ * @param {Array<Number>} previousOptionIds - Options selected before
+ * @param {Array<Number>} optionIds - Options selected after
+ * @returns {string} Event type
+ */
+const getEventType = (previousOptionIds, optionIds) => {
+  if (optionIds.length === 0) return 'retract';
+  return previousOptionIds.length === 0 ? 'vote' : 'change';
+};
+
+/**
+ * Static method to record an answer to a poll
+ * @param {Object} poll - Poll document
+ * @param {Object} user - Telegram user who answered
+ * @param {Array<Number>} optionIds - Options selected after the answer
+ * @param {Array<Number>} previousOptionIds - Options selected before the answer
+ * @returns {Promise<Object>} Created vote event
+ */
+VoteEventSchema.statics.record = async function(poll, user, optionIds, previousOptionIds) {
+  return this.create({
+    pollId: poll._id,
+    chatId: poll.chatId,
+    userId: user.id,
+    username: user.username,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    type: getEventType(previousOptionIds, optionIds),
+    optionIds,
+    previousOptionIds
+  });
+};
+
+/**
+ * Static method to get the latest vote events of a poll
+ * @param {ObjectId} pollId - Poll ID
+ * @param {Number} limit - Maximum number of events to return
+ * @returns {Promise<Array>} Array of vote events, newest first
+ */
+VoteEventSchema.statics.getForPoll = async function(pollId, limit = 20) {
+  return this.find({ pollId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to count the events of a poll by type
+ * @param {ObjectId} pollId - Poll ID
+ * @returns {Promise<Object>} Counts keyed by event type
+ */
+VoteEventSchema.statics.countByType = async function(pollId) {
+  const groups = await this.aggregate([
+    { $match: { pollId: new mongoose.Types.ObjectId(pollId) } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+
+  const counts = { vote: 0, change: 0, retract: 0 };
+  groups.forEach(group => {
+    counts[group._id] = group.count;
+  });
+  return counts;
+};
+
+module.exports = mongoose.model('VoteEvent', VoteEventSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Sub-schemas shared by polls and the stored definitions polls are posted from
+
+/**
+ * Schema for poll options
+ */
+const PollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  voterIds: {
+    type: [Number], // Telegram user IDs of voters
+    default: []
+  },
+  existingVotes: {
+    type: Number, // Latest vote count reported by Telegram
+    default: 0
+  },
+  unattributedVotes: {
+    type: Number, // Votes counted by Telegram that can't be attributed to a user, e.g. cast before tracking
+    default: 0
+  },
+  capacity: {
+    type: Number, // Seats for this option, voters beyond it are waitlisted in the order they voted
+    default: null,
+    min: 1
+  }
+});
+
+/**
+ * Schema for poll mentions
+ */
+const MentionSchema = new mongoose.Schema({
+  userId: {
+    type: Number, // Telegram user ID
+    required: false
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  voted: {
+    type: Boolean,
+    default: false
+  },
+  unresolvedReason: {
+    type: String, // Why the mention can't be matched to a voter, unknownUser is cleared once the user shows up
+    enum: ['invalidUsername', 'notUser', 'notMember', 'unknownUser', null],
+    default: null
+  }
+});
+
+/**
+ * Schema for the rule that decides when a poll's outcome is final
+ */
+const DecisionRuleSchema = new mongoose.Schema({
+  type: {
+    type: String, // quorum: share of mentioned users who voted, threshold: votes for a single option
+    enum: ['quorum', 'threshold'],
+    required: true
+  },
+  value: {
+    type: Number, // Percentage for quorum rules, number of votes for threshold rules
+    required: true,
+    min: 1
+  },
+  closeWhenMet: {
+    type: Boolean, // Close the poll as soon as the rule is met
+    default: false
+  }
+}, { _id: false });
+
+module.exports = {
+  PollOptionSchema,
+  MentionSchema,
+  DecisionRuleSchema
+};
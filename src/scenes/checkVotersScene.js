@@ -1,6 +1,39 @@
 const { Markup, Scenes } = require('telegraf')
 const Poll = require('../models/Poll')
+const Roster = require('../models/Roster')
+const VoteEvent = require('../models/VoteEvent')
 const logger = require('../utils/logger')
+const {
+	sendReminder,
+	sendMentionMessages,
+} = require('../utils/pollReminders')
+const { findMentionIndex, formatMention } = require('../utils/mentions')
+const { formatVoteEvent } = require('../utils/voteHistory')
+const { getUserProfiles } = require('../utils/userDirectory')
+const { getChatTimeZone } = require('../utils/chatSettings')
+const { formatDateTime } = require('../utils/time')
+const {
+	getPollLineage,
+	formatLineage,
+	formatLineageStep,
+} = require('../utils/pollLineage')
+const {
+	SET_OPERATIONS,
+	buildVoterSet,
+	describeVoterSet,
+} = require('../utils/voterSets')
+
+// Number of users shown in the quiz leaderboard
+const MAX_QUIZ_SCORES = 10
+
+// Number of users who didn't vote listed by name, the rest are only counted
+const MAX_NON_VOTERS_SHOWN = 50
+
+// Number of polls offered when adding a poll to a voter set
+const MAX_VOTER_SET_POLLS = 10
+
+// Number of users in a voter set listed by name, the rest are only counted
+const MAX_VOTER_SET_SHOWN = 50
 
 /**
  * Create a single-step voters checking scene
@@ -141,6 +174,16 @@ const checkVotersScene = () => {
 			}
 		}
 
+		// Voter set builder actions
+		if (action.startsWith('set_')) {
+			try {
+				return await handleVoterSetAction(ctx, action)
+			} catch (error) {
+				logger.error('Error handling voter set action:', error)
+				return
+			}
+		}
+
 		// Poll selection action
 		if (action.startsWith('poll_') && action !== 'poll_info') {
 			try {
@@ -161,6 +204,56 @@ const checkVotersScene = () => {
 			}
 		}
 
+		// Users who were mentioned or are on the roster but didn't vote
+		if (action === 'not_voted') {
+			try {
+				return await handleNonVoters(ctx)
+			} catch (error) {
+				logger.error('Error handling non-voters action:', error)
+				return
+			}
+		}
+
+		// Tag the users who didn't vote in the poll's chat
+		if (action === 'not_voted_ping') {
+			try {
+				return await handleNonVotersPing(ctx)
+			} catch (error) {
+				logger.error('Error handling non-voters ping action:', error)
+				return
+			}
+		}
+
+		// Create a follow-up poll for the users who didn't vote
+		if (action === 'not_voted_poll') {
+			try {
+				return await handleNonVotersPoll(ctx)
+			} catch (error) {
+				logger.error('Error handling non-voters poll action:', error)
+				return
+			}
+		}
+
+		// Quiz results action
+		if (action === 'quiz_results') {
+			try {
+				return await handleQuizResults(ctx)
+			} catch (error) {
+				logger.error('Error handling quiz results action:', error)
+				return
+			}
+		}
+
+		// Vote history action
+		if (action === 'vote_history') {
+			try {
+				return await handleVoteHistory(ctx)
+			} catch (error) {
+				logger.error('Error handling vote history action:', error)
+				return
+			}
+		}
+
 		// Poll info action (does nothing, just prevents error)
 		if (action === 'poll_info') {
 			await ctx.answerCbQuery()
@@ -608,6 +701,8 @@ const checkVotersScene = () => {
 				// If specific message ID was provided, filter by it
 				if (ctx.session.checkVoters.specificMessageId) {
 					query.messageId = ctx.session.checkVoters.specificMessageId
+					// Follow-up polls can be checked when asked for explicitly, to narrow the group down further
+					delete query.$or
 				}
 
 				try {
@@ -751,6 +846,14 @@ const checkVotersScene = () => {
 					])
 				}
 
+				// Combine voters of several polls
+				pollButtons.push([
+					Markup.button.callback(
+						t('scenes.voters.voterSetButton'),
+						'set_builder'
+					),
+				])
+
 				// Add cancel button
 				pollButtons.push([
 					Markup.button.callback(
@@ -1020,7 +1123,15 @@ const checkVotersScene = () => {
 					}
 
 					// Add voter count for better UX, except for tracked polls with no votes yet
-					const voteInfo = voterCount > 0 ? ` (${voterCount})` : ''
+					let voteInfo = voterCount > 0 ? ` (${voterCount})` : ''
+
+					// Options with limited seats show taken seats and the waitlist
+					if (option?.capacity) {
+						const waitlisted = Math.max(voterCount - option.capacity, 0)
+						voteInfo = ` (${voterCount - waitlisted}/${option.capacity}${
+							waitlisted > 0 ? ` +${waitlisted}` : ''
+						})`
+					}
 
 					optionButtons.push([
 						Markup.button.callback(
@@ -1040,6 +1151,37 @@ const checkVotersScene = () => {
 				])
 			}
 
+			// Mentioned users and roster members who haven't voted yet
+			if (poll.mentions?.length > 0 || poll.rosterId) {
+				const nonVoters = await getNonVoters(poll)
+				optionButtons.push([
+					Markup.button.callback(
+						t('scenes.voters.notVotedButton', { count: nonVoters.length }),
+						'not_voted'
+					),
+				])
+			}
+
+			// Answers, changes and retractions over time, anonymous votes aren't known
+			if (!poll.isAnonymous) {
+				optionButtons.push([
+					Markup.button.callback(
+						t('scenes.voters.historyButton'),
+						'vote_history'
+					),
+				])
+			}
+
+			// Quizzes get a summary of right and wrong answers
+			if (typeof poll.isQuiz === 'function' && poll.isQuiz()) {
+				optionButtons.push([
+					Markup.button.callback(
+						t('scenes.voters.quizResultsButton'),
+						'quiz_results'
+					),
+				])
+			}
+
 			// Add back and cancel buttons
 			optionButtons.push([
 				Markup.button.callback(
@@ -1053,9 +1195,36 @@ const checkVotersScene = () => {
 			const trackedNote = poll.isTracked
 				? t('scenes.voters.trackedPollNote')
 				: ''
-			const messageText = trackedNote
-				? `${t('scenes.voters.selectOption')}\n\n${trackedNote}`
-				: t('scenes.voters.selectOption')
+
+			// Option counts of multiple choice polls add up to more than the number of voters
+			const multipleChoiceNote = poll.isMultipleChoice
+				? t('scenes.voters.multipleChoiceNote', {
+						count: poll.getUniqueVoterIds().length,
+				  })
+				: ''
+
+			// Polls this one was narrowed down from and follow-ups created from it
+			const { lineage, followUps } = await getPollLineage(poll)
+			const lineageNote = [
+				lineage.length > 1
+					? t('scenes.voters.lineage', { chain: formatLineage(lineage) })
+					: '',
+				followUps.length > 0
+					? t('scenes.voters.followUps', {
+							polls: followUps.map(formatLineageStep).join(', '),
+					  })
+					: '',
+			]
+				.filter(Boolean)
+				.join('\n')
+
+			const notes = [trackedNote, multipleChoiceNote, lineageNote].filter(
+				Boolean
+			)
+			const messageText =
+				notes.length > 0
+					? `${t('scenes.voters.selectOption')}\n\n${notes.join('\n\n')}`
+					: t('scenes.voters.selectOption')
 
 			await ctx.answerCbQuery()
 			await ctx.editMessageText(
@@ -1228,7 +1397,7 @@ const checkVotersScene = () => {
 			// Handle different option structures based on poll type
 			let optionText
 			let voterIds = []
-			let existingVotes = 0
+			let unattributedVotes = 0
 
 			if (!option) {
 				// Handle missing option
@@ -1241,7 +1410,7 @@ const checkVotersScene = () => {
 				// Regular poll format with option objects
 				optionText = option.text || `Option ${optionIndex + 1}`
 				voterIds = option.voterIds || []
-				existingVotes = option.existingVotes || 0
+				unattributedVotes = option.unattributedVotes || 0
 			} else if (typeof option === 'string') {
 				// Simple string option from tracked poll
 				optionText = option
@@ -1261,11 +1430,11 @@ const checkVotersScene = () => {
 				optionText,
 				optionType: typeof option,
 				votersCount: voterIds.length,
-				existingVotes: existingVotes,
+				unattributedVotes,
 			})
 			await ctx.answerCbQuery()
 
-			if (voterIds.length === 0 && existingVotes === 0) {
+			if (voterIds.length === 0 && unattributedVotes === 0) {
 				let noVotersMessage = t('voters.noVoters', { option: optionText })
 
 				// Special message for tracked polls explaining that only new votes will be tracked
@@ -1313,103 +1482,31 @@ const checkVotersScene = () => {
 			}
 
 			// Process voters and create lists (with safety check)
-			const { votersList, mentionsList, anonymousCount } = await processVoters(
+			const { votersList, mentionsList } = await processVoters(
 				ctx,
 				poll,
 				voterIds || []
 			)
 
-			// Calculate the total number of anonymous votes (from before tracking and anonymous voters)
-			const totalAnonymousVotes = (existingVotes || 0) + (anonymousCount || 0)
-
 			// Log detailed information about voters for debugging
 			logger.debug('Voter information processed', {
 				pollId: poll._id,
 				optionIndex,
 				namedVoters: votersList.length,
-				anonymousVoters: anonymousCount,
-				existingVotes: existingVotes || 0,
-				totalVoterIds: voterIds ? voterIds.length : 0,
-				negativeIds: voterIds ? voterIds.filter(id => id < 0).length : 0,
-			})
-
-			// log voter counts
-			logger.debug('Processed voters', {
-				namedVoters: votersList.length,
-				anonymousVoters: anonymousCount,
-				existingVotes: existingVotes || 0,
-				totalAnonymousVotes,
+				unattributedVotes,
 			})
 
-			// Calculate total existing votes (with safety checks)
-			const totalExistingVotes =
-				poll && poll.options && Array.isArray(poll.options)
-					? poll.options.reduce(
-							(sum, opt) => sum + (opt?.existingVotes || 0),
-							0
-					  )
-					: 0
-
-			// Join user names with commas for display (with safety checks)
-			const formattedVotersList =
-				Array.isArray(votersList) && votersList.length > 0
-					? votersList.join(', ')
-					: ''
-
-			// Create a string of mentions for copy-paste
-			const formattedMentionsList =
-				Array.isArray(mentionsList) && mentionsList.length > 0
-					? mentionsList.join(' ')
-					: ''
-
-			// Handle existing votes from before tracking and anonymous votes
-			const hasAnonymousVotes = totalAnonymousVotes > 0
-
-			// Different messages for different types of anonymous votes
+			// Votes counted by Telegram that can't be attributed to a user
 			let anonymousVotesText = ''
-			if (hasAnonymousVotes) {
-				logger.debug('Anonymous votes detected', {
-					pollId: poll._id,
-					total: totalAnonymousVotes,
-					existingVotes: existingVotes || 0,
-					anonymousCount,
+			if (unattributedVotes > 0 && poll.isTracked) {
+				// Votes cast before tracking started
+				anonymousVotesText = `${t('voters.existingVotes', {
+					count: unattributedVotes,
+				})}\n\n${t('voters.trackingLimitation')}`
+			} else if (unattributedVotes > 0) {
+				anonymousVotesText = t('voters.anonymousVotes', {
+					count: unattributedVotes,
 				})
-				if (poll.isTracked && existingVotes > 0 && anonymousCount > 0) {
-					// Both pre-tracking votes and anonymous votes during tracking
-					anonymousVotesText =
-						t('voters.mixedAnonymousVotes', {
-							existing: existingVotes,
-							anonymous: anonymousCount,
-						}) ||
-						`Including ${existingVotes} votes from before tracking and ${anonymousCount} anonymous votes`
-
-					// Add a note about Telegram API limitations
-					anonymousVotesText += `\n\n${
-						t('voters.trackingLimitation') ||
-						'Note: Due to Telegram API limitations, votes made before tracking cannot be identified. Track polls before voting starts for best results.'
-					}`
-				} else if (poll.isTracked && existingVotes > 0) {
-					// Only pre-tracking votes
-					anonymousVotesText =
-						t('voters.existingVotes', { count: existingVotes }) ||
-						`Plus ${existingVotes} anonymous votes from before tracking`
-
-					// Add a note about Telegram API limitations
-					anonymousVotesText += `\n\n${
-						t('voters.trackingLimitation') ||
-						'Note: Due to Telegram API limitations, votes made before tracking cannot be identified. Track polls before voting starts for best results.'
-					}`
-				} else if (anonymousCount > 0) {
-					// Only anonymous votes during tracking
-					anonymousVotesText =
-						t('voters.anonymousVotes', { count: anonymousCount }) ||
-						`Plus ${anonymousCount} anonymous votes`
-				} else {
-					// Generic fallback
-					anonymousVotesText =
-						t('voters.totalAnonymousVotes', { count: totalAnonymousVotes }) ||
-						`Plus ${totalAnonymousVotes} anonymous votes`
-				}
 			}
 
 			// Save the poll ID and option info in session
@@ -1418,6 +1515,7 @@ const checkVotersScene = () => {
 			ctx.session.checkVoters.mentionsList = mentionsList
 			ctx.session.checkVoters.selectedOption = optionText
 			ctx.session.checkVoters.optionIndex = optionIndex
+			ctx.session.checkVoters.fromNonVoters = false
 
 			// Пагинация больше не используется
 
@@ -1440,7 +1538,11 @@ const checkVotersScene = () => {
 				// Add info about tracking status if it's a tracked poll
 				if (poll && poll.isTracked && poll.trackedAt) {
 					try {
-						const trackingDate = new Date(poll.trackedAt).toLocaleString()
+						const trackingDate = formatDateTime(
+							poll.trackedAt,
+							ctx.i18n?.locale,
+							await getChatTimeZone(poll.chatId)
+						)
 						message.push(
 							`🔍 ${
 								t('voters.trackedSince', { date: trackingDate }) ||
@@ -1469,6 +1571,44 @@ const checkVotersScene = () => {
 				})}`
 			)
 
+			if (anonymousVotesText) {
+				message.push(anonymousVotesText)
+			}
+
+			// In multiple choice polls show how many of them also picked other options
+			if (poll.isMultipleChoice) {
+				const alsoVotedElsewhere = voterIds.filter(
+					id => poll.getUserOptionIds(id).length > 1
+				).length
+				if (alsoVotedElsewhere > 0) {
+					message.push(
+						t('voters.alsoVotedOtherOptions', { count: alsoVotedElsewhere })
+					)
+				}
+			}
+
+			// Options with limited seats list who got a seat and who is waiting, in the order they voted
+			if (option?.capacity) {
+				const confirmed = votersList.slice(0, option.capacity)
+				const waitlisted = votersList.slice(option.capacity)
+
+				message.push(
+					'',
+					t('voters.confirmedVoters', {
+						count: confirmed.length,
+						capacity: option.capacity,
+					}),
+					...confirmed
+				)
+				if (waitlisted.length > 0) {
+					message.push(
+						'',
+						t('voters.waitlistedVoters', { count: waitlisted.length }),
+						...waitlisted.map((name, index) => `${index + 1}. ${name}`)
+					)
+				}
+			}
+
 			// Показываем информацию о проголосовавших НЕ здесь, у нас уже есть заголовок
 			// Вместо этого, пагинация и список применяются ниже после проверки на длину сообщения
 
@@ -1563,7 +1703,11 @@ const checkVotersScene = () => {
 
 				// Add tracking info if available
 				if (poll.isTracked && poll.trackedAt) {
-					const trackingDate = new Date(poll.trackedAt).toLocaleString()
+					const trackingDate = formatDateTime(
+						poll.trackedAt,
+						ctx.i18n?.locale,
+						await getChatTimeZone(poll.chatId)
+					)
 					fallbackMessage += `\n\n🔍 ${
 						t('voters.trackedSince', { date: trackingDate }) ||
 						`Tracking since: ${trackingDate}`
@@ -1628,163 +1772,211 @@ const checkVotersScene = () => {
 		}
 	}
 
+	// Show who answered a quiz correctly and the chat's quiz scores
+	const handleQuizResults = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+
+		const { messageId, chatId } = ctx.session.checkVoters || {}
+
+		const poll = await Poll.findOne({ chatId, messageId })
+		if (!poll || !poll.isQuiz()) {
+			await ctx.answerCbQuery(t('scenes.voters.errorShowingVoters'))
+			return
+		}
+
+		await ctx.answerCbQuery()
+
+		const { correct, wrong } = poll.getQuizResults()
+		const correctVoters = await processVoters(ctx, poll, correct)
+		const wrongVoters = await processVoters(ctx, poll, wrong)
+
+		const message = []
+		message.push(`🎓 ${poll.title}`)
+		message.push(
+			t('scenes.voters.quizCorrectAnswer', {
+				option: poll.options[poll.correctOptionId]?.text || '',
+			})
+		)
+
+		message.push(
+			`\n✅ ${t('scenes.voters.quizAnsweredRight', { count: correct.length })}`
+		)
+		if (correctVoters.votersList.length > 0) {
+			message.push(correctVoters.votersList.join(', '))
+		}
+
+		message.push(
+			`\n❌ ${t('scenes.voters.quizAnsweredWrong', { count: wrong.length })}`
+		)
+		if (wrongVoters.votersList.length > 0) {
+			message.push(wrongVoters.votersList.join(', '))
+		}
+
+		// Per-user scores across all quizzes in this chat
+		const scores = (await Poll.getQuizScores(poll.chatId)).slice(
+			0,
+			MAX_QUIZ_SCORES
+		)
+		if (scores.length > 0) {
+			const scoreNames = await processVoters(
+				ctx,
+				poll,
+				scores.map(score => score.userId)
+			)
+			message.push(`\n🏆 ${t('scenes.voters.quizScores')}`)
+			scores.forEach((score, index) => {
+				const name = scoreNames.votersList[index] || `User ${score.userId}`
+				message.push(
+					t('scenes.voters.quizScoreLine', {
+						position: index + 1,
+						name,
+						correct: score.correct,
+						total: score.total,
+					})
+				)
+			})
+		}
+
+		let messageText = message.join('\n')
+		if (messageText.length > 4000) {
+			messageText = messageText.substring(0, 4000) + '…'
+		}
+
+		await ctx.editMessageText(
+			messageText,
+			Markup.inlineKeyboard([
+				[
+					Markup.button.callback(
+						'⬅️ ' + t('scenes.common.backButton'),
+						`poll_${poll.messageId}_${poll.chatId}`
+					),
+				],
+				[
+					Markup.button.callback(
+						t('scenes.voters.finishButton'),
+						'finish_check'
+					),
+				],
+			])
+		)
+	}
+
+	// Show the latest answers, changes and retractions in the poll
+	const handleVoteHistory = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+
+		const poll = await getSelectedPoll(ctx)
+		if (!poll) {
+			await ctx.answerCbQuery(t('scenes.voters.errorShowingVoters'))
+			return
+		}
+
+		await ctx.answerCbQuery()
+
+		const [events, counts, timeZone] = await Promise.all([
+			VoteEvent.getForPoll(poll._id),
+			VoteEvent.countByType(poll._id),
+			getChatTimeZone(poll.chatId),
+		])
+
+		const message = [t('history.header', { title: poll.title })]
+		if (events.length === 0) {
+			message.push(t('history.empty'))
+		} else {
+			message.push(t('history.summary', counts))
+			message.push('')
+			message.push(t('history.latest', { count: events.length }))
+			events.forEach(event => {
+				message.push(formatVoteEvent(event, poll, t, ctx.i18n?.locale, timeZone))
+			})
+		}
+
+		let messageText = message.join('\n')
+		if (messageText.length > 4000) {
+			messageText = messageText.substring(0, 4000) + '…'
+		}
+
+		await ctx.editMessageText(
+			messageText,
+			Markup.inlineKeyboard([
+				[
+					Markup.button.callback(
+						'⬅️ ' + t('scenes.common.backButton'),
+						`poll_${poll.messageId}_${poll.chatId}`
+					),
+				],
+				[
+					Markup.button.callback(
+						t('scenes.voters.finishButton'),
+						'finish_check'
+					),
+				],
+			])
+		)
+	}
+
 	// Process the voters and create formatted lists
 	const processVoters = async (ctx, poll, voterIds) => {
 		// Check for required parameters
 		if (!ctx) {
 			logger.error('Missing context in processVoters')
-			return { votersList: [], mentionsList: [], anonymousCount: 0 }
+			return { votersList: [], mentionsList: [] }
 		}
 
 		if (!poll) {
 			logger.error('Missing poll in processVoters')
-			return { votersList: [], mentionsList: [], anonymousCount: 0 }
+			return { votersList: [], mentionsList: [] }
 		}
 
 		const votersList = []
 		const mentionsList = []
 
-		// Count anonymous voters (with negative IDs)
-		let anonymousCount = 0
-
 		// If no voters yet, return empty lists
 		if (!voterIds || voterIds.length === 0) {
-			return { votersList, mentionsList, anonymousCount }
+			return { votersList, mentionsList }
 		}
 
 		// Get the chat ID from session
 		const chatId = ctx.session.checkVoters?.chatId || ctx.chat?.id
 		if (!chatId) {
 			logger.error('No chatId available for processVoters')
-			return { votersList, mentionsList, anonymousCount }
+			return { votersList, mentionsList }
 		}
 
-		// Filter out and count anonymous voters (with negative IDs)
-		const namedVoterIds = []
+		// Known users are read from the user directory, the rest are asked from Telegram
+		const profiles = await getUserProfiles(ctx.telegram, chatId, voterIds)
 
-		// Process each voter - count anonymous votes (negative IDs are placeholders for anonymous votes)
+		// Process each voter
 		for (const voterId of voterIds) {
-			if (voterId < 0) {
-				anonymousCount++
+			// Mentioned users carry the username they were mentioned with
+			const mentionedUser = (poll.mentions || []).find(
+				m => m && m.userId === voterId
+			)
+			const username =
+				mentionedUser?.username || profiles.get(voterId)?.username
+
+			// Users without a username are mentioned by a link to their ID
+			if (username) {
+				votersList.push(`@${username}`)
+				mentionsList.push(formatMention({ username }))
+			} else if (profiles.has(voterId)) {
+				const profile = profiles.get(voterId)
+				const name = [profile.firstName, profile.lastName]
+					.filter(Boolean)
+					.join(' ')
+				votersList.push(`${name || 'User'}`)
+				mentionsList.push(formatMention(profile))
 			} else {
-				namedVoterIds.push(voterId)
-			}
-		}
-
-		// Process each named voter
-		for (const voterId of namedVoterIds) {
-			try {
-				if (!poll.mentions || !Array.isArray(poll.mentions)) {
-					logger.warn('Missing mentions array in poll')
-					poll.mentions = []
-				}
-
-				// Find the mentioned user by userId or if userId is negative (temporary), by username
-				let mentionedUser = poll.mentions.find(m => m && m.userId === voterId)
-
-				// For negative userIds (temporary ones), we need additional handling
-				if (!mentionedUser && voterId < 0) {
-					try {
-						// Try to match with real users who may have been resolved
-						const chatMember = await ctx.telegram
-							.getChatMember(chatId, Math.abs(voterId))
-							.catch(() => null)
-
-						if (chatMember && chatMember.user) {
-							mentionedUser = poll.mentions.find(
-								m =>
-									m &&
-									m.username &&
-									chatMember.user.username &&
-									m.username.toLowerCase() ===
-										chatMember.user.username.toLowerCase()
-							)
-						}
-					} catch (error) {
-						logger.warn(
-							`Error fetching chat member for user ID ${Math.abs(voterId)}:`,
-							error
-						)
-					}
-				}
-
-				if (mentionedUser && mentionedUser.username) {
-					// For users with username
-					const username = mentionedUser.username
-					votersList.push(`@${username}`)
-					mentionsList.push(`@${username}`)
-				} else if (mentionedUser && mentionedUser.userId) {
-					// For mentioned users without username but with userId
-					try {
-						const chatMember = await ctx.telegram.getChatMember(
-							chatId,
-							mentionedUser.userId
-						)
-						if (chatMember && chatMember.user) {
-							const user = chatMember.user
-							if (user.username) {
-								votersList.push(`@${user.username}`)
-								mentionsList.push(`@${user.username}`)
-							} else {
-								const name = [user.first_name, user.last_name]
-									.filter(Boolean)
-									.join(' ')
-								votersList.push(`${name || 'User'}`)
-								mentionsList.push(`@${user.id}`)
-							}
-						} else {
-							votersList.push(`User ${mentionedUser.userId}`)
-							mentionsList.push(`@${mentionedUser.userId}`)
-						}
-					} catch (error) {
-						logger.warn(
-							`Could not get chat member info for mentioned user ${mentionedUser.userId}:`,
-							error
-						)
-						votersList.push(`User ${mentionedUser.userId}`)
-						mentionsList.push(`@${mentionedUser.userId}`)
-					}
-				} else {
-					// Try to get user info from the chat
-					try {
-						const chatMember = await ctx.telegram.getChatMember(chatId, voterId)
-						if (chatMember && chatMember.user) {
-							const user = chatMember.user
-							if (user.username) {
-								votersList.push(`@${user.username}`)
-								mentionsList.push(`@${user.username}`)
-							} else {
-								const name = [user.first_name, user.last_name]
-									.filter(Boolean)
-									.join(' ')
-								votersList.push(`${name || 'User'}`)
-								mentionsList.push(`@${user.id}`)
-							}
-						} else {
-							// Fallback if user info not available
-							votersList.push(`User ${voterId}`)
-							mentionsList.push(`@${voterId}`)
-						}
-					} catch (error) {
-						logger.warn(
-							`Could not get chat member info for user ${voterId}:`,
-							error
-						)
-						votersList.push(`User ${voterId}`)
-						mentionsList.push(`@${voterId}`)
-					}
-				}
-			} catch (err) {
-				logger.error(`Error processing voter ${voterId}:`, err)
+				// Fallback if user info not available
 				votersList.push(`User ${voterId}`)
-				mentionsList.push(`@${voterId}`)
+				mentionsList.push(formatMention({ userId: voterId }))
 			}
 		}
 
 		return {
 			votersList: votersList || [],
-			mentionsList: mentionsList || [],
-			anonymousCount: anonymousCount || 0,
+			// The same person may appear more than once across options of a multiple choice poll
+			mentionsList: Array.from(new Set(mentionsList || [])),
 		}
 	}
 
@@ -1854,10 +2046,26 @@ const checkVotersScene = () => {
 			return
 		}
 
+		const originalPollTitle =
+			ctx.session.checkVoters.selectedPollTitle ||
+			ctx.session.checkVoters.pollTitle ||
+			'Untitled Poll'
+		const fromNonVoters = ctx.session.checkVoters.fromNonVoters === true
+
+		// Link the follow-up poll to the poll and option its voters come from
+		const parentPoll = await getSelectedPoll(ctx).catch(error => {
+			logger.warn('Could not load the parent poll:', error)
+			return null
+		})
+		const sourceOptionIndex =
+			!fromNonVoters && Number.isInteger(optionIndex) ? optionIndex : null
+
 		// Create a suggested title based on selected option
-		const suggestedTitle = `${t('scenes.voters.followUpTitle', {
-			option: selectedOption,
-		})}`
+		const suggestedTitle = fromNonVoters
+			? t('scenes.voters.notVotedFollowUpTitle', { title: originalPollTitle })
+			: `${t('scenes.voters.followUpTitle', {
+					option: selectedOption,
+			  })}`
 
 		// Update message to show we're creating a poll
 		let creatingPollMessageId = null
@@ -1914,16 +2122,487 @@ const checkVotersScene = () => {
 			targetChatId: chatId, // Include target chat ID for creating in the original group
 			fromPrivate: fromPrivate, // Flag indicating if we're in a private chat
 			fromCheckVoters: true, // Flag indicating this poll is created from checkVoters
-			originalPollTitle:
-				ctx.session.checkVoters.selectedPollTitle ||
-				ctx.session.checkVoters.pollTitle ||
-				'Untitled Poll', // Original poll title
+			fromNonVoters, // The mentions are the users who didn't vote
+			originalPollTitle, // Original poll title
+			parentPollId: parentPoll ? parentPoll._id.toString() : null, // Poll the mentions come from
+			sourceOptionIndex, // Option of that poll the mentions voted for
 		}
 
 		// Enter compact poll creation scene with data
 		return ctx.scene.enter('compact-create-poll', { checkData })
 	}
 
+	// Mentioned users and roster members who haven't voted in a poll
+	const getNonVoters = async poll => {
+		const nonVoters = poll.getPendingMentions().map(mention => ({
+			// Older username mentions carry negative placeholder IDs
+			userId: mention.userId > 0 ? mention.userId : null,
+			username: mention.username || null,
+			firstName: mention.firstName || null,
+			lastName: mention.lastName || null,
+		}))
+
+		// Members added to the roster after the poll was posted count as well
+		if (poll.rosterId) {
+			const roster = await Roster.findById(poll.rosterId).catch(error => {
+				logger.warn(`Could not load roster ${poll.rosterId}:`, error)
+				return null
+			})
+			const voterIds = new Set(poll.getUniqueVoterIds())
+			const isMentioned = member =>
+				findMentionIndex(poll.mentions, {
+					id: member.userId,
+					username: member.username,
+				}) !== -1
+
+			for (const member of roster?.members || []) {
+				if (!isMentioned(member) && !voterIds.has(member.userId)) {
+					nonVoters.push({
+						userId: member.userId,
+						username: member.username,
+						firstName: member.firstName,
+						lastName: member.lastName,
+					})
+				}
+			}
+		}
+
+		return nonVoters
+	}
+
+	// Display name of a user who didn't vote
+	const formatNonVoter = user => {
+		if (user.username) {
+			return `@${user.username}`
+		}
+		const name = [user.firstName, user.lastName].filter(Boolean).join(' ')
+		return name || `User ${user.userId}`
+	}
+
+	// Load the poll selected in the scene
+	const getSelectedPoll = async ctx => {
+		const { messageId, chatId } = ctx.session.checkVoters || {}
+		return await Poll.findOne({ chatId, messageId })
+	}
+
+	// Show the users who were mentioned or are on the roster but didn't vote
+	const handleNonVoters = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+
+		const poll = await getSelectedPoll(ctx)
+		if (!poll) {
+			await ctx.answerCbQuery(t('scenes.voters.errorShowingVoters'))
+			return
+		}
+
+		await ctx.answerCbQuery()
+
+		const nonVoters = await getNonVoters(poll)
+		ctx.session.checkVoters.nonVoters = nonVoters
+
+		const message = [`📊 ${poll.title}`]
+		if (nonVoters.length === 0) {
+			message.push(t('scenes.voters.everyoneVoted'))
+		} else {
+			message.push(t('scenes.voters.notVotedHeader', { count: nonVoters.length }))
+			message.push(
+				nonVoters.slice(0, MAX_NON_VOTERS_SHOWN).map(formatNonVoter).join(', ')
+			)
+			if (nonVoters.length > MAX_NON_VOTERS_SHOWN) {
+				message.push(
+					t('scenes.voters.andMoreUsers', {
+						count: nonVoters.length - MAX_NON_VOTERS_SHOWN,
+					})
+				)
+			}
+		}
+
+		// Mentions with typos or of users outside the chat will never vote
+		const unresolved = poll.mentions.filter(mention => mention.unresolvedReason)
+		if (unresolved.length > 0) {
+			message.push('', t('voters.unresolvedHeader'))
+			unresolved.forEach(mention => {
+				message.push(
+					`• ${formatNonVoter(mention)} — ${t(
+						`voters.unresolvedReason.${mention.unresolvedReason}`
+					)}`
+				)
+			})
+		}
+
+		const buttons = []
+		if (nonVoters.length > 0) {
+			buttons.push([
+				Markup.button.callback(
+					t('scenes.voters.pingNonVotersButton'),
+					'not_voted_ping'
+				),
+			])
+			buttons.push([
+				Markup.button.callback(
+					t('scenes.voters.createPollButton'),
+					'not_voted_poll'
+				),
+			])
+		}
+		buttons.push([
+			Markup.button.callback(
+				'⬅️ ' + t('scenes.common.backButton'),
+				`poll_${poll.messageId}_${poll.chatId}`
+			),
+		])
+		buttons.push([
+			Markup.button.callback(t('scenes.voters.finishButton'), 'finish_check'),
+		])
+
+		await ctx.editMessageText(message.join('\n'), Markup.inlineKeyboard(buttons))
+	}
+
+	// Reply to the poll tagging the users who didn't vote
+	const handleNonVotersPing = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+
+		const poll = await getSelectedPoll(ctx)
+		const nonVoters = ctx.session.checkVoters?.nonVoters || []
+		if (!poll || nonVoters.length === 0) {
+			await ctx.answerCbQuery(t('scenes.voters.errorShowingVoters'))
+			return
+		}
+
+		try {
+			const sent = await sendReminder(ctx.telegram, poll, nonVoters)
+			await ctx.answerCbQuery(
+				sent
+					? t('scenes.voters.nonVotersPinged', { count: nonVoters.length })
+					: t('scenes.voters.nonVotersCannotPing')
+			)
+		} catch (error) {
+			logger.error(`Error pinging non-voters of poll ${poll._id}:`, error)
+			await ctx.answerCbQuery(t('scenes.voters.nonVotersCannotPing'))
+		}
+	}
+
+	// Hand the users who didn't vote over to the poll creation wizard
+	const handleNonVotersPoll = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+		const nonVoters = ctx.session.checkVoters?.nonVoters || []
+
+		// Only users known by username or ID can be mentioned
+		const mentionable = nonVoters.filter(user => user.username || user.userId)
+		if (mentionable.length === 0) {
+			await ctx.answerCbQuery(t('scenes.voters.nonVotersCannotPing'))
+			return
+		}
+
+		ctx.session.checkVoters.selectedVoters = mentionable.map(formatNonVoter)
+		ctx.session.checkVoters.mentionsList = mentionable.map(formatMention)
+		ctx.session.checkVoters.selectedOption = t('scenes.voters.notVotedOption')
+		ctx.session.checkVoters.fromNonVoters = true
+
+		return await handleCreatePoll(ctx)
+	}
+
+	// Get Telegram users for a list of user IDs
+	const resolveUsers = async (ctx, chatId, userIds) => {
+		const profiles = await getUserProfiles(ctx.telegram, chatId, userIds)
+		return userIds.map(userId => profiles.get(userId) || { userId })
+	}
+
+	// Compute the voter set of the session and resolve its users
+	const getVoterSetResult = async ctx => {
+		const { terms = [] } = ctx.session.checkVoters.voterSet || {}
+		if (terms.length === 0) {
+			return { terms, users: [] }
+		}
+
+		const { voterIds } = await buildVoterSet(terms)
+		const users = await resolveUsers(
+			ctx,
+			terms[0].chatId,
+			voterIds.slice(0, MAX_VOTER_SET_SHOWN)
+		)
+
+		// Users beyond the display limit are kept by ID only
+		voterIds.slice(MAX_VOTER_SET_SHOWN).forEach(userId => users.push({ userId }))
+
+		return { terms, users }
+	}
+
+	// Show the voter set being built with its current result
+	const showVoterSetBuilder = async ctx => {
+		const { t } = ctx.i18n || { t: key => key }
+		const { terms, users } = await getVoterSetResult(ctx)
+
+		const message = [`🧮 ${t('scenes.voters.voterSetHeader')}`, '']
+		if (terms.length === 0) {
+			message.push(t('scenes.voters.voterSetEmpty'))
+		} else {
+			message.push(describeVoterSet(terms, t('scenes.voters.voterSetAnyOption')))
+			message.push('')
+			message.push(t('scenes.voters.voterSetResult', { count: users.length }))
+			if (users.length > 0) {
+				message.push(
+					users.slice(0, MAX_VOTER_SET_SHOWN).map(formatNonVoter).join(', ')
+				)
+			}
+			if (users.length > MAX_VOTER_SET_SHOWN) {
+				message.push(
+					t('scenes.voters.andMoreUsers', {
+						count: users.length - MAX_VOTER_SET_SHOWN,
+					})
+				)
+			}
+		}
+
+		const buttons = []
+		if (terms.length === 0) {
+			buttons.push([
+				Markup.button.callback(
+					t('scenes.voters.voterSetAddButton'),
+					'set_add_union'
+				),
+			])
+		} else {
+			buttons.push(
+				SET_OPERATIONS.map(operation =>
+					Markup.button.callback(
+						t(`scenes.voters.voterSet.${operation}`),
+						`set_add_${operation}`
+					)
+				)
+			)
+			if (users.length > 0) {
+				buttons.push([
+					Markup.button.callback(
+						t('scenes.voters.voterSetPingButton'),
+						'set_ping'
+					),
+					Markup.button.callback(
+						t('scenes.voters.voterSetExportButton'),
+						'set_export'
+					),
+				])
+				buttons.push([
+					Markup.button.callback(
+						t('scenes.voters.createPollButton'),
+						'set_new_poll'
+					),
+				])
+			}
+			buttons.push([
+				Markup.button.callback(
+					t('scenes.voters.voterSetResetButton'),
+					'set_reset'
+				),
+			])
+		}
+		buttons.push([
+			Markup.button.callback(
+				'⬅️ ' + t('scenes.common.backButton'),
+				'back_to_polls'
+			),
+			Markup.button.callback(t('scenes.voters.finishButton'), 'finish_check'),
+		])
+
+		let messageText = message.join('\n')
+		if (messageText.length > 4000) {
+			messageText = messageText.substring(0, 4000) + '…'
+		}
+
+		await ctx.editMessageText(messageText, Markup.inlineKeyboard(buttons))
+	}
+
+	// Handle the buttons of the voter set builder
+	const handleVoterSetAction = async (ctx, action) => {
+		const { t } = ctx.i18n || { t: key => key }
+		const session = ctx.session.checkVoters
+		session.voterSet = session.voterSet || { terms: [], operation: null }
+		const voterSet = session.voterSet
+		const availablePolls = session.availablePolls || []
+
+		if (action === 'set_builder') {
+			await ctx.answerCbQuery()
+			return await showVoterSetBuilder(ctx)
+		}
+
+		if (action === 'set_reset') {
+			voterSet.terms = []
+			await ctx.answerCbQuery()
+			return await showVoterSetBuilder(ctx)
+		}
+
+		// Pick the poll of the next term
+		const addMatch = action.match(/^set_add_(\w+)$/)
+		if (addMatch && SET_OPERATIONS.includes(addMatch[1])) {
+			voterSet.operation = addMatch[1]
+			await ctx.answerCbQuery()
+
+			const buttons = availablePolls
+				.slice(0, MAX_VOTER_SET_POLLS)
+				.map((poll, index) => [
+					Markup.button.callback(
+						poll.title.length > 30
+							? `${poll.title.substring(0, 30)}...`
+							: poll.title,
+						`set_poll_${index}`
+					),
+				])
+			buttons.push([
+				Markup.button.callback(
+					'⬅️ ' + t('scenes.common.backButton'),
+					'set_builder'
+				),
+			])
+
+			return await ctx.editMessageText(
+				t('scenes.voters.voterSetSelectPoll'),
+				Markup.inlineKeyboard(buttons)
+			)
+		}
+
+		// Pick the option of the next term
+		const pollMatch = action.match(/^set_poll_(\d+)$/)
+		if (pollMatch) {
+			const pollIndex = parseInt(pollMatch[1], 10)
+			const selected = availablePolls[pollIndex]
+			const poll = selected ? await Poll.findById(selected.id) : null
+			if (!poll) {
+				await ctx.answerCbQuery(t('scenes.voters.errorFetchingOptions'))
+				return
+			}
+
+			await ctx.answerCbQuery()
+
+			const buttons = [
+				[
+					Markup.button.callback(
+						t('scenes.voters.voterSetAnyOption'),
+						`set_opt_${pollIndex}_any`
+					),
+				],
+			]
+			poll.options.forEach((option, index) => {
+				buttons.push([
+					Markup.button.callback(
+						`${index + 1}. ${option.text}`,
+						`set_opt_${pollIndex}_${index}`
+					),
+				])
+			})
+			buttons.push([
+				Markup.button.callback(
+					'⬅️ ' + t('scenes.common.backButton'),
+					`set_add_${voterSet.operation || 'union'}`
+				),
+			])
+
+			return await ctx.editMessageText(
+				t('scenes.voters.voterSetSelectOption', { title: poll.title }),
+				Markup.inlineKeyboard(buttons)
+			)
+		}
+
+		// Add the term and show the new result
+		const optionMatch = action.match(/^set_opt_(\d+)_(any|\d+)$/)
+		if (optionMatch) {
+			const selected = availablePolls[parseInt(optionMatch[1], 10)]
+			const poll = selected ? await Poll.findById(selected.id) : null
+			const optionIndex =
+				optionMatch[2] === 'any' ? null : parseInt(optionMatch[2], 10)
+			if (!poll || (optionIndex !== null && !poll.options[optionIndex])) {
+				await ctx.answerCbQuery(t('scenes.voters.errorFetchingOptions'))
+				return
+			}
+
+			voterSet.terms.push({
+				operation: voterSet.operation || 'union',
+				pollId: poll._id.toString(),
+				messageId: poll.messageId,
+				chatId: poll.chatId,
+				title: poll.title,
+				optionIndex,
+				optionText: optionIndex === null ? null : poll.options[optionIndex].text,
+			})
+			voterSet.operation = null
+
+			await ctx.answerCbQuery()
+			return await showVoterSetBuilder(ctx)
+		}
+
+		const { terms, users } = await getVoterSetResult(ctx)
+		if (users.length === 0) {
+			await ctx.answerCbQuery(t('scenes.voters.voterSetEmptyResult'))
+			return
+		}
+
+		// Voters of one chat must not be shown in another
+		const isSingleChat = terms.every(term => term.chatId === terms[0].chatId)
+		if (!isSingleChat && ['set_ping', 'set_new_poll'].includes(action)) {
+			await ctx.answerCbQuery(t('scenes.voters.voterSetSeveralChats'), {
+				show_alert: true,
+			})
+			return
+		}
+
+		// Tag everyone in the result in the chat of the polls
+		if (action === 'set_ping') {
+			try {
+				await sendMentionMessages(
+					ctx.telegram,
+					terms[0].chatId,
+					users.map(formatMention),
+					mentions => t('scenes.voters.voterSetPing', { mentions })
+				)
+				await ctx.answerCbQuery(
+					t('scenes.voters.nonVotersPinged', { count: users.length })
+				)
+			} catch (error) {
+				logger.error('Error pinging voter set:', error)
+				await ctx.answerCbQuery(t('scenes.voters.nonVotersCannotPing'))
+			}
+			return
+		}
+
+		// Send the result as a CSV file
+		if (action === 'set_export') {
+			const rows = users.map(user =>
+				[
+					user.userId,
+					user.username || '',
+					[user.firstName, user.lastName].filter(Boolean).join(' '),
+				]
+					.map(value => `"${String(value).replace(/"/g, '""')}"`)
+					.join(',')
+			)
+			await ctx.answerCbQuery()
+			await ctx.replyWithDocument(
+				{
+					source: Buffer.from(['user_id,username,name', ...rows].join('\n')),
+					filename: 'voters.csv',
+				},
+				{ caption: describeVoterSet(terms, t('scenes.voters.voterSetAnyOption')) }
+			)
+			return
+		}
+
+		// Hand the result over to the poll creation wizard
+		if (action === 'set_new_poll') {
+			session.chatId = terms[0].chatId
+			session.messageId = terms[0].messageId
+			session.selectedPollTitle = terms[0].title
+			session.selectedVoters = users.map(formatNonVoter)
+			session.mentionsList = users.map(formatMention)
+			session.selectedOption = t('scenes.voters.voterSetOption')
+			session.fromNonVoters = false
+			// The set combines several polls, so no single option is the source
+			session.optionIndex = null
+
+			return await handleCreatePoll(ctx)
+		}
+
+		await ctx.answerCbQuery()
+	}
+
 	// Вспомогательная функция для безопасного удаления сообщений
 	const safeDeleteMessage = async (ctx, messageId, description = 'message') => {
 		if (!messageId) return false
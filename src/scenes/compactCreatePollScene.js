@@ -1,45 +1,56 @@
 const { Markup, Scenes } = require('telegraf')
-const Poll = require('../models/Poll')
+const ScheduledPoll = require('../models/ScheduledPoll')
+const RecurringPoll = require('../models/RecurringPoll')
+const PollTemplate = require('../models/PollTemplate')
+const { MAX_TEMPLATE_NAME_LENGTH } = PollTemplate
+const PollDraft = require('../models/PollDraft')
+const Roster = require('../models/Roster')
+const { publishPoll } = require('../utils/pollPublisher')
+const { isChatMember } = require('../utils/chatRegistry')
+const { extractMentions, findMentionIndex } = require('../utils/mentions')
 const logger = require('../utils/logger')
+const {
+	parseDuration,
+	parseDeadline,
+	formatDateTime,
+	formatDuration,
+} = require('../utils/time')
+const { MIN_REMIND_INTERVAL_MS } = require('../utils/pollFlags')
+const { getChatTimeZone } = require('../utils/chatSettings')
+const { MAX_OPTIONS } = require('../utils/pollText')
+const {
+	parseDecisionRule,
+	describeDecisionRule,
+} = require('../utils/pollDecisions')
+const {
+	parseRecurrenceRule,
+	getNextRun,
+	describeRule,
+} = require('../utils/recurrence')
+
+// Telegram limit for quiz explanations
+const MAX_EXPLANATION_LENGTH = 200
+
+// Number of templates offered when starting a new poll
+const MAX_TEMPLATE_CHOICES = 10
 
 /**
- * Extract mentions from message entities
- * @param {Array} entities - Message entities from Telegram
- * @param {string} text - Full message text
- * @param {number} fromId - User ID of message sender
- * @returns {Array} Array of user mentions
+ * Get the mentions of the poll being created, title mentions first, then roster members
+ * @param {Object} pollData - Wizard poll data
+ * @returns {Array} Mentions without duplicates
  */
-const extractMentions = (entities, text, fromId) => {
-	if (!entities) return []
-
-	const mentions = []
-	entities.forEach(entity => {
-		if (entity.type === 'mention') {
-			// Extract username from @mention
-			const username = text.substring(
-				entity.offset + 1,
-				entity.offset + entity.length
-			)
-			// Generate a temporary negative userId for username mentions
-			const tempUserId = -Math.floor(Math.random() * 1000000) - 1
-			mentions.push({
-				username,
-				userId: tempUserId,
-				firstName: null,
-				lastName: null,
-				voted: false,
-			})
-		} else if (entity.type === 'text_mention' && entity.user) {
-			// Text mentions already have user objects
-			mentions.push({
-				username: entity.user.username || null,
-				userId: entity.user.id,
-				firstName: entity.user.first_name || null,
-				lastName: entity.user.last_name || null,
-				voted: entity.user.id === fromId, // Creator is automatically marked as voted
-			})
+const getMentions = pollData => {
+	const mentions = [...(pollData.mentions || [])]
+
+	for (const member of pollData.rosterMentions || []) {
+		const index = findMentionIndex(mentions, {
+			id: member.userId,
+			username: member.username,
+		})
+		if (index === -1) {
+			mentions.push(member)
 		}
-	})
+	}
 
 	return mentions
 }
@@ -58,6 +69,9 @@ const compactCreatePollScene = () => {
 			return await initializeScene(ctx)
 		}
 
+		// Notices are shown once, until the next interaction
+		ctx.wizard.state.pollData.notice = null
+
 		// Process callback queries
 		if (ctx.callbackQuery) {
 			return await handleCallbackQuery(ctx)
@@ -76,6 +90,11 @@ const compactCreatePollScene = () => {
 	const initializeScene = async ctx => {
 		const { t } = ctx.i18n
 
+		// Continue a draft saved before a restart
+		if (ctx.scene.state.draft) {
+			return await restoreDraft(ctx)
+		}
+
 		// Check if we're initializing from check-voters scene
 		const checkData = ctx.scene.state.checkData || {}
 		const fromPrivate = checkData.fromPrivate || false
@@ -107,6 +126,13 @@ const compactCreatePollScene = () => {
 			currentField: null, // Currently editing field
 			editingOption: -1, // Index of option being edited (-1 means none)
 			title: '',
+			isMultipleChoice: false, // Allow choosing several options
+			isQuiz: false, // Send as a Telegram quiz
+			correctOptionId: null, // Index of the correct option for quizzes
+			explanation: '', // Text shown after a quiz is answered
+			closesAt: null, // Deadline as ISO string, the poll is closed automatically after it
+			remindEvery: null, // Interval in ms between reminders to mentioned users who haven't voted
+			decisionRule: null, // Quorum or vote threshold after which the outcome is announced
 			messageId: null, // ID of the main interaction message
 			commandMessageId: ctx.message ? ctx.message.message_id : null, // Store original command message ID for cleanup
 			fromPrivate: fromPrivate, // Remember if we're in private chat
@@ -132,6 +158,14 @@ const compactCreatePollScene = () => {
 				ctx.wizard.state.pollData.originalPollTitle =
 					checkData.originalPollTitle
 			}
+
+			// Remember the poll and option the mentions come from
+			ctx.wizard.state.pollData.parentPollId = checkData.parentPollId || null
+			ctx.wizard.state.pollData.sourceOptionIndex = Number.isInteger(
+				checkData.sourceOptionIndex
+			)
+				? checkData.sourceOptionIndex
+				: null
 		}
 
 		// Если идем из чекВотерс, сохраняем ID сообщения "Создание опроса..."
@@ -160,9 +194,11 @@ const compactCreatePollScene = () => {
 					ctx.scene.state.checkData.importedMentions
 				ctx.wizard.state.pollData.selectedOption =
 					ctx.scene.state.checkData.selectedOption
-				ctx.wizard.state.pollData.title = t('scenes.voters.followUpTitle', {
-					option: ctx.scene.state.checkData.selectedOption,
-				})
+				ctx.wizard.state.pollData.title =
+					ctx.scene.state.checkData.suggestedTitle ||
+					t('scenes.voters.followUpTitle', {
+						option: ctx.scene.state.checkData.selectedOption,
+					})
 
 				// Save original poll title if available
 				if (ctx.scene.state.checkData.originalPollTitle) {
@@ -172,6 +208,8 @@ const compactCreatePollScene = () => {
 
 				// Mark this poll as coming from checkVoters
 				ctx.wizard.state.pollData.fromCheckVoters = true
+				ctx.wizard.state.pollData.fromNonVoters =
+					!!ctx.scene.state.checkData.fromNonVoters
 			}
 
 			// Store interface message ID from checkVoters if available
@@ -221,23 +259,165 @@ const compactCreatePollScene = () => {
 				ctx.wizard.state.pollData.originalPollMessageId =
 					ctx.session.checkVoters.messageId
 			}
-		} else {
+		} else if (!ctx.scene.state?.prefill) {
 			// For direct /createpoll command, set default title prompt
 			ctx.wizard.state.pollData.initialPrompt = true
 		}
 
+		// /createpoll in private chat for a group picked from the list
+		if (checkData.fromGroupPicker) {
+			ctx.wizard.state.pollData.initialPrompt = true
+			ctx.wizard.state.pollData.targetChatTitle = checkData.targetChatTitle
+		}
+
+		// Start from an existing poll definition, e.g. when editing a scheduled poll
+		if (ctx.scene.state?.prefill) {
+			applyPrefill(ctx, ctx.scene.state.prefill)
+		}
+
+		// Offer the chat's templates as the first step of a fresh /createpoll
+		if (ctx.wizard.state.pollData.initialPrompt) {
+			let templates = []
+			try {
+				templates = await PollTemplate.getForChat(chatId, MAX_TEMPLATE_CHOICES)
+			} catch (error) {
+				logger.error('Error loading poll templates:', error)
+			}
+
+			if (templates.length > 0) {
+				ctx.wizard.state.pollData.state = 'choose_template'
+
+				const message = await ctx.reply(
+					t('scenes.poll.chooseTemplate'),
+					Markup.inlineKeyboard(getTemplateButtons(ctx, templates))
+				)
+				ctx.wizard.state.pollData.messageId = message.message_id
+				return
+			}
+		}
+
 		// Send initial message with poll creation interface
 		const message = await ctx.reply(
-			getMainMenuText(ctx),
+			await getMainMenuText(ctx),
 			Markup.inlineKeyboard(getMainMenuButtons(ctx))
 		)
 
 		// Save message ID for future updates
 		ctx.wizard.state.pollData.messageId = message.message_id
 
+		await saveDraft(ctx)
+
 		return
 	}
 
+	// Restore the wizard state from a saved draft
+	const restoreDraft = async ctx => {
+		const { t } = ctx.i18n
+		const { draft, fromInterface } = ctx.scene.state
+		delete ctx.scene.state.draft
+
+		ctx.wizard.state.pollData = {
+			...draft.pollData,
+			draftId: draft._id.toString(),
+			currentField: null, // The input prompt did not survive the restart
+			editingOption: -1,
+			promptMessageId: null,
+		}
+		const pollData = ctx.wizard.state.pollData
+
+		if (draft.pollData.promptMessageId) {
+			await safeDeleteMessage(
+				ctx,
+				draft.pollData.promptMessageId,
+				'stale prompt message'
+			)
+		}
+
+		logger.debug(`Restored poll draft ${pollData.draftId}`, {
+			fromInterface: !!fromInterface,
+		})
+
+		// A button of the old interface message was pressed, handle it right away
+		if (fromInterface && ctx.callbackQuery) {
+			return await handleCallbackQuery(ctx)
+		}
+
+		// Otherwise continue with a fresh interface message
+		await safeDeleteMessage(ctx, pollData.messageId, 'old interface message')
+
+		const message = await ctx.reply(
+			await getMainMenuText(ctx),
+			Markup.inlineKeyboard(getMainMenuButtons(ctx))
+		)
+		pollData.messageId = message.message_id
+
+		await saveDraft(ctx)
+		await ctx.answerCbQuery(t('drafts.continued')).catch(() => {})
+	}
+
+	// Persist the wizard state so the draft survives restarts
+	const saveDraft = async ctx => {
+		const pollData = ctx.wizard.state.pollData
+		if (!pollData?.messageId) return
+
+		try {
+			const draft = await PollDraft.saveState(pollData, ctx.chat.id)
+			pollData.draftId = draft._id.toString()
+		} catch (error) {
+			logger.warn('Could not save poll draft:', error)
+		}
+	}
+
+	// Copy a stored poll definition into the wizard state
+	const applyPrefill = (ctx, prefill) => {
+		const pollData = ctx.wizard.state.pollData
+
+		pollData.title = prefill.title || ''
+		pollData.options = (prefill.options || []).map(option => ({
+			text: option.text,
+			voterIds: [],
+			capacity: option.capacity || null,
+		}))
+		pollData.mentions = prefill.mentions || []
+		pollData.importedMentions = prefill.importedMentions || []
+		pollData.fromCheckVoters = !!prefill.fromCheckVoters
+		pollData.fromNonVoters = !!prefill.fromNonVoters
+		pollData.selectedOption = prefill.selectedOption || null
+		pollData.parentPollId = prefill.parentPollId || null
+		pollData.sourceOptionIndex = Number.isInteger(prefill.sourceOptionIndex)
+			? prefill.sourceOptionIndex
+			: null
+		pollData.originalPollTitle = prefill.originalPollTitle || null
+		pollData.isMultipleChoice = !!prefill.isMultipleChoice
+		pollData.isQuiz = prefill.type === 'quiz'
+		pollData.correctOptionId = pollData.isQuiz ? prefill.correctOptionId : null
+		pollData.explanation = prefill.explanation || ''
+		pollData.closesAt = prefill.closesAt
+			? new Date(prefill.closesAt).toISOString()
+			: null
+		pollData.remindEvery = prefill.remindEvery || null
+		pollData.decisionRule = prefill.decisionRule
+			? {
+					type: prefill.decisionRule.type,
+					value: prefill.decisionRule.value,
+					closeWhenMet: !!prefill.decisionRule.closeWhenMet,
+			  }
+			: null
+
+		// Link the new poll to the poll it is a repost of
+		if (prefill.repostedFromPollId) {
+			pollData.repostedFromPollId = prefill.repostedFromPollId
+		}
+
+		// Keep a reference to the scheduled poll being edited
+		if (prefill.scheduledPollId) {
+			pollData.scheduledPollId = prefill.scheduledPollId
+			pollData.postAt = prefill.postAt
+				? new Date(prefill.postAt).toISOString()
+				: null
+		}
+	}
+
 	// Handle callback queries (button clicks)
 	const handleCallbackQuery = async ctx => {
 		const { t } = ctx.i18n
@@ -247,17 +427,225 @@ const compactCreatePollScene = () => {
 		if (action === 'edit_title') {
 			return await promptForInput(ctx, 'title')
 		} else if (action === 'add_option') {
+			if (ctx.wizard.state.pollData.options.length >= MAX_OPTIONS) {
+				await ctx.answerCbQuery(
+					t('scenes.poll.maxOptionsReached', { max: MAX_OPTIONS })
+				)
+				return await updateMainMenu(ctx)
+			}
 			return await promptForInput(ctx, 'new_option')
+		} else if (action.startsWith('move_option_')) {
+			const [, direction, index] =
+				action.match(/^move_option_(up|down)_(\d+)$/) || []
+			const optionIndex = parseInt(index, 10)
+			const targetIndex = direction === 'up' ? optionIndex - 1 : optionIndex + 1
+			const pollData = ctx.wizard.state.pollData
+
+			if (
+				isNaN(optionIndex) ||
+				targetIndex < 0 ||
+				targetIndex >= pollData.options.length
+			) {
+				await ctx.answerCbQuery()
+				return
+			}
+
+			// Swap the option with its neighbour
+			const [option] = pollData.options.splice(optionIndex, 1)
+			pollData.options.splice(targetIndex, 0, option)
+
+			// Keep the correct answer pointing at the same option
+			if (pollData.correctOptionId === optionIndex) {
+				pollData.correctOptionId = targetIndex
+			} else if (pollData.correctOptionId === targetIndex) {
+				pollData.correctOptionId = optionIndex
+			}
+
+			await ctx.answerCbQuery()
+			return await updateMainMenu(ctx)
 		} else if (action.startsWith('edit_option_')) {
 			const optionIndex = parseInt(action.replace('edit_option_', ''), 10)
 			return await promptForInput(ctx, 'edit_option', optionIndex)
+		} else if (action.startsWith('edit_capacity_')) {
+			const optionIndex = parseInt(action.replace('edit_capacity_', ''), 10)
+			return await promptForInput(ctx, 'capacity', optionIndex)
 		} else if (action.startsWith('delete_option_')) {
 			const optionIndex = parseInt(action.replace('delete_option_', ''), 10)
-			ctx.wizard.state.pollData.options.splice(optionIndex, 1)
+			const pollData = ctx.wizard.state.pollData
+			pollData.options.splice(optionIndex, 1)
+
+			// Keep the correct answer pointing at the same option
+			if (pollData.correctOptionId === optionIndex) {
+				pollData.correctOptionId = null
+			} else if (pollData.correctOptionId > optionIndex) {
+				pollData.correctOptionId--
+			}
+
 			await ctx.answerCbQuery(t('scenes.poll.optionDeleted'))
 			return await updateMainMenu(ctx)
+		} else if (action === 'toggle_quiz') {
+			const pollData = ctx.wizard.state.pollData
+			pollData.isQuiz = !pollData.isQuiz
+			if (!pollData.isQuiz) {
+				pollData.correctOptionId = null
+			}
+
+			// Telegram quizzes always have a single answer
+			if (pollData.isQuiz && pollData.isMultipleChoice) {
+				pollData.isMultipleChoice = false
+				await ctx.answerCbQuery(t('scenes.poll.quizDisablesMultiple'))
+				return await updateMainMenu(ctx)
+			}
+
+			await ctx.answerCbQuery(
+				t(pollData.isQuiz ? 'scenes.poll.quizEnabled' : 'scenes.poll.quizDisabled')
+			)
+			return await updateMainMenu(ctx)
+		} else if (action === 'toggle_multiple') {
+			const pollData = ctx.wizard.state.pollData
+			pollData.isMultipleChoice = !pollData.isMultipleChoice
+
+			if (pollData.isMultipleChoice && pollData.isQuiz) {
+				pollData.isQuiz = false
+				pollData.correctOptionId = null
+				await ctx.answerCbQuery(t('scenes.poll.multipleDisablesQuiz'))
+				return await updateMainMenu(ctx)
+			}
+
+			await ctx.answerCbQuery(
+				t(
+					pollData.isMultipleChoice
+						? 'scenes.poll.multipleEnabled'
+						: 'scenes.poll.multipleDisabled'
+				)
+			)
+			return await updateMainMenu(ctx)
+		} else if (action.startsWith('correct_option_')) {
+			const optionIndex = parseInt(action.replace('correct_option_', ''), 10)
+			ctx.wizard.state.pollData.correctOptionId = optionIndex
+			await ctx.answerCbQuery(t('scenes.poll.correctOptionSet'))
+			return await updateMainMenu(ctx)
+		} else if (action === 'edit_explanation') {
+			return await promptForInput(ctx, 'explanation')
+		} else if (action === 'edit_deadline') {
+			return await promptForInput(ctx, 'deadline')
+		} else if (action === 'clear_deadline') {
+			ctx.wizard.state.pollData.closesAt = null
+			await ctx.answerCbQuery(t('scenes.poll.deadlineCleared'))
+			return await updateMainMenu(ctx)
+		} else if (action === 'edit_reminders') {
+			return await promptForInput(ctx, 'reminders')
+		} else if (action === 'clear_reminders') {
+			ctx.wizard.state.pollData.remindEvery = null
+			await ctx.answerCbQuery(t('scenes.poll.remindersCleared'))
+			return await updateMainMenu(ctx)
+		} else if (action === 'edit_decision') {
+			return await promptForInput(ctx, 'decision')
+		} else if (action === 'clear_decision') {
+			ctx.wizard.state.pollData.decisionRule = null
+			await ctx.answerCbQuery(t('scenes.poll.decisionCleared'))
+			return await updateMainMenu(ctx)
+		} else if (action === 'toggle_decision_close') {
+			const { decisionRule } = ctx.wizard.state.pollData
+			if (decisionRule) {
+				decisionRule.closeWhenMet = !decisionRule.closeWhenMet
+			}
+			await ctx.answerCbQuery()
+			return await updateMainMenu(ctx)
+		} else if (action.startsWith('use_template_')) {
+			const templateId = action.replace('use_template_', '')
+			const template = await PollTemplate.findOne({
+				_id: templateId,
+				chatId: ctx.wizard.state.pollData.chatId,
+			}).catch(error => {
+				logger.error('Error loading poll template:', error)
+				return null
+			})
+
+			if (!template) {
+				await ctx.answerCbQuery(t('scenes.poll.templateNotFound'))
+				return
+			}
+
+			applyPrefill(ctx, template.toPollDefinition())
+			ctx.wizard.state.pollData.initialPrompt = false
+			ctx.wizard.state.pollData.state = 'main_menu'
+
+			await ctx.answerCbQuery(
+				t('scenes.poll.templateApplied', { name: template.name })
+			)
+			return await updateMainMenu(ctx)
+		} else if (action === 'skip_template') {
+			ctx.wizard.state.pollData.state = 'main_menu'
+			await ctx.answerCbQuery()
+			return await updateMainMenu(ctx)
+		} else if (action === 'attach_roster') {
+			return await showRosterPicker(ctx)
+		} else if (action.startsWith('attach_roster_')) {
+			const rosterId = action.replace('attach_roster_', '')
+			const roster = await Roster.findOne({
+				_id: rosterId,
+				chatId: ctx.wizard.state.pollData.chatId,
+			}).catch(error => {
+				logger.error('Error loading roster:', error)
+				return null
+			})
+
+			if (!roster) {
+				await ctx.answerCbQuery(t('scenes.poll.rosterNotFound'))
+				return await updateMainMenu(ctx)
+			}
+
+			// Roster members are kept apart from title mentions, editing the title keeps them
+			const pollData = ctx.wizard.state.pollData
+			pollData.rosterId = roster._id.toString()
+			pollData.rosterName = roster.name
+			pollData.rosterMentions = roster.toMentions()
+
+			await ctx.answerCbQuery(
+				t('scenes.poll.rosterAttached', {
+					name: roster.name,
+					count: roster.members.length,
+				})
+			)
+			return await updateMainMenu(ctx)
+		} else if (action === 'detach_roster') {
+			const pollData = ctx.wizard.state.pollData
+			pollData.rosterId = null
+			pollData.rosterName = null
+			pollData.rosterMentions = []
+
+			await ctx.answerCbQuery(t('scenes.poll.rosterDetached'))
+			return await updateMainMenu(ctx)
+		} else if (action === 'roster_back') {
+			await ctx.answerCbQuery()
+			return await updateMainMenu(ctx)
+		} else if (action === 'save_template') {
+			return await saveTemplate(ctx)
 		} else if (action === 'create_poll') {
 			return await createPoll(ctx)
+		} else if (action === 'schedule_poll') {
+			const errorKey = validatePollData(ctx)
+			if (errorKey) {
+				await ctx.answerCbQuery(t(errorKey))
+				return
+			}
+			if (!(await canPostToTarget(ctx))) {
+				await ctx.answerCbQuery(t('poll.notGroupMember'))
+				return
+			}
+			return await promptForInput(ctx, 'schedule')
+		} else if (action === 'recurring_poll') {
+			const errorKey = validatePollData(ctx)
+			if (errorKey) {
+				await ctx.answerCbQuery(t(errorKey))
+				return
+			}
+			if (!(await canPostToTarget(ctx))) {
+				await ctx.answerCbQuery(t('poll.notGroupMember'))
+				return
+			}
+			return await promptForInput(ctx, 'recurrence')
 		} else if (action === 'cancel_creation') {
 			await ctx.answerCbQuery(t('scenes.poll.cancelled'))
 
@@ -350,12 +738,93 @@ const compactCreatePollScene = () => {
 				)
 			}
 		} else if (currentField === 'new_option') {
-			ctx.wizard.state.pollData.options.push({
-				text: text,
-				voterIds: [],
+			const { options } = ctx.wizard.state.pollData
+
+			// Every line of a multi-line message becomes a separate option
+			const lines = text
+				.split('\n')
+				.map(line => line.trim())
+				.filter(Boolean)
+			const available = Math.max(MAX_OPTIONS - options.length, 0)
+
+			lines.slice(0, available).forEach(line => {
+				options.push({
+					text: line,
+					voterIds: [],
+					capacity: null,
+				})
 			})
+
+			// Report lines that did not fit instead of dropping them silently
+			const dropped = lines.slice(available)
+			if (dropped.length > 0) {
+				ctx.wizard.state.pollData.notice = t('scenes.poll.optionsDropped', {
+					max: MAX_OPTIONS,
+					count: dropped.length,
+					lines: dropped.join('\n'),
+				})
+			}
 		} else if (currentField === 'edit_option' && editingOption >= 0) {
 			ctx.wizard.state.pollData.options[editingOption].text = text
+		} else if (currentField === 'capacity' && editingOption >= 0) {
+			const capacity = /^\d{1,5}$/.test(text) ? parseInt(text, 10) : NaN
+			if (isNaN(capacity)) {
+				return await rejectInput(ctx, t('scenes.poll.invalidCapacity'))
+			}
+			// 0 removes the limit
+			ctx.wizard.state.pollData.options[editingOption].capacity = capacity || null
+		} else if (currentField === 'deadline') {
+			const deadline = parseDeadline(text, new Date(), await getTimeZone(ctx))
+			if (!deadline) {
+				return await rejectInput(ctx, t('scenes.poll.invalidDeadline'))
+			}
+			ctx.wizard.state.pollData.closesAt = deadline.toISOString()
+		} else if (currentField === 'reminders') {
+			const interval = parseDuration(text)
+			if (!interval || interval < MIN_REMIND_INTERVAL_MS) {
+				return await rejectInput(ctx, t('scenes.poll.invalidReminders'))
+			}
+			ctx.wizard.state.pollData.remindEvery = interval
+		} else if (currentField === 'decision') {
+			const rule = parseDecisionRule(text)
+			if (!rule) {
+				return await rejectInput(ctx, t('scenes.poll.invalidDecision'))
+			}
+			// Keep the close setting when only the rule changes
+			const previous = ctx.wizard.state.pollData.decisionRule
+			ctx.wizard.state.pollData.decisionRule = {
+				...rule,
+				closeWhenMet: !!previous?.closeWhenMet,
+			}
+		} else if (currentField === 'schedule') {
+			const postAt = parseDeadline(text, new Date(), await getTimeZone(ctx))
+			if (!postAt) {
+				return await rejectInput(ctx, t('scenes.poll.invalidScheduleTime'))
+			}
+
+			// The poll must still be open when it gets posted
+			const { closesAt } = ctx.wizard.state.pollData
+			if (closesAt && new Date(closesAt) <= postAt) {
+				return await rejectInput(ctx, t('scenes.poll.scheduleAfterDeadline'))
+			}
+
+			await safeDeleteMessage(ctx, ctx.message.message_id, 'user message')
+			return await schedulePoll(ctx, postAt)
+		} else if (currentField === 'recurrence') {
+			const rule = parseRecurrenceRule(text)
+			// A rule like "30 February" parses but never fires
+			if (!rule || !getNextRun(rule, new Date(), await getTimeZone(ctx))) {
+				return await rejectInput(ctx, t('scenes.poll.invalidRecurrence'))
+			}
+
+			await safeDeleteMessage(ctx, ctx.message.message_id, 'user message')
+			return await saveRecurringPoll(ctx, rule)
+		} else if (currentField === 'explanation') {
+			// Telegram limits quiz explanations to 200 characters
+			ctx.wizard.state.pollData.explanation = text.substring(
+				0,
+				MAX_EXPLANATION_LENGTH
+			)
 		} else {
 			// Unexpected message, ignore
 			return
@@ -387,7 +856,8 @@ const compactCreatePollScene = () => {
 	}
 
 	// Prompt user for input on a specific field
-	const promptForInput = async (ctx, field, optionIndex = -1) => {
+	// errorText is shown above the prompt when asking again after invalid input
+	const promptForInput = async (ctx, field, optionIndex = -1, errorText = null) => {
 		const { t } = ctx.i18n
 
 		// Save current field and option index
@@ -408,10 +878,40 @@ const compactCreatePollScene = () => {
 			const option = ctx.wizard.state.pollData.options[optionIndex]
 			promptText = t('scenes.poll.editOptionPrompt', { option: option.text })
 			placeholder = option.text
+		} else if (field === 'capacity') {
+			const option = ctx.wizard.state.pollData.options[optionIndex]
+			promptText = t('scenes.poll.capacityPrompt', { option: option.text })
+			placeholder = t('scenes.poll.capacityPlaceholder')
+		} else if (field === 'explanation') {
+			promptText = t('scenes.poll.explanationPrompt', {
+				max: MAX_EXPLANATION_LENGTH,
+			})
+			placeholder = t('scenes.poll.explanationPlaceholder')
+		} else if (field === 'deadline') {
+			promptText = t('scenes.poll.deadlinePrompt')
+			placeholder = t('scenes.poll.deadlinePlaceholder')
+		} else if (field === 'decision') {
+			promptText = t('scenes.poll.decisionPrompt')
+			placeholder = t('scenes.poll.decisionPlaceholder')
+		} else if (field === 'reminders') {
+			promptText = t('scenes.poll.remindersPrompt')
+			placeholder = t('scenes.poll.remindersPlaceholder')
+		} else if (field === 'schedule') {
+			promptText = t('scenes.poll.schedulePrompt')
+			placeholder = t('scenes.poll.deadlinePlaceholder')
+		} else if (field === 'recurrence') {
+			promptText = t('scenes.poll.recurrencePrompt')
+			placeholder = t('scenes.poll.recurrencePlaceholder')
+		}
+
+		if (errorText) {
+			promptText = `⚠️ ${errorText}\n\n${promptText}`
 		}
 
 		// Answer the callback query
-		await ctx.answerCbQuery()
+		if (ctx.callbackQuery) {
+			await ctx.answerCbQuery()
+		}
 
 		// Send prompt message with force_reply
 		const message = await ctx.reply(promptText, {
@@ -425,14 +925,31 @@ const compactCreatePollScene = () => {
 		ctx.wizard.state.pollData.promptMessageId = message.message_id
 	}
 
+	// Ask for the current field again after invalid input
+	const rejectInput = async (ctx, errorText) => {
+		const { currentField, editingOption, promptMessageId } =
+			ctx.wizard.state.pollData
+
+		// Remove the previous prompt and the invalid answer
+		if (promptMessageId) {
+			await safeDeleteMessage(ctx, promptMessageId, 'prompt message')
+			ctx.wizard.state.pollData.promptMessageId = null
+		}
+		await safeDeleteMessage(ctx, ctx.message.message_id, 'user message')
+
+		return await promptForInput(ctx, currentField, editingOption, errorText)
+	}
+
 	// Update the main menu message
 	const updateMainMenu = async ctx => {
 		// Update the main menu message
 		await updateMessageText(
 			ctx,
-			getMainMenuText(ctx),
+			await getMainMenuText(ctx),
 			Markup.inlineKeyboard(getMainMenuButtons(ctx))
 		)
+
+		await saveDraft(ctx)
 	}
 
 	// Update message text helper
@@ -458,29 +975,51 @@ const compactCreatePollScene = () => {
 		}
 	}
 
+	// Time zone of the chat the poll is created for, dates are entered and shown in it
+	const getTimeZone = ctx => getChatTimeZone(ctx.wizard.state.pollData.chatId)
+
 	// Get main menu text based on current state
-	const getMainMenuText = ctx => {
+	const getMainMenuText = async ctx => {
 		const { t } = ctx.i18n
+		const timeZone = await getTimeZone(ctx)
 		const {
 			title,
 			options,
-			mentions,
 			importedMentions,
 			initialPrompt,
 			fromPrivate,
 			chatId,
 			selectedOption,
 			fromCheckVoters,
+			fromNonVoters,
+			originalPollTitle,
+			isMultipleChoice,
+			isQuiz,
+			correctOptionId,
+			explanation,
+			closesAt,
+			remindEvery,
+			decisionRule,
+			scheduledPollId,
+			postAt,
+			repostedFromPollId,
+			rosterName,
 		} = ctx.wizard.state.pollData
 
 		let text = []
 
+		// One-time warning about the last input
+		if (ctx.wizard.state.pollData.notice) {
+			text.push(`⚠️ ${ctx.wizard.state.pollData.notice}\n`)
+		}
+
 		// If we're in private chat creating a poll for a group, show notice
 		if (fromPrivate) {
+			const group = ctx.wizard.state.pollData.targetChatTitle || chatId
 			text.push(
 				`🔄 ${
-					t('scenes.poll.creatingInGroup', { chatId }) ||
-					`Creating poll in group (${chatId})`
+					t('scenes.poll.creatingInGroup', { chatId: group }) ||
+					`Creating poll in group (${group})`
 				}`
 			)
 		}
@@ -494,16 +1033,35 @@ const compactCreatePollScene = () => {
 		if (fromCheckVoters && importedMentions && importedMentions.length > 0) {
 			const count = importedMentions.length
 			text.push(
-				`${t('scenes.poll.usingImportedMentions', {
-					count,
-					option: selectedOption,
-				})}`
+				fromNonVoters
+					? t('scenes.poll.usingNonVoters', {
+							count,
+							title: originalPollTitle,
+					  })
+					: `${t('scenes.poll.usingImportedMentions', {
+							count,
+							option: selectedOption,
+					  })}`
 			)
 		}
 
 		// Poll creation header
 		text.push(`📊 ${t('scenes.poll.createPollHeader')}`)
 
+		// Posting a copy of an existing poll
+		if (repostedFromPollId) {
+			text.push(t('scenes.poll.repostingNote'))
+		}
+
+		// Editing a scheduled poll
+		if (scheduledPollId && postAt) {
+			text.push(
+				t('scenes.poll.editingScheduled', {
+					time: formatDateTime(postAt, ctx.i18n.locale, timeZone),
+				})
+			)
+		}
+
 		// Title section
 		text.push(
 			`\n*${t('scenes.poll.titleSection')}*: ${
@@ -517,13 +1075,70 @@ const compactCreatePollScene = () => {
 			text.push(t('scenes.poll.noOptions'))
 		} else {
 			options.forEach((option, index) => {
-				text.push(`${index + 1}. ${option.text}`)
+				const correctMark = isQuiz && index === correctOptionId ? ' ✅' : ''
+				const capacityMark = option.capacity
+					? ` (${t('scenes.poll.optionCapacity', { capacity: option.capacity })})`
+					: ''
+				text.push(`${index + 1}. ${option.text}${capacityMark}${correctMark}`)
 			})
 		}
 
+		// Deadline section
+		if (closesAt) {
+			text.push(
+				`\n*${t('scenes.poll.deadlineSection')}*: ${formatDateTime(
+					closesAt,
+					ctx.i18n.locale,
+					timeZone
+				)}`
+			)
+		}
+
+		// Reminder section
+		if (remindEvery) {
+			text.push(
+				`\n*${t('scenes.poll.remindersSection')}*: ${t(
+					'scenes.poll.remindersEvery',
+					{ interval: formatDuration(remindEvery, ctx.i18n.locale) }
+				)}`
+			)
+		}
+
+		// Decision rule section
+		if (decisionRule) {
+			const closeNote = decisionRule.closeWhenMet
+				? ` ${t('scenes.poll.decisionClosesNote')}`
+				: ''
+			text.push(
+				`\n*${t('scenes.poll.decisionSection')}*: ${describeDecisionRule(
+					decisionRule,
+					t
+				)}${closeNote}`
+			)
+		}
+
+		// Answer mode
+		if (isMultipleChoice) {
+			text.push(`\n${t('scenes.poll.multipleAnswersNote')}`)
+		}
+
+		// Quiz section
+		if (isQuiz) {
+			text.push(`\n*${t('scenes.poll.quizSection')}*`)
+			if (correctOptionId === null || correctOptionId === undefined) {
+				text.push(t('scenes.poll.correctOptionNotSet'))
+			}
+			text.push(
+				`${t('scenes.poll.explanationSection')}: ${
+					explanation || t('scenes.poll.notSet')
+				}`
+			)
+		}
+
 		// Mentions section
 		const mentionCount =
-			(mentions?.length || 0) + (importedMentions?.length || 0)
+			getMentions(ctx.wizard.state.pollData).length +
+			(importedMentions?.length || 0)
 		if (mentionCount > 0) {
 			text.push(
 				`\n*${t('scenes.poll.mentionsSection')}*: ${mentionCount} ${
@@ -531,8 +1146,12 @@ const compactCreatePollScene = () => {
 				}`
 			)
 
+			if (rosterName) {
+				text.push(t('scenes.poll.rosterSection', { name: rosterName }))
+			}
+
 			// If from checkVoters, show which option users voted for
-			if (selectedOption) {
+			if (selectedOption && !fromNonVoters) {
 				text.push(
 					`(${
 						t('scenes.voters.votedFor', { option: selectedOption }) ||
@@ -551,7 +1170,16 @@ const compactCreatePollScene = () => {
 	// Get main menu buttons based on current state
 	const getMainMenuButtons = ctx => {
 		const { t } = ctx.i18n
-		const { options } = ctx.wizard.state.pollData
+		const {
+			options,
+			isMultipleChoice,
+			isQuiz,
+			correctOptionId,
+			closesAt,
+			remindEvery,
+			decisionRule,
+			rosterId,
+		} = ctx.wizard.state.pollData
 
 		const buttons = []
 
@@ -562,46 +1190,169 @@ const compactCreatePollScene = () => {
 
 		// Option buttons
 		if (options.length > 0) {
-			// Add option management buttons (2 per row)
-			const optionButtons = []
+			// Add option management buttons (one row per option)
 			options.forEach((option, index) => {
-				// Create edit button
-				const editButton = Markup.button.callback(
-					`✏️ ${index + 1}`,
-					`edit_option_${index}`
-				)
-
-				// Create delete button
-				const deleteButton = Markup.button.callback(
-					`🗑️ ${index + 1}`,
-					`delete_option_${index}`
-				)
+				const row = [
+					Markup.button.callback(`✏️ ${index + 1}`, `edit_option_${index}`),
+					Markup.button.callback(
+						`🗑️ ${index + 1}`,
+						`delete_option_${index}`
+					),
+				]
+
+				// Seat limits don't apply to quizzes
+				if (!isQuiz) {
+					row.push(
+						Markup.button.callback(`👥 ${index + 1}`, `edit_capacity_${index}`)
+					)
+				}
 
-				// Add both buttons on the same row if even index, otherwise add to existing row
-				if (index % 2 === 0) {
-					optionButtons.push([editButton, deleteButton])
-				} else {
-					optionButtons[Math.floor(index / 2)].push(editButton)
-					optionButtons[Math.floor(index / 2)].push(deleteButton)
+				// Move buttons, the first option can't go up and the last can't go down
+				if (index > 0) {
+					row.push(Markup.button.callback('⬆️', `move_option_up_${index}`))
 				}
+				if (index < options.length - 1) {
+					row.push(Markup.button.callback('⬇️', `move_option_down_${index}`))
+				}
+
+				buttons.push(row)
 			})
 
-			buttons.push(...optionButtons)
+			// Correct answer selectors for quizzes (5 per row)
+			if (isQuiz) {
+				const correctButtons = []
+				options.forEach((option, index) => {
+					const button = Markup.button.callback(
+						`${index === correctOptionId ? '✅' : '⚪'} ${index + 1}`,
+						`correct_option_${index}`
+					)
+					if (index % 5 === 0) {
+						correctButtons.push([button])
+					} else {
+						correctButtons[Math.floor(index / 5)].push(button)
+					}
+				})
+				buttons.push(...correctButtons)
+			}
 		}
 
 		// Add option button
-		if (options.length < 10) {
+		if (options.length < MAX_OPTIONS) {
 			// Telegram limit is 10 options
 			buttons.push([
 				Markup.button.callback(t('scenes.poll.addOptionButton'), 'add_option'),
 			])
 		}
 
+		// Answer mode and quiz settings
+		buttons.push([
+			Markup.button.callback(
+				isMultipleChoice
+					? t('scenes.poll.multipleOnButton')
+					: t('scenes.poll.multipleOffButton'),
+				'toggle_multiple'
+			),
+		])
+
+		// Deadline buttons
+		const deadlineButtons = [
+			Markup.button.callback(t('scenes.poll.deadlineButton'), 'edit_deadline'),
+		]
+		if (closesAt) {
+			deadlineButtons.push(
+				Markup.button.callback(
+					t('scenes.poll.clearDeadlineButton'),
+					'clear_deadline'
+				)
+			)
+		}
+		buttons.push(deadlineButtons)
+
+		// Reminder buttons
+		const reminderButtons = [
+			Markup.button.callback(
+				t('scenes.poll.remindersButton'),
+				'edit_reminders'
+			),
+		]
+		if (remindEvery) {
+			reminderButtons.push(
+				Markup.button.callback(
+					t('scenes.poll.clearRemindersButton'),
+					'clear_reminders'
+				)
+			)
+		}
+		buttons.push(reminderButtons)
+
+		// Decision rule buttons
+		const decisionButtons = [
+			Markup.button.callback(t('scenes.poll.decisionButton'), 'edit_decision'),
+		]
+		if (decisionRule) {
+			decisionButtons.push(
+				Markup.button.callback(
+					decisionRule.closeWhenMet
+						? t('scenes.poll.decisionCloseOnButton')
+						: t('scenes.poll.decisionCloseOffButton'),
+					'toggle_decision_close'
+				),
+				Markup.button.callback(
+					t('scenes.poll.clearDecisionButton'),
+					'clear_decision'
+				)
+			)
+		}
+		buttons.push(decisionButtons)
+
+		// Roster buttons
+		const rosterButtons = [
+			Markup.button.callback(t('scenes.poll.attachRosterButton'), 'attach_roster'),
+		]
+		if (rosterId) {
+			rosterButtons.push(
+				Markup.button.callback(
+					t('scenes.poll.detachRosterButton'),
+					'detach_roster'
+				)
+			)
+		}
+		buttons.push(rosterButtons)
+
+		const quizButtons = [
+			Markup.button.callback(
+				isQuiz ? t('scenes.poll.quizOnButton') : t('scenes.poll.quizOffButton'),
+				'toggle_quiz'
+			),
+		]
+		if (isQuiz) {
+			quizButtons.push(
+				Markup.button.callback(
+					t('scenes.poll.explanationButton'),
+					'edit_explanation'
+				)
+			)
+		}
+		buttons.push(quizButtons)
+
 		// Action buttons
 		const actionButtons = []
 
 		// Create poll button (only if we have title and at least 2 options)
 		if (ctx.wizard.state.pollData.title && options.length >= 2) {
+			// Post later or repeatedly instead of right away
+			buttons.push([
+				Markup.button.callback(t('scenes.poll.scheduleButton'), 'schedule_poll'),
+				Markup.button.callback(t('scenes.poll.repeatButton'), 'recurring_poll'),
+			])
+
+			buttons.push([
+				Markup.button.callback(
+					t('scenes.poll.saveTemplateButton'),
+					'save_template'
+				),
+			])
+
 			actionButtons.push(
 				Markup.button.callback(t('scenes.poll.createButton'), 'create_poll')
 			)
@@ -617,13 +1368,239 @@ const compactCreatePollScene = () => {
 		return buttons
 	}
 
-	// Create and send poll
-	const createPoll = async ctx => {
-		const { t } = ctx.i18n
-		const { title, options, mentions, importedMentions, chatId, fromPrivate } =
+	// Check the poll can be posted, returns the translation key of the problem
+	const validatePollData = ctx => {
+		const { title, options, isQuiz, correctOptionId, closesAt, decisionRule } =
 			ctx.wizard.state.pollData
 
-		// Validation
+		if (!title) {
+			return 'scenes.poll.titleRequired'
+		}
+
+		if (options.length < 2) {
+			return 'scenes.poll.minimumOptionsRequired'
+		}
+
+		const hasCorrectOption =
+			correctOptionId !== null &&
+			correctOptionId !== undefined &&
+			correctOptionId < options.length
+		if (isQuiz && !hasCorrectOption) {
+			return 'scenes.poll.correctOptionRequired'
+		}
+
+		if (closesAt && new Date(closesAt) <= new Date()) {
+			return 'scenes.poll.deadlinePassed'
+		}
+
+		// A quorum is a share of the mentioned users
+		if (
+			decisionRule?.type === 'quorum' &&
+			getMentions(ctx.wizard.state.pollData).length === 0
+		) {
+			return 'scenes.poll.quorumNeedsMentions'
+		}
+
+		return null
+	}
+
+	// When creating from private chat, make sure the user is still in the group
+	const canPostToTarget = async ctx => {
+		const { fromPrivate, chatId } = ctx.wizard.state.pollData
+		if (!fromPrivate) return true
+
+		return await isChatMember(ctx.telegram, chatId, ctx.from.id)
+	}
+
+	// Build the poll definition shared by immediate and scheduled posting
+	const getPollDefinition = ctx => {
+		const {
+			chatId,
+			title,
+			options,
+			mentions,
+			importedMentions,
+			fromCheckVoters,
+			fromNonVoters,
+			selectedOption,
+			originalPollTitle,
+			isMultipleChoice,
+			isQuiz,
+			correctOptionId,
+			explanation,
+			closesAt,
+			remindEvery,
+			decisionRule,
+			repostedFromPollId,
+			rosterId,
+			parentPollId,
+			sourceOptionIndex,
+		} = ctx.wizard.state.pollData
+
+		return {
+			chatId: chatId, // Use the stored chatId which might be different from ctx.chat.id
+			creatorId: ctx.from.id,
+			title,
+			options: options.map(o => ({
+				text: o.text,
+				capacity: isQuiz ? null : o.capacity || null,
+			})),
+			mentions: getMentions(ctx.wizard.state.pollData),
+			importedMentions: [...(importedMentions || [])],
+			fromCheckVoters: fromCheckVoters === true,
+			fromNonVoters: fromNonVoters === true,
+			selectedOption: selectedOption || null,
+			parentPollId: parentPollId || null,
+			sourceOptionIndex: Number.isInteger(sourceOptionIndex)
+				? sourceOptionIndex
+				: null,
+			originalPollTitle: originalPollTitle || null,
+			isMultipleChoice: !!isMultipleChoice && !isQuiz,
+			type: isQuiz ? 'quiz' : 'regular',
+			correctOptionId: isQuiz ? correctOptionId : null,
+			explanation: isQuiz ? explanation : '',
+			closesAt: closesAt ? new Date(closesAt) : null,
+			remindEvery: remindEvery || null,
+			decisionRule: decisionRule ? { ...decisionRule } : null,
+			locale: ctx.i18n.locale,
+			repostedFromPollId: repostedFromPollId || null,
+			rosterId: rosterId || null,
+		}
+	}
+
+	// Show the rosters of the chat instead of the main menu
+	const showRosterPicker = async ctx => {
+		const { t } = ctx.i18n
+
+		const rosters = await Roster.getForChat(
+			ctx.wizard.state.pollData.chatId
+		).catch(error => {
+			logger.error('Error loading rosters:', error)
+			return []
+		})
+
+		if (rosters.length === 0) {
+			await ctx.answerCbQuery(t('scenes.poll.noRosters'), { show_alert: true })
+			return
+		}
+
+		const buttons = rosters.map(roster => [
+			Markup.button.callback(
+				`👥 ${roster.name} (${roster.members.length})`,
+				`attach_roster_${roster._id}`
+			),
+		])
+		buttons.push([
+			Markup.button.callback(t('scenes.common.backButton'), 'roster_back'),
+		])
+
+		await ctx.answerCbQuery()
+		await updateMessageText(
+			ctx,
+			t('scenes.poll.chooseRoster'),
+			Markup.inlineKeyboard(buttons)
+		)
+	}
+
+	// Delete all wizard messages and leave the scene without a cancel notice
+	const finishScene = async ctx => {
+		// Сохраняем идентификаторы всех сообщений, которые нужно удалить
+		const messagesToDelete = []
+
+		// 1. Удаляем основное сообщение интерфейса
+		if (ctx.wizard.state.pollData.messageId) {
+			messagesToDelete.push({
+				id: ctx.wizard.state.pollData.messageId,
+				description: 'main interface message',
+			})
+		}
+
+		// 2. Удаляем сообщение интерфейса из checkVoters
+		if (ctx.wizard.state.pollData.interfaceMessageId) {
+			messagesToDelete.push({
+				id: ctx.wizard.state.pollData.interfaceMessageId,
+				description: 'checkVoters interface message',
+			})
+		}
+
+		// 3. Удаляем сообщение "Создание опроса..." из предыдущей сцены
+		if (ctx.wizard.state.pollData.creatingPollMessageId) {
+			messagesToDelete.push({
+				id: ctx.wizard.state.pollData.creatingPollMessageId,
+				description: 'creating poll message',
+			})
+		}
+
+		// Запускаем удаление всех сообщений одновременно
+		await Promise.all(
+			messagesToDelete.map(msg =>
+				safeDeleteMessage(ctx, msg.id, msg.description)
+			)
+		).catch(error => {
+			logger.warn('Error during batch message deletion:', error)
+		})
+
+		// Set flag to prevent sending cancelledMessage on exit
+		ctx.scene.state = ctx.scene.state || {}
+		ctx.scene.state.silentLeave = true
+
+		// Exit the scene without sending additional messages
+		return ctx.scene.leave()
+	}
+
+	// Show an error in the interface message and leave the scene
+	const failScene = async (ctx, errorText) => {
+		await updateMessageText(ctx, errorText)
+
+		// Даем пользователю время увидеть сообщение об ошибке
+		setTimeout(async () => {
+			// Удаляем сообщение с ошибкой
+			if (ctx.wizard.state.pollData.messageId) {
+				await safeDeleteMessage(
+					ctx,
+					ctx.wizard.state.pollData.messageId,
+					'error message'
+				)
+			}
+
+			// Удаляем сообщение "Создание опроса..." из предыдущей сцены
+			if (ctx.wizard.state.pollData.creatingPollMessageId) {
+				await safeDeleteMessage(
+					ctx,
+					ctx.wizard.state.pollData.creatingPollMessageId,
+					'creating poll message'
+				)
+			}
+		}, 3000) // Пауза 3 секунды, чтобы пользователь мог прочитать сообщение об ошибке
+
+		// Even on error, we don't want to send the cancelledMessage
+		ctx.scene.state = ctx.scene.state || {}
+		ctx.scene.state.silentLeave = true
+
+		return ctx.scene.leave()
+	}
+
+	// Get template picker buttons shown before the main menu
+	const getTemplateButtons = (ctx, templates) => {
+		const { t } = ctx.i18n
+
+		const buttons = templates.map(template => [
+			Markup.button.callback(`📋 ${template.name}`, `use_template_${template._id}`),
+		])
+
+		buttons.push([
+			Markup.button.callback(t('scenes.poll.blankPollButton'), 'skip_template'),
+			Markup.button.callback(t('scenes.poll.cancelButton'), 'cancel_creation'),
+		])
+
+		return buttons
+	}
+
+	// Save the current poll as a template of the chat, the wizard stays open
+	const saveTemplate = async ctx => {
+		const { t } = ctx.i18n
+		const { title, options } = ctx.wizard.state.pollData
+
 		if (!title) {
 			await ctx.answerCbQuery(t('scenes.poll.titleRequired'))
 			return
@@ -634,197 +1611,215 @@ const compactCreatePollScene = () => {
 			return
 		}
 
+		try {
+			const definition = getPollDefinition(ctx)
+			const template = new PollTemplate({
+				...definition,
+				// The title is the default name, it can be changed with /templates
+				name: title.substring(0, MAX_TEMPLATE_NAME_LENGTH),
+			})
+			await template.save()
+
+			logger.info(`Poll template saved in chat ${template.chatId}`, {
+				templateId: template._id,
+			})
+
+			await ctx.answerCbQuery(
+				t('scenes.poll.templateSaved', { name: template.name })
+			)
+		} catch (error) {
+			logger.error('Error saving poll template:', error)
+			await ctx.answerCbQuery(t('scenes.poll.templateSaveError'))
+		}
+	}
+
+	// Create and send poll
+	const createPoll = async ctx => {
+		const { t } = ctx.i18n
+		const { chatId, fromPrivate, scheduledPollId, repostedFromPollId } =
+			ctx.wizard.state.pollData
+
+		// Validation
+		const errorKey = validatePollData(ctx)
+		if (errorKey) {
+			await ctx.answerCbQuery(t(errorKey))
+			return
+		}
+
+		if (!(await canPostToTarget(ctx))) {
+			await ctx.answerCbQuery(t('poll.notGroupMember'))
+			return
+		}
+
 		await ctx.answerCbQuery(t('scenes.poll.creating'))
 
 		// Update message to show we're creating the poll
 		await updateMessageText(ctx, t('scenes.poll.creatingPoll'))
 
 		try {
-			// Combine imported mentions with title
-			let displayTitle = title
-			let mentionsString = null
-
-			if (importedMentions && importedMentions.length > 0) {
-				mentionsString = importedMentions.join(' ')
+			// Post into the forum topic the wizard was opened in
+			const extra = {}
+			const interfaceMessage = ctx.callbackQuery?.message
+			if (!fromPrivate && interfaceMessage?.is_topic_message) {
+				extra.message_thread_id = interfaceMessage.message_thread_id
 			}
 
-			// Check if this poll is from checkVoters
-			const fromCheckVoters = ctx.wizard.state.pollData.fromCheckVoters === true
+			const { poll, pollMessage, mentionsMessage } = await publishPoll(
+				ctx.telegram,
+				getPollDefinition(ctx),
+				extra
+			)
 
-			// Send the poll to the appropriate chat
-			// If fromPrivate is true, use telegram.sendPoll to target the specific chat
-			let pollMessage
 			if (fromPrivate) {
-				pollMessage = await ctx.telegram.sendPoll(
-					chatId, // Use the stored chatId from the group
-					displayTitle,
-					options.map(o => o.text),
-					{
-						is_anonymous: false,
-						allows_multiple_answers: false,
-					}
-				)
-
 				// Notify the user in private chat that poll was created in the group
+				const group = ctx.wizard.state.pollData.targetChatTitle || chatId
 				await ctx.reply(
-					t('scenes.poll.pollCreatedInGroup', { chatId }) ||
-						`Poll was created in the group (${chatId}). Check the group to see your poll.`
+					t('scenes.poll.pollCreatedInGroup', { chatId: group }) ||
+						`Poll was created in the group (${group}). Check the group to see your poll.`
 				)
-			} else {
-				// Standard behavior when in a group chat
-				pollMessage = await ctx.replyWithPoll(
-					displayTitle,
-					options.map(o => o.text),
-					{
-						is_anonymous: false,
-						allows_multiple_answers: false,
-					}
-				)
-			}
 
-			// Send mentions in a separate message if needed
-			if (mentionsString) {
-				// Use different message template based on whether this poll is from checkVoters
-				const messageKey =
-					ctx.wizard.state.pollData.fromCheckVoters === true
-						? 'scenes.poll.mentionsForCheckVoters'
-						: 'scenes.poll.mentionsForPoll'
-
-				const mentionsMessage = t(messageKey, {
-					messageId: pollMessage.message_id,
-					mentions: mentionsString,
-					option: ctx.wizard.state.pollData.selectedOption || '',
-					title: displayTitle,
-					originalPollTitle:
-						ctx.wizard.state.pollData.originalPollTitle || 'Untitled Poll',
-				})
-
-				if (fromPrivate) {
-					// Send to the group chat
-					await ctx.telegram.sendMessage(chatId, mentionsMessage)
-					// Also show to the user
-					await ctx.reply(mentionsMessage)
-				} else {
+				// Also show the mentions to the user
+				if (mentionsMessage) {
 					await ctx.reply(mentionsMessage)
 				}
 			}
 
-			// Always save to database, but mark polls created from checkVoters
-			{
-				const combinedMentions = [...(mentions || [])]
-
-				const poll = new Poll({
-					chatId: chatId, // Use the stored chatId which might be different from ctx.chat.id
-					messageId: pollMessage.message_id,
-					pollId: pollMessage.poll.id,
-					creatorId: ctx.from.id,
-					title: displayTitle,
-					options: options,
-					mentions: combinedMentions,
-					isAnonymous: false,
-					isMultipleChoice: false,
-					fromCheckVoters: fromCheckVoters, // Add flag to mark polls created from checkVoters
-				})
-
-				// Try to save the poll
-				try {
-					await poll.save()
-				} catch (saveError) {
-					logger.error('Error saving poll to database:', saveError)
-					// Try to save without mentions if that's causing the problem
-					if (
-						saveError.name === 'ValidationError' &&
-						saveError.message.includes('mentions')
-					) {
-						poll.mentions = []
-						await poll.save()
-						logger.info('Saved poll without mentions due to validation error')
-					} else {
-						throw saveError // Re-throw if it's not a mentions validation error
-					}
-				}
+			// Posting a scheduled poll right away replaces the scheduled post
+			if (scheduledPollId) {
+				await ScheduledPoll.updateOne(
+					{ _id: scheduledPollId, status: 'pending' },
+					{ status: 'posted', postedAt: new Date(), postedPollId: poll._id }
+				)
+			}
 
-				// Log the source of the poll creation
-				if (fromCheckVoters) {
-					logger.info('Poll created from checkVoters with special flag')
-				}
+			// Offer to close the old poll and ping its voters after a repost
+			if (repostedFromPollId) {
+				await ctx.telegram
+					.sendMessage(chatId, t('repost.followUp'), {
+						...extra,
+						reply_to_message_id: pollMessage.message_id,
+						...Markup.inlineKeyboard([
+							[
+								Markup.button.callback(
+									t('repost.closeOldButton'),
+									`repost_close_${poll._id}`
+								),
+								Markup.button.callback(
+									t('repost.pingVotersButton'),
+									`repost_ping_${poll._id}`
+								),
+							],
+							[Markup.button.callback(t('repost.doneButton'), 'repost_done')],
+						]),
+					})
+					.catch(error => logger.warn('Could not send repost follow-up:', error))
 			}
 
-			// Сохраняем идентификаторы всех сообщений, которые нужно удалить
-			const messagesToDelete = []
+			return await finishScene(ctx)
+		} catch (error) {
+			logger.error('Error creating poll:', error)
+			return await failScene(ctx, t('poll.createError'))
+		}
+	}
 
-			// 1. Удаляем основное сообщение интерфейса
-			if (ctx.wizard.state.pollData.messageId) {
-				messagesToDelete.push({
-					id: ctx.wizard.state.pollData.messageId,
-					description: 'main interface message',
-				})
-			}
+	// Store the poll to be posted later by the scheduler
+	const schedulePoll = async (ctx, postAt) => {
+		const { t } = ctx.i18n
+		const pollData = ctx.wizard.state.pollData
 
-			// 2. Удаляем сообщение интерфейса из checkVoters
-			if (ctx.wizard.state.pollData.interfaceMessageId) {
-				messagesToDelete.push({
-					id: ctx.wizard.state.pollData.interfaceMessageId,
-					description: 'checkVoters interface message',
-				})
-			}
+		// Remove the prompt, the interface is replaced with the confirmation
+		if (pollData.promptMessageId) {
+			await safeDeleteMessage(ctx, pollData.promptMessageId, 'prompt message')
+			pollData.promptMessageId = null
+		}
+		pollData.currentField = null
 
-			// 3. Удаляем сообщение "Создание опроса..." из предыдущей сцены
-			if (ctx.wizard.state.pollData.creatingPollMessageId) {
-				messagesToDelete.push({
-					id: ctx.wizard.state.pollData.creatingPollMessageId,
-					description: 'creating poll message',
-				})
+		try {
+			const definition = { ...getPollDefinition(ctx), postAt }
+
+			let scheduledPoll = pollData.scheduledPollId
+				? await ScheduledPoll.findOne({
+						_id: pollData.scheduledPollId,
+						status: 'pending',
+				  })
+				: null
+
+			if (scheduledPoll) {
+				// Keep the original author of the scheduled post
+				delete definition.creatorId
+				scheduledPoll.set(definition)
+			} else {
+				scheduledPoll = new ScheduledPoll(definition)
 			}
+			await scheduledPoll.save()
 
-			// Запускаем удаление всех сообщений одновременно
-			await Promise.all(
-				messagesToDelete.map(msg =>
-					safeDeleteMessage(ctx, msg.id, msg.description)
-				)
-			).catch(error => {
-				logger.warn('Error during batch message deletion:', error)
+			logger.info(`Poll scheduled in chat ${scheduledPoll.chatId}`, {
+				scheduledPollId: scheduledPoll._id,
+				postAt,
 			})
 
-			// Set flag to prevent sending cancelledMessage on exit
-			ctx.scene.state = ctx.scene.state || {}
-			ctx.scene.state.silentLeave = true
+			await ctx.reply(
+				t('scenes.poll.scheduled', {
+					title: scheduledPoll.title,
+					time: formatDateTime(postAt, ctx.i18n.locale, await getTimeZone(ctx)),
+				})
+			)
 
-			// Exit the scene without sending additional messages
-			return ctx.scene.leave()
+			return await finishScene(ctx)
 		} catch (error) {
-			logger.error('Error creating poll:', error)
-			await updateMessageText(ctx, t('poll.createError'))
-
-			// Сохраняем идентификаторы всех сообщений, которые нужно удалить
-			const messagesToDelete = []
-
-			// Даем пользователю время увидеть сообщение об ошибке
-			setTimeout(async () => {
-				// Удаляем сообщение с ошибкой
-				if (ctx.wizard.state.pollData.messageId) {
-					await safeDeleteMessage(
-						ctx,
-						ctx.wizard.state.pollData.messageId,
-						'error message'
-					)
-				}
+			logger.error('Error scheduling poll:', error)
+			return await failScene(ctx, t('scenes.poll.scheduleError'))
+		}
+	}
 
-				// Удаляем сообщение "Создание опроса..." из предыдущей сцены
-				if (ctx.wizard.state.pollData.creatingPollMessageId) {
-					await safeDeleteMessage(
-						ctx,
-						ctx.wizard.state.pollData.creatingPollMessageId,
-						'creating poll message'
-					)
-				}
-			}, 3000) // Пауза 3 секунды, чтобы пользователь мог прочитать сообщение об ошибке
+	// Store the poll as a template that the scheduler posts every time the rule fires
+	const saveRecurringPoll = async (ctx, rule) => {
+		const { t } = ctx.i18n
+		const pollData = ctx.wizard.state.pollData
 
-			// Even on error, we don't want to send the cancelledMessage
-			ctx.scene.state = ctx.scene.state || {}
-			ctx.scene.state.silentLeave = true
+		// Remove the prompt, the interface is replaced with the confirmation
+		if (pollData.promptMessageId) {
+			await safeDeleteMessage(ctx, pollData.promptMessageId, 'prompt message')
+			pollData.promptMessageId = null
+		}
+		pollData.currentField = null
 
-			return ctx.scene.leave()
+		try {
+			const { closesAt, ...definition } = getPollDefinition(ctx)
+			const timeZone = await getTimeZone(ctx)
+
+			// The deadline was entered relative to now, repeat it relative to each run
+			const closeAfterMs = closesAt ? closesAt.getTime() - Date.now() : null
+
+			const recurringPoll = new RecurringPoll({
+				...definition,
+				closeAfterMs: closeAfterMs > 0 ? closeAfterMs : null,
+				rule,
+				nextRunAt: getNextRun(rule, new Date(), timeZone),
+			})
+			await recurringPoll.save()
+
+			logger.info(`Recurring poll set up in chat ${recurringPoll.chatId}`, {
+				recurringPollId: recurringPoll._id,
+				rule,
+			})
+
+			await ctx.reply(
+				t('scenes.poll.recurringSaved', {
+					title: recurringPoll.title,
+					rule: describeRule(rule, t),
+					time: formatDateTime(
+						recurringPoll.nextRunAt,
+						ctx.i18n.locale,
+						timeZone
+					),
+				})
+			)
+
+			return await finishScene(ctx)
+		} catch (error) {
+			logger.error('Error saving recurring poll:', error)
+			return await failScene(ctx, t('scenes.poll.recurringError'))
 		}
 	}
 
@@ -902,6 +1897,15 @@ const compactCreatePollScene = () => {
 			logger.warn('Error during batch message deletion:', error)
 		})
 
+		// The poll was posted or cancelled, the draft is no longer needed
+		if (ctx.wizard?.state?.pollData?.draftId) {
+			PollDraft.deleteOne({ _id: ctx.wizard.state.pollData.draftId }).catch(
+				error => {
+					logger.warn('Could not delete poll draft:', error)
+				}
+			)
+		}
+
 		if (ctx.scene.state?.silentLeave) {
 			// Skip sending leave message
 			return next()
@@ -1,46 +1,8 @@
 const { Markup, Scenes } = require('telegraf');
 const Poll = require('../models/Poll');
 const logger = require('../utils/logger');
-
-/**
- * Extract mentions from message entities
- * @param {Array} entities - Message entities from Telegram
- * @param {string} text - Full message text
- * @param {number} fromId - User ID of message sender
- * @returns {Array} Array of user mentions
- */
-const extractMentions = (entities, text, fromId) => {
-  if (!entities) return [];
-  
-  const mentions = [];
-  entities.forEach(entity => {
-    if (entity.type === 'mention') {
-      // Extract username from @mention
-      const username = text.substring(entity.offset + 1, entity.offset + entity.length);
-      // Generate a temporary negative userId for username mentions
-      // This avoids MongoDB validation errors but still makes it clear this isn't a real userId
-      const tempUserId = -Math.floor(Math.random() * 1000000) - 1;
-      mentions.push({
-        username,
-        userId: tempUserId, // Using temporary negative ID to pass validation
-        firstName: null,
-        lastName: null,
-        voted: false
-      });
-    } else if (entity.type === 'text_mention' && entity.user) {
-      // Text mentions already have user objects
-      mentions.push({
-        username: entity.user.username || null,
-        userId: entity.user.id,
-        firstName: entity.user.first_name || null,
-        lastName: entity.user.last_name || null,
-        voted: entity.user.id === fromId // Creator is automatically marked as voted
-      });
-    }
-  });
-  
-  return mentions;
-};
+const { extractMentions } = require('../utils/mentions');
+const { resolveMentions } = require('../utils/userDirectory');
 
 /**
  * Create a poll creation wizard scene with minimal messages
@@ -373,7 +335,7 @@ const createPollScene = () => {
           creatorId: ctx.from.id,
           title: title,
           options: options,
-          mentions: mentions || [],
+          mentions: await resolveMentions(mentions || [], ctx.telegram, ctx.chat.id),
           isAnonymous: false,
           isMultipleChoice: false
         });
@@ -1,8 +1,10 @@
-const { Scenes } = require('telegraf');
+const { Scenes, Markup } = require('telegraf');
 const createPollScene = require('./createPollScene');
 const compactCreatePollScene = require('./compactCreatePollScene');
 const checkVotersScene = require('./checkVotersScene');
 const Poll = require('../models/Poll');
+const { draftMiddleware } = require('../middleware/draftMiddleware');
+const { getUserGroups, isChatMember } = require('../utils/chatRegistry');
 const logger = require('../utils/logger');
 
 /**
@@ -35,13 +37,31 @@ const setupScenes = (bot) => {
     
     bot.use(stage.middleware());
     
+    // Bring back wizards lost on restart when their buttons are pressed
+    bot.use(draftMiddleware);
+    
     // Command to enter poll creation scene
     bot.command('createpoll', async (ctx) => {
       const { t } = ctx.i18n;
       
-      // Only allow in groups
+      // In private chat, let the user pick one of their groups
       if (!ctx.isAnyGroup) {
-        return ctx.reply(t('poll.groupOnly'));
+        try {
+          const groups = await getUserGroups(ctx.telegram, ctx.from.id);
+          
+          if (groups.length === 0) {
+            return ctx.reply(t('poll.noSharedGroups'));
+          }
+          
+          const buttons = groups.map(group => [
+            Markup.button.callback(group.title || `${group.chatId}`, `pick_group_${group.chatId}`)
+          ]);
+          
+          return ctx.reply(t('poll.pickGroup'), Markup.inlineKeyboard(buttons));
+        } catch (error) {
+          logger.error('Error listing groups for private poll creation:', error);
+          return ctx.reply(t('poll.groupOnly'));
+        }
       }
       
       logger.debug(`User ${ctx.from.id} starting poll creation wizard`);
@@ -53,6 +73,41 @@ const setupScenes = (bot) => {
       return ctx.scene.enter('compact-create-poll', { commandMessageId });
     });
     
+    // Start poll creation for a group picked in private chat
+    bot.action(/^pick_group_(-?\d+)$/, async (ctx) => {
+      const { t } = ctx.i18n;
+      const targetChatId = parseInt(ctx.match[1], 10);
+      
+      // The user may have left the group since the list was shown
+      if (!(await isChatMember(ctx.telegram, targetChatId, ctx.from.id))) {
+        return ctx.answerCbQuery(t('poll.notGroupMember'));
+      }
+      
+      await ctx.answerCbQuery();
+      
+      // Replace the group list with the wizard
+      try {
+        await ctx.deleteMessage();
+      } catch (error) {
+        logger.warn('Could not delete group picker message:', error);
+      }
+      
+      logger.debug(`User ${ctx.from.id} starting poll creation wizard for group ${targetChatId} from private chat`);
+      
+      const groupButton = ctx.callbackQuery.message?.reply_markup?.inline_keyboard
+        ?.flat()
+        .find(button => button.callback_data === ctx.match[0]);
+      
+      return ctx.scene.enter('compact-create-poll', {
+        checkData: {
+          targetChatId,
+          targetChatTitle: groupButton?.text || null,
+          fromPrivate: true,
+          fromGroupPicker: true
+        }
+      });
+    });
+    
     // Command to enter check voters scene
     bot.command('checkvoters', async (ctx) => {
       const { t } = ctx.i18n;
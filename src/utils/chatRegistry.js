@@ -0,0 +1,138 @@
+/**
+ * Registry of group chats the bot is a member of
+ * @module utils/chatRegistry
+ */
+
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const logger = require('./logger');
+
+// Member statuses that mean the user or bot is in the chat
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+// Most chats checked when looking for a user's groups
+const MAX_CANDIDATE_CHATS = 30;
+
+// Don't touch the database for every message, refresh a chat at most this often
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Last registry refresh per chat in this process
+const lastRefresh = new Map();
+
+/**
+ * Check whether a chat member status means the user is in the chat
+ * @param {Object} chatMember - Telegram ChatMember object
+ * @returns {boolean} Whether the user is a member
+ */
+const isMemberStatus = (chatMember) => {
+  if (!chatMember) return false;
+  if (chatMember.status === 'restricted') {
+    return !!chatMember.is_member;
+  }
+  return MEMBER_STATUSES.includes(chatMember.status);
+};
+
+/**
+ * Store or refresh a group chat in the registry
+ * @param {Object} chat - Telegram chat object
+ * @param {boolean} [isActive] - Whether the bot is a member of the chat
+ * @returns {Promise<void>}
+ */
+const registerChat = async (chat, isActive = true) => {
+  await Chat.updateOne(
+    { chatId: chat.id },
+    {
+      title: chat.title || '',
+      type: chat.type,
+      username: chat.username || null,
+      isActive,
+      lastSeenAt: new Date()
+    },
+    { upsert: true }
+  );
+  lastRefresh.set(chat.id, Date.now());
+};
+
+/**
+ * Middleware that keeps the chat registry up to date
+ * Handles my_chat_member updates and registers groups the bot was added to before the registry existed
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {Function} next - Next middleware function
+ */
+const chatRegistryMiddleware = async (ctx, next) => {
+  try {
+    if (ctx.myChatMember) {
+      const { chat, new_chat_member: newMember } = ctx.myChatMember;
+      if (chat.type === 'group' || chat.type === 'supergroup') {
+        const isActive = isMemberStatus(newMember);
+        await registerChat(chat, isActive);
+        logger.info(`Bot ${isActive ? 'added to' : 'removed from'} chat ${chat.id}`, { title: chat.title });
+      }
+    } else if (ctx.isAnyGroup && ctx.message) {
+      const lastTime = lastRefresh.get(ctx.chat.id) || 0;
+      if (Date.now() - lastTime > REFRESH_INTERVAL_MS) {
+        await registerChat(ctx.chat, true);
+      }
+    }
+  } catch (error) {
+    logger.warn('Could not update chat registry:', error);
+  }
+
+  return await next();
+};
+
+/**
+ * Check whether a user is a member of a chat
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Number} userId - Telegram user ID
+ * @returns {Promise<boolean>} Whether the user is a member
+ */
+const isChatMember = async (telegram, chatId, userId) => {
+  try {
+    const chatMember = await telegram.getChatMember(chatId, userId);
+    return isMemberStatus(chatMember);
+  } catch (error) {
+    logger.debug(`Could not check membership of user ${userId} in chat ${chatId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Get the registered groups a user is a member of
+ * Only the groups the user directory saw the user in are checked. Users seen before the directory
+ * recorded chats have none yet, for them the most recently active chats are checked instead and the
+ * groups found are remembered.
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Number} userId - Telegram user ID
+ * @returns {Promise<Array>} Chats shared by the bot and the user
+ */
+const getUserGroups = async (telegram, userId) => {
+  const user = await User.findOne({ userId });
+  const knownChatIds = user?.chatIds || [];
+
+  const chats = knownChatIds.length > 0
+    ? await Chat.getActiveByIds(knownChatIds, MAX_CANDIDATE_CHATS)
+    : await Chat.getActive(MAX_CANDIDATE_CHATS);
+
+  const membership = await Promise.all(
+    chats.map(chat => isChatMember(telegram, chat.chatId, userId))
+  );
+
+  // Remember the groups found and forget those the user left
+  await Promise.all(chats.map((chat, index) => {
+    if (membership[index]) {
+      return knownChatIds.includes(chat.chatId) ? null : User.addChat(userId, chat.chatId);
+    }
+    return knownChatIds.includes(chat.chatId) ? User.removeChat(userId, chat.chatId) : null;
+  }));
+
+  return chats.filter((chat, index) => membership[index]);
+};
+
+module.exports = {
+  chatRegistryMiddleware,
+  registerChat,
+  isChatMember,
+  getUserGroups
+};
@@ -0,0 +1,149 @@
+/**
+ * Per-chat time zone and quiet hours
+ * @module utils/chatSettings
+ */
+
+const Chat = require('../models/Chat');
+const { MINUTE_MS, getZonedParts, fromZonedParts } = require('./time');
+
+// Settings rarely change, the scheduler reads them for every message it sends
+const CACHE_TTL_MS = 5 * MINUTE_MS;
+
+// Settings and load time per chat in this process
+const cache = new Map();
+
+// Settings of chats that never changed them
+const DEFAULT_SETTINGS = {
+  timezone: null,
+  quietHoursStart: null,
+  quietHoursEnd: null
+};
+
+/**
+ * Get the time zone and quiet hours of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<Object>} { timezone, quietHoursStart, quietHoursEnd }
+ */
+const getChatSettings = async (chatId) => {
+  const cached = cache.get(chatId);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+    return cached.settings;
+  }
+
+  const chat = await Chat.findOne({ chatId }).lean();
+  const settings = {
+    timezone: chat?.timezone || DEFAULT_SETTINGS.timezone,
+    quietHoursStart: chat?.quietHoursStart ?? DEFAULT_SETTINGS.quietHoursStart,
+    quietHoursEnd: chat?.quietHoursEnd ?? DEFAULT_SETTINGS.quietHoursEnd
+  };
+
+  cache.set(chatId, { settings, at: Date.now() });
+  return settings;
+};
+
+/**
+ * Change the settings of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} Updated settings
+ */
+const updateChatSettings = async (chatId, changes) => {
+  await Chat.updateOne({ chatId }, { $set: changes }, { upsert: true });
+  cache.delete(chatId);
+  return getChatSettings(chatId);
+};
+
+/**
+ * Get the time zone of a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<string|undefined>} IANA time zone name, undefined for the server time zone
+ */
+const getChatTimeZone = async (chatId) => {
+  if (!chatId) return undefined;
+  const settings = await getChatSettings(chatId);
+  return settings.timezone || undefined;
+};
+
+/**
+ * Parse quiet hours such as "22:00-08:00"
+ * @param {string} text - Quiet hours text
+ * @returns {Object|null} { start, end } in minutes after midnight or null if the text can't be parsed
+ */
+const parseQuietHours = (text) => {
+  const match = (text || '').trim().match(/^(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [startHours, startMinutes, endHours, endMinutes] = match.slice(1).map(part => parseInt(part, 10));
+  if (startHours > 23 || endHours > 23 || startMinutes > 59 || endMinutes > 59) {
+    return null;
+  }
+
+  const start = startHours * 60 + startMinutes;
+  const end = endHours * 60 + endMinutes;
+  return start === end ? null : { start, end };
+};
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {Number} minutes - Minutes after midnight
+ * @returns {string} Time of day
+ */
+const formatTimeOfDay = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Get the earliest time a scheduled message may be sent in a chat
+ * A time within quiet hours is moved to the end of the quiet hours, other times are kept.
+ * @param {Object} settings - Chat settings
+ * @param {Date} [date] - Time the message is due
+ * @returns {Date} Time the message may be sent
+ */
+const getNextAllowedTime = (settings, date = new Date()) => {
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start === end) {
+    return date;
+  }
+
+  const timeZone = settings.timezone || undefined;
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parts.hours * 60 + parts.minutes;
+
+  // Quiet hours like 22:00-08:00 span midnight
+  const isQuiet = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  if (!isQuiet) {
+    return date;
+  }
+
+  const endsTomorrow = start > end && minutes >= start;
+  return fromZonedParts({
+    year: parts.year,
+    month: parts.month,
+    day: parts.day + (endsTomorrow ? 1 : 0),
+    hours: Math.floor(end / 60),
+    minutes: end % 60
+  }, timeZone);
+};
+
+/**
+ * Get the earliest time a scheduled message may be sent in a chat
+ * @param {Number} chatId - Telegram chat ID
+ * @param {Date} [date] - Time the message is due
+ * @returns {Promise<Date>} Time the message may be sent
+ */
+const getAllowedSendTime = async (chatId, date = new Date()) => {
+  return getNextAllowedTime(await getChatSettings(chatId), date);
+};
+
+module.exports = {
+  getChatSettings,
+  updateChatSettings,
+  getChatTimeZone,
+  parseQuietHours,
+  formatTimeOfDay,
+  getNextAllowedTime,
+  getAllowedSendTime
+};
@@ -0,0 +1,151 @@
+/**
+ * Extracting, matching and formatting mentioned users
+ * @module utils/mentions
+ */
+
+// Telegram usernames: 5-32 characters, letters, digits and underscores, starting with a letter
+const USERNAME_PATTERN = /^[a-z][a-z0-9_]{4,31}$/i;
+
+/**
+ * Check whether a text can be a Telegram username
+ * @param {string} username - Username without @
+ * @returns {boolean} Whether the username is valid
+ */
+const isValidUsername = (username) => USERNAME_PATTERN.test(username || '');
+
+/**
+ * Extract mentions from message entities
+ * Username mentions get their user ID once the user is known, see utils/userDirectory.
+ * @param {Array} entities - Message entities from Telegram
+ * @param {string} text - Full message text
+ * @param {number} fromId - User ID of message sender
+ * @returns {Array} Array of user mentions
+ */
+const extractMentions = (entities, text, fromId) => {
+  if (!entities) return [];
+
+  const mentions = [];
+  entities.forEach(entity => {
+    if (entity.type === 'mention') {
+      // Extract username from @mention
+      const username = text.substring(entity.offset + 1, entity.offset + entity.length);
+      mentions.push({
+        username,
+        userId: null,
+        firstName: null,
+        lastName: null,
+        voted: false
+      });
+    } else if (entity.type === 'text_mention' && entity.user) {
+      // Text mentions already have user objects
+      mentions.push({
+        username: entity.user.username || null,
+        userId: entity.user.id,
+        firstName: entity.user.first_name || null,
+        lastName: entity.user.last_name || null,
+        voted: entity.user.id === fromId // Creator is automatically marked as voted
+      });
+    }
+  });
+
+  return mentions;
+};
+
+/**
+ * Find the mention of a user, by ID or case-insensitively by username
+ * @param {Array} mentions - Poll mentions
+ * @param {Object} user - Telegram user object
+ * @returns {Number} Mention index or -1
+ */
+const findMentionIndex = (mentions, user) => {
+  const username = user.username ? user.username.toLowerCase() : null;
+  return mentions.findIndex(mention =>
+    (user.id && mention.userId === user.id) ||
+    (username && mention.username && mention.username.toLowerCase() === username)
+  );
+};
+
+/**
+ * Escape characters that have a meaning in Telegram's legacy Markdown
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeMarkdown = (text) => String(text).replace(/([_*`[])/g, '\\$1');
+
+/**
+ * Format a mentioned user so Telegram notifies them
+ * Users without a username are linked by ID, with their name as the link text.
+ * @param {Object} mention - Mention with username and/or userId
+ * @returns {string} Markdown mention
+ */
+const formatMention = (mention) => {
+  if (mention.username) {
+    return `@${escapeMarkdown(mention.username)}`;
+  }
+
+  // Markdown characters can't be escaped inside link text
+  const name = [mention.firstName, mention.lastName]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/[_*`[\]]/g, '')
+    .trim();
+  return `[${name || 'User'}](tg://user?id=${mention.userId})`;
+};
+
+/**
+ * Convert a stored mention text to Markdown
+ * Older definitions stored plain "@username" and "@123456789" texts, the latter never notified anyone.
+ * @param {string} text - Mention text
+ * @returns {string} Markdown mention
+ */
+const toMarkdownMention = (text) => {
+  const match = String(text).match(/^@(\w+)$/);
+  if (!match) {
+    return text;
+  }
+
+  return /^\d+$/.test(match[1])
+    ? formatMention({ userId: parseInt(match[1], 10) })
+    : formatMention({ username: match[1] });
+};
+
+/**
+ * Format mentioned users that can be notified, users known by neither username nor ID are skipped
+ * @param {Array} mentions - Mentions with username and/or userId
+ * @returns {string} Markdown mentions separated by spaces
+ */
+const formatMentions = (mentions) => {
+  return mentions
+    .filter(mention => mention.username || mention.userId > 0)
+    .map(formatMention)
+    .join(' ');
+};
+
+/**
+ * List the mentions that can never be matched to a voter, with the reason for each
+ * @param {Array} mentions - Poll mentions
+ * @param {Function} t - Translator function
+ * @returns {string} Markdown list with a header, empty if every mention can be matched
+ */
+const formatUnresolvedMentions = (mentions, t) => {
+  const unresolved = mentions.filter(mention => mention.unresolvedReason);
+  if (unresolved.length === 0) {
+    return '';
+  }
+
+  const lines = unresolved.map(mention =>
+    `• ${formatMention(mention)} — ${t(`voters.unresolvedReason.${mention.unresolvedReason}`)}`
+  );
+  return [t('voters.unresolvedHeader'), ...lines].join('\n');
+};
+
+module.exports = {
+  isValidUsername,
+  extractMentions,
+  findMentionIndex,
+  escapeMarkdown,
+  formatMention,
+  formatMentions,
+  toMarkdownMention,
+  formatUnresolvedMentions
+};
@@ -0,0 +1,216 @@
+/**
+ * Closing polls and announcing their final results
+ * @module utils/pollCloser
+ */
+
+const { createTranslator, DEFAULT_LOCALE } = require('./i18n');
+const Poll = require('../models/Poll');
+const { getUserProfiles } = require('./userDirectory');
+const logger = require('./logger');
+
+/**
+ * Format a display name from a user profile
+ * @param {Object} profile - Profile with username, firstName and lastName
+ * @returns {string|null} Display name or null if the profile has no name
+ */
+const formatProfileName = (profile) => {
+  if (profile.username) {
+    return `@${profile.username}`;
+  }
+  const name = [profile.firstName, profile.lastName].filter(Boolean).join(' ');
+  return name || null;
+};
+
+/**
+ * Resolve display names for voters, known users are read from the user directory
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Array<Number>} userIds - Telegram user IDs
+ * @returns {Promise<Map>} Display names keyed by user ID
+ */
+const resolveVoterNames = async (telegram, poll, userIds) => {
+  const profiles = await getUserProfiles(telegram, poll.chatId, userIds);
+  const names = new Map();
+
+  for (const userId of userIds) {
+    // Mentioned users carry the names they were mentioned with
+    const mention = (poll.mentions || []).find(m => m && m.userId === userId);
+    const profile = profiles.get(userId);
+
+    names.set(
+      userId,
+      (mention && mention.username && `@${mention.username}`) ||
+        (profile && formatProfileName(profile)) ||
+        (mention && formatProfileName(mention)) ||
+        `User ${userId}`
+    );
+  }
+
+  return names;
+};
+
+/**
+ * Build a snapshot of the final per-option counts and named voters
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Object} [telegramPoll] - Poll object returned by Telegram stopPoll
+ * @param {Number} [closedBy] - Telegram user ID of the user who closed the poll
+ * @returns {Promise<Object>} Final results snapshot
+ */
+const buildResultsSnapshot = async (telegram, poll, telegramPoll = null, closedBy = null) => {
+  const names = await resolveVoterNames(telegram, poll, poll.getUniqueVoterIds());
+
+  const options = poll.options.map((option, index) => {
+    const voterIds = option.voterIds || [];
+    const telegramOption = telegramPoll?.options?.[index];
+
+    return {
+      text: option.text,
+      // Prefer Telegram's own counts, they are the most recent ones
+      votes: typeof telegramOption?.voter_count === 'number'
+        ? telegramOption.voter_count
+        : voterIds.length + (option.unattributedVotes || 0),
+      voters: voterIds.map(userId => ({ userId, name: names.get(userId) }))
+    };
+  });
+
+  return {
+    closedAt: new Date(),
+    closedBy,
+    totalVoters: typeof telegramPoll?.total_voter_count === 'number'
+      ? telegramPoll.total_voter_count
+      : poll.countTotalVoters(),
+    options
+  };
+};
+
+/**
+ * Build the final results summary message for a poll
+ * @param {Object} poll - Poll document
+ * @param {Function} t - Translator function
+ * @param {Object} results - Final results snapshot
+ * @returns {string} Summary message
+ */
+const formatResultsSummary = (poll, t, results) => {
+  const totalVotes = results.options.reduce((sum, option) => sum + option.votes, 0);
+
+  const lines = [];
+  lines.push(`🔒 ${t('close.pollClosed', { title: poll.title })}`);
+  lines.push('');
+  lines.push(t('close.results'));
+
+  results.options.forEach(option => {
+    const percentage = totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0;
+    lines.push(t('close.option', { text: option.text, votes: option.votes, percentage }));
+
+    if (option.voters.length > 0) {
+      lines.push(`   👤 ${option.voters.map(voter => voter.name).join(', ')}`);
+    }
+  });
+
+  // Mention status
+  if (poll.mentions && poll.mentions.length > 0) {
+    const pending = poll.getPendingMentions().length;
+    lines.push('');
+    lines.push(
+      pending === 0
+        ? t('close.allVoted', { count: poll.mentions.length })
+        : t('close.someNotVoted', { pending, total: poll.mentions.length })
+    );
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Post the final results of a closed poll as a reply to it
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Closed poll document
+ * @param {string} [reason] - Translation key of a line explaining why the poll was closed
+ * @returns {Promise<void>}
+ */
+const announceResults = async (telegram, poll, reason = null) => {
+  const t = createTranslator(poll.locale || DEFAULT_LOCALE);
+
+  try {
+    let summary = formatResultsSummary(poll, t, poll.finalResults);
+    if (reason) {
+      summary = `${t(reason)}\n${summary}`;
+    }
+
+    // Telegram messages are limited to 4096 characters
+    if (summary.length > 4000) {
+      summary = summary.substring(0, 4000) + '…';
+    }
+
+    await telegram.sendMessage(poll.chatId, summary, {
+      reply_to_message_id: poll.messageId,
+      allow_sending_without_reply: true
+    });
+  } catch (error) {
+    logger.error(`Could not post results for closed poll ${poll._id}:`, error);
+  }
+};
+
+/**
+ * Stop a poll in Telegram, store its final results and post them to its chat
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Object} [options] - Close options
+ * @param {string} [options.reason] - Translation key of a line explaining why the poll was closed
+ * @param {Number} [options.closedBy] - Telegram user ID of the user who closed the poll
+ * @param {Date} [options.announceAt] - Post the results at this time instead of right away
+ * @returns {Promise<boolean>} Whether the poll was closed
+ */
+const closePoll = async (telegram, poll, { reason, closedBy = null, announceAt = null } = {}) => {
+  if (poll.isClosed) {
+    return false;
+  }
+
+  // Claim the poll first, the scheduler, /closepoll and decision rules may close it at the same time
+  const claimed = await Poll.updateOne({ _id: poll._id, isClosed: false }, { isClosed: true });
+  if (claimed.modifiedCount === 0) {
+    logger.debug(`Poll ${poll._id} is already being closed`);
+    return false;
+  }
+  poll.isClosed = true;
+
+  // Stop the poll in Telegram so no more votes can be cast
+  let telegramPoll = null;
+  try {
+    telegramPoll = await telegram.stopPoll(poll.chatId, poll.messageId);
+  } catch (error) {
+    // The poll may have been stopped manually or the message deleted, close it on our side anyway
+    logger.warn(`Could not stop poll ${poll._id} in Telegram: ${error.message}`);
+  }
+
+  // The scheduler picks up results held back by quiet hours
+  if (announceAt && announceAt > new Date()) {
+    poll.resultsAnnounceAt = announceAt;
+    poll.closeReason = reason || null;
+  }
+
+  const results = await buildResultsSnapshot(telegram, poll, telegramPoll, closedBy);
+  await poll.close(results);
+
+  logger.info(`Poll ${poll._id} closed in chat ${poll.chatId}`, {
+    title: poll.title,
+    reason: reason || 'manual',
+    closedBy,
+    announceAt: poll.resultsAnnounceAt
+  });
+
+  if (!poll.resultsAnnounceAt) {
+    await announceResults(telegram, poll, reason);
+  }
+
+  return true;
+};
+
+module.exports = {
+  closePoll,
+  announceResults,
+  resolveVoterNames,
+  buildResultsSnapshot,
+  formatResultsSummary
+};
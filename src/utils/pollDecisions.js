@@ -0,0 +1,122 @@
+/**
+ * Announcing polls whose decision rule (quorum or vote threshold) is met
+ * @module utils/pollDecisions
+ */
+
+const Poll = require('../models/Poll');
+const { createTranslator, DEFAULT_LOCALE } = require('./i18n');
+const { closePoll } = require('./pollCloser');
+const logger = require('./logger');
+
+/**
+ * Describe a decision rule for display in messages
+ * @param {Object} rule - Decision rule
+ * @param {Function} t - Translator function
+ * @returns {string} Rule description
+ */
+const describeDecisionRule = (rule, t) => {
+  return rule.type === 'quorum'
+    ? t('decision.ruleQuorum', { percentage: rule.value })
+    : t('decision.ruleThreshold', { votes: rule.value });
+};
+
+/**
+ * Parse a decision rule entered by a user, "60%" for a quorum or "5" for a vote threshold
+ * @param {string} text - Rule text
+ * @returns {Object|null} Rule ({ type, value }) or null if the text is not a rule
+ */
+const parseDecisionRule = (text) => {
+  const value = (text || '').trim();
+  let match;
+
+  if ((match = value.match(/^(\d{1,3})\s*%$/))) {
+    const percentage = parseInt(match[1], 10);
+    return percentage >= 1 && percentage <= 100 ? { type: 'quorum', value: percentage } : null;
+  }
+
+  if ((match = value.match(/^\d{1,6}$/))) {
+    const votes = parseInt(match[0], 10);
+    return votes >= 1 ? { type: 'threshold', value: votes } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Build the message announcing that a poll's decision rule is met
+ * @param {Object} poll - Poll document
+ * @param {Function} t - Translator function
+ * @param {Object} decision - Decision returned by Poll#getDecision
+ * @returns {string} Announcement
+ */
+const formatDecision = (poll, t, decision) => {
+  const option = poll.options[decision.optionIndex]?.text || '';
+  const votes = poll.getOptionCounts()[decision.optionIndex] || 0;
+
+  const lines = [t('decision.reached', { title: poll.title })];
+  if (poll.decisionRule.type === 'quorum') {
+    lines.push(t('decision.quorumMet', {
+      votes: decision.votes,
+      total: decision.total,
+      percentage: Math.round((decision.votes / decision.total) * 100)
+    }));
+    lines.push(t('decision.leading', { option, votes }));
+  } else {
+    lines.push(t('decision.thresholdMet', { option, votes }));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Announce a poll's decision once its decision rule is met and close the poll if the rule says so
+ * Called after every vote update, the decision is announced only once.
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document with the latest votes
+ * @returns {Promise<boolean>} Whether the decision was announced
+ */
+const checkDecisionRule = async (telegram, poll) => {
+  if (!poll.decisionRule || poll.decisionMetAt || poll.isClosed) {
+    return false;
+  }
+
+  const decision = poll.getDecision();
+  if (!decision) {
+    return false;
+  }
+
+  // Claim the announcement first so it is never posted twice
+  const now = new Date();
+  const claimed = await Poll.updateOne(
+    { _id: poll._id, decisionMetAt: null },
+    { decisionMetAt: now }
+  );
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+  poll.decisionMetAt = now;
+
+  logger.info(`Decision rule of poll ${poll._id} met`, { rule: poll.decisionRule.toObject(), decision });
+
+  const t = createTranslator(poll.locale || DEFAULT_LOCALE);
+  try {
+    await telegram.sendMessage(poll.chatId, formatDecision(poll, t, decision), {
+      reply_to_message_id: poll.messageId,
+      allow_sending_without_reply: true
+    });
+  } catch (error) {
+    logger.error(`Could not announce decision of poll ${poll._id}:`, error);
+  }
+
+  if (poll.decisionRule.closeWhenMet) {
+    await closePoll(telegram, poll, { reason: 'decision.closedReason' });
+  }
+
+  return true;
+};
+
+module.exports = {
+  describeDecisionRule,
+  parseDecisionRule,
+  checkDecisionRule
+};
@@ -0,0 +1,141 @@
+/**
+ * Flags accepted by text poll commands ("--multi", "--close=2h", ...)
+ * @module utils/pollFlags
+ */
+
+const { MINUTE_MS, parseDuration, parseDeadline } = require('./time');
+
+// Reminders more frequent than this would flood the chat
+const MIN_REMIND_INTERVAL_MS = 5 * MINUTE_MS;
+
+// Supported flags and whether they take a value: 'none', 'required' or 'optional'
+const FLAGS = {
+  multi: 'none', // Allow choosing several options
+  anon: 'none', // Anonymous poll, voters are not reported
+  quiz: 'required', // Quiz with the given correct option number
+  close: 'required', // Close after a duration or at a date
+  remind: 'required', // Remind mentioned users who haven't voted at this interval
+  topic: 'optional' // Post into the current forum topic or the topic with the given ID
+};
+
+/**
+ * Parse the value of a single flag
+ * @param {string} name - Flag name
+ * @param {string} value - Flag value
+ * @param {Date} now - Reference time
+ * @param {string} [timeZone] - Time zone deadlines are given in
+ * @returns {Object} { value } or { error } with the translation key of the problem
+ */
+const parseFlagValue = (name, value, now, timeZone) => {
+  switch (name) {
+  case 'quiz': {
+    const optionNumber = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+    return optionNumber > 0 ? { value: optionNumber } : { error: 'poll.flags.invalidQuiz' };
+  }
+  case 'close': {
+    const closesAt = parseDeadline(value, now, timeZone);
+    return closesAt ? { value: closesAt } : { error: 'poll.flags.invalidClose' };
+  }
+  case 'remind': {
+    const interval = parseDuration(value);
+    if (!interval) return { error: 'poll.flags.invalidRemind' };
+    if (interval < MIN_REMIND_INTERVAL_MS) return { error: 'poll.flags.remindTooShort' };
+    return { value: interval };
+  }
+  case 'topic': {
+    if (value === undefined) return { value: true };
+    return /^\d+$/.test(value) ? { value: parseInt(value, 10) } : { error: 'poll.flags.invalidTopic' };
+  }
+  default:
+    return { value: true };
+  }
+};
+
+// A flag with an optional value, quoted values may contain spaces: --close="25.12 18:00"
+const FLAG_PATTERN = /^--([a-z]+)(?:=(.*))?$/is;
+
+// Words of the flags part, a quoted value stays in the word of its flag
+const TOKEN_PATTERN = /--[a-z]+=(?:"[^"]*"|\S+)|\S+/gi;
+
+/**
+ * Unquote a flag value and join a date and time written as 25.12T18:00 or 25.12_18:00
+ * @param {string} [value] - Raw flag value
+ * @returns {string|undefined} Flag value
+ */
+const normalizeFlagValue = (value) => {
+  if (value === undefined) return undefined;
+
+  const unquoted = value.replace(/^"(.*)"$/s, '$1').trim();
+  return unquoted.replace(/^([\d.-]+)[T_](\d{1,2}:\d{2})$/i, '$1 $2');
+};
+
+/**
+ * Find where the trailing flags of a poll command start
+ * Flags are only read after the last option, so titles and options may contain "--".
+ * @param {string} text - Command arguments
+ * @returns {Number} Index of the first flag, the text length if there are no flags
+ */
+const findFlagsStart = (text) => {
+  const lastPart = text.lastIndexOf('|') + 1;
+  const tokens = [...text.slice(lastPart).matchAll(TOKEN_PATTERN)];
+
+  let start = text.length;
+  for (let i = tokens.length - 1; i >= 0 && tokens[i][0].startsWith('--'); i--) {
+    start = lastPart + tokens[i].index;
+  }
+  return start;
+};
+
+/**
+ * Split flags from the end of a poll command
+ * @param {string} text - Command arguments
+ * @param {Date} [now] - Reference time for deadlines
+ * @param {string} [timeZone] - Time zone deadlines are given in, the server time zone if omitted
+ * @returns {Object} { text, flags } or { error: { key, token } } pointing at the bad token
+ */
+const parsePollFlags = (text, now = new Date(), timeZone = undefined) => {
+  const flags = {
+    multi: false,
+    anon: false,
+    quiz: null,
+    close: null,
+    remind: null,
+    topic: null
+  };
+
+  const source = text || '';
+  const flagsStart = findFlagsStart(source);
+
+  for (const [token] of source.slice(flagsStart).matchAll(TOKEN_PATTERN)) {
+    const match = token.match(FLAG_PATTERN);
+    const name = match ? match[1].toLowerCase() : null;
+    const value = match ? normalizeFlagValue(match[2]) : undefined;
+
+    if (!name || !FLAGS[name]) {
+      return { error: { key: 'poll.flags.unknown', token } };
+    }
+
+    if (FLAGS[name] === 'none' && value !== undefined) {
+      return { error: { key: 'poll.flags.noValue', token } };
+    }
+
+    if (FLAGS[name] === 'required' && !value) {
+      return { error: { key: 'poll.flags.valueRequired', token } };
+    }
+
+    const parsed = parseFlagValue(name, value, now, timeZone);
+    if (parsed.error) {
+      return { error: { key: parsed.error, token } };
+    }
+
+    flags[name] = parsed.value;
+  }
+
+  // The rest is kept as written, with its line breaks
+  return { text: source.slice(0, flagsStart).trim(), flags };
+};
+
+module.exports = {
+  MIN_REMIND_INTERVAL_MS,
+  parsePollFlags
+};
@@ -0,0 +1,46 @@
+/**
+ * Tracing follow-up polls back to the polls their voters come from
+ * @module utils/pollLineage
+ */
+
+const Poll = require('../models/Poll');
+
+/**
+ * Load the polls a poll was narrowed down from and its own follow-ups
+ * @param {Object} poll - Poll document
+ * @returns {Promise<Object>} { lineage, followUps } where lineage goes from the original poll to this one
+ */
+const getPollLineage = async (poll) => {
+  const [lineage, followUps] = await Promise.all([
+    poll.getLineage(),
+    Poll.getFollowUps(poll._id)
+  ]);
+
+  return { lineage, followUps };
+};
+
+/**
+ * Describe one step of a lineage, follow-ups show which voters of the previous poll they were created for
+ * @param {Object} poll - Poll document
+ * @returns {string} Step description
+ */
+const formatLineageStep = (poll) => {
+  return poll.parentPollId && poll.sourceOptionText
+    ? `"${poll.title}" (${poll.sourceOptionText})`
+    : `"${poll.title}"`;
+};
+
+/**
+ * Format a chain of polls as "original → follow-up → follow-up"
+ * @param {Array} polls - Polls from the original one to the latest follow-up
+ * @returns {string} Chain description
+ */
+const formatLineage = (polls) => {
+  return polls.map(formatLineageStep).join(' → ');
+};
+
+module.exports = {
+  getPollLineage,
+  formatLineageStep,
+  formatLineage
+};
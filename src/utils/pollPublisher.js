@@ -0,0 +1,182 @@
+/**
+ * Posting poll definitions to Telegram and registering them for tracking
+ * @module utils/pollPublisher
+ */
+
+const Poll = require('../models/Poll');
+const { createTranslator, DEFAULT_LOCALE } = require('./i18n');
+const { escapeMarkdown, formatMentions, toMarkdownMention } = require('./mentions');
+const { resolveMentions } = require('./userDirectory');
+const logger = require('./logger');
+
+/**
+ * Build the Telegram sendPoll parameters for a poll definition
+ * @param {Object} definition - Poll definition
+ * @returns {Object} sendPoll extra parameters
+ */
+const buildPollExtra = (definition) => {
+  const isQuiz = definition.type === 'quiz';
+
+  const pollExtra = {
+    is_anonymous: !!definition.isAnonymous,
+    allows_multiple_answers: !!definition.isMultipleChoice && !isQuiz
+  };
+
+  if (isQuiz) {
+    pollExtra.type = 'quiz';
+    pollExtra.correct_option_id = definition.correctOptionId;
+    if (definition.explanation) {
+      pollExtra.explanation = definition.explanation;
+    }
+  }
+
+  return pollExtra;
+};
+
+/**
+ * Build the message listing mentioned users that is posted after the poll
+ * @param {Object} definition - Poll definition
+ * @param {Number} pollMessageId - Message ID of the posted poll
+ * @returns {string|null} Markdown mentions message or null if there is nobody to mention
+ */
+const buildMentionsMessage = (definition, pollMessageId) => {
+  const { importedMentions } = definition;
+  if (!importedMentions || importedMentions.length === 0) {
+    return null;
+  }
+
+  const t = createTranslator(definition.locale || DEFAULT_LOCALE);
+
+  // Use different message template based on whether this poll is from checkVoters
+  let messageKey = 'scenes.poll.mentionsForPoll';
+  if (definition.fromNonVoters === true) {
+    messageKey = 'scenes.poll.mentionsForNonVoters';
+  } else if (definition.fromCheckVoters === true) {
+    messageKey = 'scenes.poll.mentionsForCheckVoters';
+  }
+
+  return t(messageKey, {
+    messageId: pollMessageId,
+    mentions: importedMentions.map(toMarkdownMention).join(' '),
+    option: escapeMarkdown(definition.selectedOption || ''),
+    title: escapeMarkdown(definition.title),
+    originalPollTitle: escapeMarkdown(definition.originalPollTitle || 'Untitled Poll')
+  });
+};
+
+/**
+ * Build the message tagging the members of the roster attached to a poll
+ * @param {Object} definition - Poll definition
+ * @returns {string|null} Markdown message or null if no roster is attached
+ */
+const buildRosterMessage = (definition) => {
+  const mentions = formatMentions(definition.mentions || []);
+  if (!definition.rosterId || !mentions) {
+    return null;
+  }
+
+  const t = createTranslator(definition.locale || DEFAULT_LOCALE);
+  return t('scenes.poll.mentionsForRoster', {
+    title: escapeMarkdown(definition.title),
+    mentions
+  });
+};
+
+/**
+ * Post a poll to its chat and save it to the database
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} definition - Poll definition (chatId, creatorId, title, options, mentions, ...)
+ * @param {Object} [extra] - Additional sendMessage/sendPoll parameters such as message_thread_id
+ * @returns {Promise<Object>} Saved poll, sent poll message and mentions message text
+ */
+const publishPoll = async (telegram, definition, extra = {}) => {
+  const { chatId, title, options } = definition;
+  const isQuiz = definition.type === 'quiz';
+
+  const pollMessage = await telegram.sendPoll(
+    chatId,
+    title,
+    options.map(o => o.text),
+    { ...extra, ...buildPollExtra(definition) }
+  );
+
+  // Send mentions in a separate message if needed
+  const mentionsMessage = buildMentionsMessage(definition, pollMessage.message_id);
+  if (mentionsMessage) {
+    await telegram.sendMessage(chatId, mentionsMessage, { ...extra, parse_mode: 'Markdown' });
+  }
+
+  // Tag everyone on the attached roster
+  const rosterMessage = buildRosterMessage(definition);
+  if (rosterMessage) {
+    await telegram.sendMessage(chatId, rosterMessage, { ...extra, parse_mode: 'Markdown' });
+  }
+
+  const poll = new Poll({
+    chatId,
+    messageId: pollMessage.message_id,
+    pollId: pollMessage.poll.id,
+    creatorId: definition.creatorId,
+    title,
+    options: options.map(o => ({
+      text: o.text,
+      voterIds: [],
+      // Seats are handed out by who voted first, which anonymous polls don't reveal
+      capacity: definition.isAnonymous ? null : o.capacity || null
+    })),
+    // Users the bot has seen can be matched by ID before they vote
+    mentions: await resolveMentions([...(definition.mentions || [])], telegram, chatId),
+    isAnonymous: !!definition.isAnonymous,
+    isMultipleChoice: !!definition.isMultipleChoice && !isQuiz,
+    type: isQuiz ? 'quiz' : 'regular',
+    correctOptionId: isQuiz ? definition.correctOptionId : null,
+    explanation: isQuiz ? definition.explanation || '' : '',
+    closesAt: definition.closesAt ? new Date(definition.closesAt) : null,
+    // Votes in anonymous polls can't be tracked, so there is nobody to remind
+    remindEvery: definition.isAnonymous ? null : definition.remindEvery || null,
+    // Anonymous votes can't be matched to mentioned users, only vote thresholds work there
+    decisionRule: definition.isAnonymous && definition.decisionRule?.type === 'quorum'
+      ? null
+      : definition.decisionRule || null,
+    messageThreadId: extra.message_thread_id || null,
+    locale: definition.locale || DEFAULT_LOCALE,
+    fromCheckVoters: definition.fromCheckVoters === true, // Mark polls created from checkVoters
+    parentPollId: definition.parentPollId || null,
+    sourceOptionIndex: Number.isInteger(definition.sourceOptionIndex) ? definition.sourceOptionIndex : null,
+    sourceOptionText: definition.parentPollId ? definition.selectedOption || null : null,
+    recurringPollId: definition.recurringPollId || null,
+    rosterId: definition.rosterId || null,
+    repostedFromPollId: definition.repostedFromPollId || null // Poll this one was reposted from
+  });
+
+  // Schedule the first reminder, the scheduler takes it from there
+  poll.nextReminderAt = poll.getNextReminderAt(new Date());
+
+  // Try to save the poll
+  try {
+    await poll.save();
+  } catch (saveError) {
+    logger.error('Error saving poll to database:', saveError);
+    // Try to save without mentions if that's causing the problem
+    if (saveError.name === 'ValidationError' && saveError.message.includes('mentions')) {
+      poll.mentions = [];
+      await poll.save();
+      logger.info('Saved poll without mentions due to validation error');
+    } else {
+      throw saveError; // Re-throw if it's not a mentions validation error
+    }
+  }
+
+  // Log the source of the poll creation
+  if (poll.fromCheckVoters) {
+    logger.info('Poll created from checkVoters with special flag');
+  }
+
+  return { poll, pollMessage, mentionsMessage };
+};
+
+module.exports = {
+  publishPoll,
+  buildPollExtra,
+  buildMentionsMessage
+};
@@ -0,0 +1,98 @@
+/**
+ * Reminding mentioned users who haven't voted yet
+ * @module utils/pollReminders
+ */
+
+const { createTranslator, DEFAULT_LOCALE } = require('./i18n');
+const { escapeMarkdown, formatMention } = require('./mentions');
+const logger = require('./logger');
+
+// Tag at most this many users in one message, longer lists are split across messages
+const MAX_MENTIONS_PER_MESSAGE = 20;
+
+// Stay well below Telegram's limit of 4096 characters per message
+const MAX_REMINDER_LENGTH = 3500;
+
+/**
+ * Split formatted mentions into groups that each fit into one message
+ * @param {Array<string>} mentions - Markdown mentions
+ * @returns {Array<Array<string>>} Groups of mentions
+ */
+const chunkMentions = (mentions) => {
+  const chunks = [];
+  let chunk = [];
+  let length = 0;
+
+  for (const mention of mentions) {
+    if (chunk.length >= MAX_MENTIONS_PER_MESSAGE || length + mention.length + 1 > MAX_REMINDER_LENGTH) {
+      chunks.push(chunk);
+      chunk = [];
+      length = 0;
+    }
+    chunk.push(mention);
+    length += mention.length + 1;
+  }
+
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+};
+
+/**
+ * Send Markdown mentions to a chat, split across as many messages as needed
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Number} chatId - Chat to send the messages to
+ * @param {Array<string>} mentions - Markdown mentions
+ * @param {Function} buildText - Builds the text of a message from its mentions joined by spaces and its index
+ * @param {Object} [extra] - Extra sendMessage parameters
+ * @returns {Promise<Number>} Number of messages sent
+ */
+const sendMentionMessages = async (telegram, chatId, mentions, buildText, extra = {}) => {
+  const chunks = chunkMentions(mentions);
+  for (const [index, chunk] of chunks.entries()) {
+    await telegram.sendMessage(chatId, buildText(chunk.join(' '), index), { ...extra, parse_mode: 'Markdown' });
+  }
+  return chunks.length;
+};
+
+/**
+ * Reply to a poll tagging the mentioned users who haven't voted yet
+ * Long lists of users are split across several replies.
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Array} [mentions] - Users to tag, the poll's pending mentions by default
+ * @returns {Promise<boolean>} Whether a reminder was sent
+ */
+const sendReminder = async (telegram, poll, mentions = poll.getPendingMentions()) => {
+  // Users mentioned by username only can't be matched to votes, but they can still be tagged.
+  // Mentions that can never be matched are left out, they will never vote. Users the bot hasn't
+  // seen yet are still tagged, the reminder may be what makes them vote.
+  const pending = mentions.filter(mention =>
+    (mention.username || mention.userId > 0) &&
+    (!mention.unresolvedReason || mention.unresolvedReason === 'unknownUser')
+  );
+  if (pending.length === 0) {
+    return false;
+  }
+
+  const t = createTranslator(poll.locale || DEFAULT_LOCALE);
+  const sentCount = await sendMentionMessages(
+    telegram,
+    poll.chatId,
+    pending.map(formatMention),
+    (mentions, index) => (index === 0
+      ? t('reminders.pending', { title: escapeMarkdown(poll.title), mentions })
+      : t('reminders.pendingMore', { mentions })),
+    { reply_to_message_id: poll.messageId, allow_sending_without_reply: true }
+  );
+
+  logger.info(`Reminder sent for poll ${poll._id} to ${pending.length} users in ${sentCount} messages`);
+  return true;
+};
+
+module.exports = {
+  sendMentionMessages,
+  sendReminder
+};
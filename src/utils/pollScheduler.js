@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const ScheduledPoll = require('../models/ScheduledPoll');
+const RecurringPoll = require('../models/RecurringPoll');
+const { closePoll, announceResults } = require('./pollCloser');
+const { publishPoll } = require('./pollPublisher');
+const { sendReminder } = require('./pollReminders');
+const { getNextRun } = require('./recurrence');
+const { getAllowedSendTime, getChatTimeZone } = require('./chatSettings');
+const logger = require('./logger');
+
+let schedulerInterval = null;
+let isRunning = false;
+const SCHEDULER_INTERVAL_MS = 30 * 1000; // Check deadlines every 30 seconds
+const MAX_POLLS_PER_RUN = 50; // Limit number of polls processed in each run
+
+/**
+ * Setup the scheduler that posts scheduled and recurring polls, reminds mentioned users who haven't voted
+ * and closes polls once their deadline passes.
+ * Messages due within the quiet hours of a chat are deferred until the quiet hours end.
+ * Due times are stored in MongoDB (ScheduledPoll.postAt, RecurringPoll.nextRunAt, Poll.closesAt), so the scheduler
+ * picks up everything that became due while the bot was offline on its first run.
+ * @param {Object} bot - Telegraf bot instance
+ */
+const setupPollScheduler = (bot) => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+  }
+
+  logger.info('Starting poll scheduler');
+
+  schedulerInterval = setInterval(async () => {
+    try {
+      await runScheduledTasks(bot);
+    } catch (error) {
+      logger.error('Error in poll scheduler:', error);
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  // Run immediately on startup to catch up on missed deadlines
+  setTimeout(async () => {
+    try {
+      await runScheduledTasks(bot);
+    } catch (error) {
+      logger.error('Error in initial poll scheduler run:', error);
+    }
+  }, 5000); // Wait 5 seconds after startup
+};
+
+/**
+ * Run all scheduled tasks once
+ * @param {Object} bot - Telegraf bot instance
+ */
+const runScheduledTasks = async (bot) => {
+  // Only process if connected to database
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn('Database not connected, skipping scheduled tasks');
+    return;
+  }
+
+  // Skip if bot is not provided
+  if (!bot || !bot.telegram) {
+    logger.warn('Bot not initialized, skipping scheduled tasks');
+    return;
+  }
+
+  // Runs can overlap when Telegram is slow, don't post the same poll twice
+  if (isRunning) {
+    logger.debug('Previous scheduler run still in progress, skipping');
+    return;
+  }
+
+  isRunning = true;
+  try {
+    await postScheduledPolls(bot);
+    await postRecurringPolls(bot);
+    await sendPollReminders(bot);
+    await closeExpiredPolls(bot);
+    await announceDeferredResults(bot);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Post all scheduled polls whose posting time has come
+ * @param {Object} bot - Telegraf bot instance
+ */
+const postScheduledPolls = async (bot) => {
+  const duePolls = await ScheduledPoll.find({
+    status: 'pending',
+    postAt: { $lte: new Date() }
+  }).sort({ postAt: 1 }).limit(MAX_POLLS_PER_RUN);
+
+  if (duePolls.length === 0) {
+    return;
+  }
+
+  logger.debug(`Found ${duePolls.length} scheduled polls to post`);
+
+  for (const scheduledPoll of duePolls) {
+    // Don't post during the chat's quiet hours
+    const allowedAt = await getAllowedSendTime(scheduledPoll.chatId);
+    if (allowedAt > new Date()) {
+      await ScheduledPoll.updateOne(
+        { _id: scheduledPoll._id, status: 'pending', updatedAt: scheduledPoll.updatedAt },
+        { postAt: allowedAt }
+      );
+      logger.debug(`Scheduled poll ${scheduledPoll._id} deferred to ${allowedAt.toISOString()} by quiet hours`);
+      continue;
+    }
+
+    // Claim the poll first so it is never posted twice, even if it was edited meanwhile
+    const claimed = await ScheduledPoll.updateOne(
+      { _id: scheduledPoll._id, status: 'pending', updatedAt: scheduledPoll.updatedAt },
+      { status: 'posted', postedAt: new Date() }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    try {
+      const definition = scheduledPoll.toPollDefinition();
+
+      // A deadline that passed while the bot was offline would close the poll right away
+      if (definition.closesAt && definition.closesAt <= new Date()) {
+        definition.closesAt = null;
+      }
+
+      const { poll } = await publishPoll(bot.telegram, definition);
+
+      await ScheduledPoll.updateOne({ _id: scheduledPoll._id }, { postedPollId: poll._id });
+      logger.info(`Scheduled poll ${scheduledPoll._id} posted in chat ${scheduledPoll.chatId}`);
+    } catch (error) {
+      logger.error(`Error posting scheduled poll ${scheduledPoll._id}:`, error);
+      await ScheduledPoll.updateOne(
+        { _id: scheduledPoll._id },
+        { status: 'failed', error: error.description || error.message }
+      );
+    }
+  }
+};
+
+/**
+ * Post a new poll for every active recurring poll whose next run has come
+ * @param {Object} bot - Telegraf bot instance
+ */
+const postRecurringPolls = async (bot) => {
+  const now = new Date();
+  const duePolls = await RecurringPoll.find({
+    isPaused: false,
+    nextRunAt: { $ne: null, $lte: now }
+  }).sort({ nextRunAt: 1 }).limit(MAX_POLLS_PER_RUN);
+
+  if (duePolls.length === 0) {
+    return;
+  }
+
+  logger.debug(`Found ${duePolls.length} recurring polls to post`);
+
+  for (const recurringPoll of duePolls) {
+    // Don't post during the chat's quiet hours
+    const allowedAt = await getAllowedSendTime(recurringPoll.chatId, now);
+    if (allowedAt > now) {
+      await RecurringPoll.updateOne(
+        { _id: recurringPoll._id, isPaused: false, nextRunAt: recurringPoll.nextRunAt },
+        { nextRunAt: allowedAt }
+      );
+      logger.debug(`Recurring poll ${recurringPoll._id} deferred to ${allowedAt.toISOString()} by quiet hours`);
+      continue;
+    }
+
+    // Runs missed while the bot was offline are skipped, only the latest one is posted
+    const nextRunAt = getNextRun(recurringPoll.rule, now, await getChatTimeZone(recurringPoll.chatId));
+
+    // Move to the next run first so the same run is never posted twice
+    const claimed = await RecurringPoll.updateOne(
+      { _id: recurringPoll._id, isPaused: false, nextRunAt: recurringPoll.nextRunAt },
+      { nextRunAt, lastRunAt: now, $inc: { runCount: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    try {
+      await publishPoll(bot.telegram, recurringPoll.toPollDefinition(now));
+      logger.info(`Recurring poll ${recurringPoll._id} posted in chat ${recurringPoll.chatId}`);
+    } catch (error) {
+      logger.error(`Error posting recurring poll ${recurringPoll._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Remind mentioned users who haven't voted in polls whose next reminder is due
+ * @param {Object} bot - Telegraf bot instance
+ */
+const sendPollReminders = async (bot) => {
+  const now = new Date();
+  const polls = await Poll.find({
+    isClosed: false,
+    $or: [
+      { nextReminderAt: { $ne: null, $lte: now } },
+      // Polls posted before reminders were scheduled ahead
+      { remindEvery: { $ne: null }, nextReminderAt: { $exists: false } }
+    ]
+  }).sort({ nextReminderAt: 1 }).limit(MAX_POLLS_PER_RUN);
+
+  for (const poll of polls) {
+    if (!poll.nextReminderAt) {
+      await Poll.updateOne({ _id: poll._id }, { nextReminderAt: poll.getNextReminderAt() });
+      continue;
+    }
+
+    // Polls that close before the next run are closed below, no point in reminding
+    if (poll.closesAt && poll.closesAt <= now) {
+      continue;
+    }
+
+    // Don't remind during the chat's quiet hours
+    const allowedAt = await getAllowedSendTime(poll.chatId, now);
+    if (allowedAt > now) {
+      await Poll.updateOne(
+        { _id: poll._id, nextReminderAt: poll.nextReminderAt },
+        { nextReminderAt: allowedAt }
+      );
+      continue;
+    }
+
+    // Everyone may have voted since the reminder was scheduled
+    const nextReminderAt = poll.getNextReminderAt(now);
+
+    // Claim the reminder first so it is never sent twice
+    const claimed = await Poll.updateOne(
+      { _id: poll._id, nextReminderAt: poll.nextReminderAt },
+      { lastRemindedAt: now, nextReminderAt }
+    );
+    if (claimed.modifiedCount === 0 || poll.allMentionsVoted()) {
+      continue;
+    }
+
+    try {
+      const sent = await sendReminder(bot.telegram, poll);
+      if (sent) {
+        await Poll.updateOne({ _id: poll._id }, { $inc: { reminderCount: 1 } });
+      } else {
+        // Only mentions that can never vote are left
+        await Poll.updateOne({ _id: poll._id }, { nextReminderAt: null });
+      }
+    } catch (error) {
+      logger.error(`Error sending reminder for poll ${poll._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Close all open polls whose deadline has passed
+ * @param {Object} bot - Telegraf bot instance
+ */
+const closeExpiredPolls = async (bot) => {
+  const expiredPolls = await Poll.find({
+    isClosed: false,
+    closesAt: { $ne: null, $lte: new Date() }
+  }).sort({ closesAt: 1 }).limit(MAX_POLLS_PER_RUN);
+
+  if (expiredPolls.length === 0) {
+    return;
+  }
+
+  logger.debug(`Found ${expiredPolls.length} polls past their deadline`);
+
+  for (const poll of expiredPolls) {
+    try {
+      // Voting ends at the deadline, but the results wait for the end of the chat's quiet hours
+      const announceAt = await getAllowedSendTime(poll.chatId);
+      await closePoll(bot.telegram, poll, { reason: 'close.deadlineReached', announceAt });
+    } catch (error) {
+      logger.error(`Error closing poll ${poll._id} at deadline:`, error);
+    }
+  }
+};
+
+/**
+ * Post the results of polls closed during quiet hours once the quiet hours are over
+ * @param {Object} bot - Telegraf bot instance
+ */
+const announceDeferredResults = async (bot) => {
+  const polls = await Poll.find({
+    isClosed: true,
+    resultsAnnounceAt: { $ne: null, $lte: new Date() }
+  }).sort({ resultsAnnounceAt: 1 }).limit(MAX_POLLS_PER_RUN);
+
+  for (const poll of polls) {
+    // Claim the announcement first so it is never posted twice
+    const claimed = await Poll.updateOne(
+      { _id: poll._id, resultsAnnounceAt: poll.resultsAnnounceAt },
+      { resultsAnnounceAt: null }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    await announceResults(bot.telegram, poll, poll.closeReason);
+  }
+};
+
+/**
+ * Stop the poll scheduler
+ */
+const stopPollScheduler = () => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    logger.info('Poll scheduler stopped');
+  }
+};
+
+module.exports = {
+  setupPollScheduler,
+  stopPollScheduler,
+  runScheduledTasks
+};
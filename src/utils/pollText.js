@@ -0,0 +1,63 @@
+/**
+ * Parsing polls written as text ("Title | Option 1 | Option 2 --multi")
+ * @module utils/pollText
+ */
+
+const { parsePollFlags } = require('./pollFlags');
+
+// Telegram limit for the number of poll options
+const MAX_OPTIONS = 10;
+
+/**
+ * Parse a poll written as "Title | Option 1 | Option 2 | ..." followed by optional flags
+ * An option prefixed with * marks the correct answer and turns the poll into a quiz,
+ * so does the --quiz=N flag. See utils/pollFlags for the other flags.
+ * @param {string} text - Poll text
+ * @param {Date} [now] - Reference time for deadlines
+ * @param {string} [timeZone] - Time zone deadlines are given in, the server time zone if omitted
+ * @returns {Object} Parsed poll ({ title, options, correctOptionId, isQuiz, isMultipleChoice, flags })
+ *   or { error: { key, token } } pointing at the bad token
+ */
+const parsePollText = (text, now = new Date(), timeZone = undefined) => {
+  const { text: pollText, flags, error } = parsePollFlags(text, now, timeZone);
+  if (error) {
+    return { error };
+  }
+
+  const parts = pollText.split('|').map(part => part.trim());
+  const title = parts[0];
+
+  // An option prefixed with * marks the correct answer and turns the poll into a quiz
+  let correctOptionId = null;
+  const options = parts.slice(1).map((option, index) => {
+    if (option.startsWith('*')) {
+      if (correctOptionId === null) {
+        correctOptionId = index;
+      }
+      return option.substring(1).trim();
+    }
+    return option;
+  });
+
+  // --quiz=N takes precedence over the * marker
+  if (flags.quiz !== null) {
+    if (flags.quiz > options.length) {
+      return { error: { key: 'poll.flags.quizOutOfRange', token: `--quiz=${flags.quiz}` } };
+    }
+    correctOptionId = flags.quiz - 1;
+  }
+
+  return {
+    title,
+    options,
+    correctOptionId,
+    isQuiz: correctOptionId !== null,
+    isMultipleChoice: flags.multi,
+    flags
+  };
+};
+
+module.exports = {
+  MAX_OPTIONS,
+  parsePollText
+};
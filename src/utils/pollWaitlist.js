@@ -0,0 +1,114 @@
+/**
+ * Waitlists of poll options with a limited number of seats
+ * @module utils/pollWaitlist
+ */
+
+const { createTranslator, DEFAULT_LOCALE } = require('./i18n');
+const { escapeMarkdown, formatMention } = require('./mentions');
+const { getUserProfiles } = require('./userDirectory');
+const logger = require('./logger');
+
+/**
+ * Compare the waitlists of a poll before and after a vote
+ * @param {Object} poll - Poll document with the latest votes
+ * @param {Array<Array<Number>>} previousWaitlists - Waitlists returned by Poll#getWaitlists before the vote
+ * @returns {Object} { waitlisted, promoted }, each a list of { userId, optionIndex, position }
+ */
+const getWaitlistChanges = (poll, previousWaitlists) => {
+  const waitlisted = [];
+  const promoted = [];
+
+  poll.options.forEach((option, optionIndex) => {
+    if (!option.capacity) return;
+
+    const before = previousWaitlists[optionIndex] || [];
+    const seats = poll.getOptionSeats(optionIndex);
+
+    seats.waitlisted.forEach((userId, index) => {
+      if (!before.includes(userId)) {
+        waitlisted.push({ userId, optionIndex, position: index + 1 });
+      }
+    });
+
+    // Someone took their vote back and freed a seat
+    seats.confirmed.forEach(userId => {
+      if (before.includes(userId)) {
+        promoted.push({ userId, optionIndex, position: 0 });
+      }
+    });
+  });
+
+  return { waitlisted, promoted };
+};
+
+/**
+ * Tell a user about their seat, in a private message or, if the bot can't write to them, in a reply to the poll
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Number} userId - Telegram user ID
+ * @param {string} privateText - Plain text private message
+ * @param {string} chatText - Markdown reply to the poll
+ */
+const notifyUser = async (telegram, poll, userId, privateText, chatText) => {
+  try {
+    await telegram.sendMessage(userId, privateText);
+    return;
+  } catch (error) {
+    // Users who never started the bot can't get private messages
+    logger.debug(`Could not message user ${userId} about the waitlist of poll ${poll._id}: ${error.message}`);
+  }
+
+  try {
+    await telegram.sendMessage(poll.chatId, chatText, {
+      reply_to_message_id: poll.messageId,
+      allow_sending_without_reply: true,
+      parse_mode: 'Markdown'
+    });
+  } catch (error) {
+    logger.error(`Could not post waitlist update of poll ${poll._id}:`, error);
+  }
+};
+
+/**
+ * Tell users who were waitlisted or got a seat after a vote
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Object} poll - Poll document
+ * @param {Object} changes - Changes returned by getWaitlistChanges
+ * @returns {Promise<Number>} Number of users notified
+ */
+const notifyWaitlistChanges = async (telegram, poll, { waitlisted, promoted }) => {
+  const changes = [
+    ...waitlisted.map(change => ({ ...change, key: 'waitlisted' })),
+    ...promoted.map(change => ({ ...change, key: 'promoted' }))
+  ];
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const t = createTranslator(poll.locale || DEFAULT_LOCALE);
+  const profiles = await getUserProfiles(telegram, poll.chatId, changes.map(change => change.userId));
+
+  for (const { userId, optionIndex, position, key } of changes) {
+    const option = poll.options[optionIndex].text;
+    const mention = formatMention({ userId, username: profiles.get(userId)?.username });
+
+    await notifyUser(
+      telegram,
+      poll,
+      userId,
+      t(`waitlist.${key}Private`, { option, title: poll.title, position }),
+      t(`waitlist.${key}Chat`, { mention, option: escapeMarkdown(option), position })
+    );
+  }
+
+  logger.info(`Waitlist of poll ${poll._id} changed`, {
+    waitlisted: waitlisted.length,
+    promoted: promoted.length
+  });
+  return changes.length;
+};
+
+module.exports = {
+  getWaitlistChanges,
+  notifyWaitlistChanges
+};
@@ -187,61 +187,10 @@ let skippedCount = 0;
         logger.debug(`Updated total voter count for poll ${poll._id} from ${poll.total_voter_count} to ${telegramPoll.total_voter_count}`);
       }
 
-      // Update option-specific vote counts
-      if (telegramPoll.options && Array.isArray(telegramPoll.options)) {
-        for (let i = 0; i < telegramPoll.options.length && i < poll.options.length; i++) {
-          const telegramOption = telegramPoll.options[i];
-          const pollOption = poll.options[i];
-
-          if (telegramOption && typeof telegramOption.voter_count === 'number') {
-            const newVoterCount = telegramOption.voter_count;
-            const currentExistingVotes = pollOption.existingVotes || 0;
-
-            // Validate the vote counts
-            if (newVoterCount < 0 || newVoterCount > 10000) {
-              logger.warn(`Suspicious vote count for poll ${poll._id}, option ${i}: ${newVoterCount}`);
-              continue;
-            }
-
-            // Only update if the count increased
-            if (newVoterCount > currentExistingVotes) {
-              const newVotes = newVoterCount - currentExistingVotes;
-
-              // Get the starting placeholder ID for this option
-              // Use negative IDs starting from a base specific to this option
-              const baseId = -1000000 * (i + 1);
-              
-              // Find the lowest existing placeholder ID
-              // Get negative IDs that are in the range for this option
-              const negativeIds = Array.isArray(pollOption.voterIds) 
-                ? pollOption.voterIds.filter(id => id < 0 && id >= baseId)
-                : [];
-          
-              // Safely get the lowest ID or use default
-              const lowestExistingId = negativeIds.length > 0 
-                ? Math.min(...negativeIds) - 1 
-                : baseId - 1;
-
-              // Create placeholder IDs for new votes
-              const placeholderIds = Array.from(
-                { length: newVotes },
-                (_, idx) => lowestExistingId - idx
-              );
-
-              // Add placeholder IDs to the option
-              pollOption.voterIds = [...pollOption.voterIds, ...placeholderIds];
-              pollOption.existingVotes = newVoterCount;
-              hasChanges = true;
-
-              logger.debug(`Updated option "${pollOption.text}" with ${newVotes} new votes`, {
-                pollId: poll._id,
-                optionIndex: i,
-                oldCount: currentExistingVotes,
-                newCount: newVoterCount
-              });
-            }
-          }
-        }
+      // Update option-specific vote counts, votes we have no poll_answer for stay unattributed
+      if (Array.isArray(telegramPoll.options) && poll.reconcileVoteCounts(telegramPoll.options) > 0) {
+        hasChanges = true;
+        logger.debug(`Updated option vote counts for poll ${poll._id}`);
       }
 
       // Save poll if changed
@@ -0,0 +1,222 @@
+/**
+ * Recurrence rules for repeating polls
+ * @module utils/recurrence
+ */
+
+const { MINUTE_MS, getZonedParts, fromZonedParts } = require('./time');
+
+// Weekday names accepted in weekly rules (0 = Sunday, as in Date#getDay and cron)
+const WEEKDAYS = {
+  sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6,
+  вс: 0, пн: 1, вт: 2, ср: 3, чт: 4, пт: 5, сб: 6
+};
+
+// Days to search ahead for the next run of a cron rule
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Parse a single cron field such as "*", "5", "1-5", "*\/15" or "1,3,5"
+ * @param {string} field - Cron field
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {Array<number>|null} Sorted allowed values or null if the field is invalid
+ */
+const parseCronField = (field, min, max) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = parseInt(match[2], 10);
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (from < min || to > max || from > to || step < 1) return null;
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+};
+
+/**
+ * Parse a five-field cron expression "minute hour day-of-month month day-of-week"
+ * @param {string} expression - Cron expression
+ * @returns {Object|null} Allowed values per field or null if the expression is invalid
+ */
+const parseCron = (expression) => {
+  const fields = (expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const minutes = parseCronField(fields[0], 0, 59);
+  const hours = parseCronField(fields[1], 0, 23);
+  const days = parseCronField(fields[2], 1, 31);
+  const months = parseCronField(fields[3], 1, 12);
+  // Both 0 and 7 mean Sunday
+  const weekdays = parseCronField(fields[4], 0, 7);
+
+  if (!minutes || !hours || !days || !months || !weekdays) return null;
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays: [...new Set(weekdays.map(day => day % 7))],
+    // Like cron, when both day fields are restricted either of them may match
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+};
+
+/**
+ * Parse a recurrence rule entered by a user
+ * Supported formats: "daily 09:00", "weekly mon,thu 18:00" and "cron 0 9 * * 1-5".
+ * @param {string} text - Rule text
+ * @returns {Object|null} Rule ({ kind, time, weekdays, cron }) or null if the text is not a rule
+ */
+const parseRecurrenceRule = (text) => {
+  const value = (text || '').trim().toLowerCase();
+  let match;
+
+  if ((match = value.match(/^(?:daily|ежедневно)\s+(\d{1,2}):(\d{2})$/))) {
+    if (parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return null;
+    return { kind: 'daily', time: formatTime(match[1], match[2]), weekdays: [], cron: null };
+  }
+
+  if ((match = value.match(/^(?:weekly|еженедельно)\s+([a-zа-я,\s]+?)\s+(\d{1,2}):(\d{2})$/))) {
+    if (parseInt(match[2], 10) > 23 || parseInt(match[3], 10) > 59) return null;
+
+    const weekdays = [];
+    for (const name of match[1].split(/[,\s]+/).filter(Boolean)) {
+      const day = WEEKDAYS[name.substring(0, 3)] ?? WEEKDAYS[name.substring(0, 2)];
+      if (day === undefined) return null;
+      if (!weekdays.includes(day)) weekdays.push(day);
+    }
+
+    return {
+      kind: 'weekly',
+      time: formatTime(match[2], match[3]),
+      weekdays: weekdays.sort((a, b) => a - b),
+      cron: null
+    };
+  }
+
+  if ((match = value.match(/^cron\s+(.+)$/))) {
+    const cron = match[1].trim().split(/\s+/).join(' ');
+    return parseCron(cron) ? { kind: 'cron', time: null, weekdays: [], cron } : null;
+  }
+
+  return null;
+};
+
+/**
+ * Format hours and minutes as HH:MM
+ * @param {string|number} hours - Hours
+ * @param {string|number} minutes - Minutes
+ * @returns {string} Time string
+ */
+const formatTime = (hours, minutes) => {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Convert a rule to the cron fields used to search for runs
+ * @param {Object} rule - Recurrence rule
+ * @returns {Object|null} Parsed cron fields
+ */
+const ruleToCron = (rule) => {
+  if (rule.kind === 'cron') {
+    return parseCron(rule.cron);
+  }
+
+  const [hours, minutes] = rule.time.split(':');
+  const weekdays = rule.kind === 'weekly' && rule.weekdays.length > 0
+    ? rule.weekdays.join(',')
+    : '*';
+
+  return parseCron(`${parseInt(minutes, 10)} ${parseInt(hours, 10)} * * ${weekdays}`);
+};
+
+/**
+ * Get the next time a rule fires strictly after the given date
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} [after] - Reference time
+ * @param {string} [timeZone] - Time zone the rule is given in, the server time zone if omitted
+ * @returns {Date|null} Next run or null if the rule never fires
+ */
+const getNextRun = (rule, after = new Date(), timeZone = undefined) => {
+  const cron = ruleToCron(rule);
+  if (!cron) return null;
+
+  // Start from the next whole minute
+  const start = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const today = getZonedParts(start, timeZone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    // Calendar arithmetic only, the day is not a moment in time
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+
+    if (!cron.months.includes(day.getUTCMonth() + 1)) continue;
+
+    const dayMatches = cron.days.includes(day.getUTCDate());
+    const weekdayMatches = cron.weekdays.includes(day.getUTCDay());
+    let matches;
+    if (cron.anyDay || cron.anyWeekday) {
+      matches = dayMatches && weekdayMatches;
+    } else {
+      matches = dayMatches || weekdayMatches;
+    }
+    if (!matches) continue;
+
+    for (const hours of cron.hours) {
+      for (const minutes of cron.minutes) {
+        const run = fromZonedParts({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          hours,
+          minutes
+        }, timeZone);
+        if (run >= start) {
+          return run;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe a rule for display in messages
+ * @param {Object} rule - Recurrence rule
+ * @param {Function} t - Translator function
+ * @returns {string} Rule description
+ */
+const describeRule = (rule, t) => {
+  if (rule.kind === 'daily') {
+    return t('recurring.ruleDaily', { time: rule.time });
+  }
+
+  if (rule.kind === 'weekly') {
+    const days = rule.weekdays.map(day => t(`recurring.weekdays.${day}`)).join(', ');
+    return t('recurring.ruleWeekly', { days, time: rule.time });
+  }
+
+  return t('recurring.ruleCron', { cron: rule.cron });
+};
+
+module.exports = {
+  parseCron,
+  parseRecurrenceRule,
+  getNextRun,
+  describeRule
+};
@@ -0,0 +1,299 @@
+/**
+ * Time parsing and formatting helpers
+ * @module utils/time
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Units accepted in relative durations (English and Russian abbreviations)
+const DURATION_UNITS = {
+  m: MINUTE_MS,
+  min: MINUTE_MS,
+  м: MINUTE_MS,
+  мин: MINUTE_MS,
+  h: HOUR_MS,
+  ч: HOUR_MS,
+  d: DAY_MS,
+  д: DAY_MS,
+  w: 7 * DAY_MS,
+  н: 7 * DAY_MS
+};
+
+/**
+ * Parse a relative duration such as "30m", "2h", "1d" or "1h30m"
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in milliseconds or null if the text is not a duration
+ */
+const parseDuration = (text) => {
+  if (!text) return null;
+
+  const normalized = text.trim().toLowerCase().replace(/^(\+|in\s+|через\s+)/, '').replace(/\s+/g, '');
+  if (!normalized) return null;
+
+  const partRegex = /(\d+)([a-zа-я]+)/gy;
+  let total = 0;
+  let consumed = 0;
+  let match;
+
+  while ((match = partRegex.exec(normalized)) !== null) {
+    const unit = DURATION_UNITS[match[2]];
+    if (!unit) return null;
+    total += parseInt(match[1], 10) * unit;
+    consumed = partRegex.lastIndex;
+  }
+
+  if (consumed !== normalized.length || total <= 0) {
+    return null;
+  }
+
+  return total;
+};
+
+/**
+ * Check whether a time zone name is known, e.g. "Europe/Moscow"
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} Whether the time zone can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar date and wall clock time of a moment in a time zone
+ * @param {Date} date - Moment in time
+ * @param {string} [timeZone] - IANA time zone name, the server time zone if omitted
+ * @returns {Object} { year, month, day, hours, minutes, seconds }, months start at 1
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hours: date.getHours(),
+      minutes: date.getMinutes(),
+      seconds: date.getSeconds()
+    };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+};
+
+/**
+ * Get the moment a calendar date and wall clock time stand for in a time zone
+ * Days and hours out of range roll over, like in the Date constructor.
+ * @param {Object} parts - { year, month, day, hours, minutes }, months start at 1
+ * @param {string} [timeZone] - IANA time zone name, the server time zone if omitted
+ * @returns {Date} Moment in time
+ */
+const fromZonedParts = ({ year, month, day, hours = 0, minutes = 0 }, timeZone) => {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const getOffset = (time) => {
+    const zoned = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hours, zoned.minutes, zoned.seconds) -
+      Math.floor(time / 1000) * 1000;
+  };
+
+  // The offset may differ on the other side of a daylight saving switch
+  const offset = getOffset(wallClock);
+  const correctedOffset = getOffset(wallClock - offset);
+  return new Date(wallClock - correctedOffset);
+};
+
+/**
+ * Check a calendar date exists, e.g. not 31.04
+ * @param {number} year - Year
+ * @param {number} month - Month, starting at 1
+ * @param {number} day - Day of the month
+ * @returns {boolean} Whether the date is valid
+ */
+const isValidDate = (year, month, day) => {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day && month >= 1 && month <= 12;
+};
+
+/**
+ * Parse an absolute date and time
+ * Supported formats: "HH:MM", "DD.MM HH:MM", "DD.MM.YYYY HH:MM" and "YYYY-MM-DD HH:MM".
+ * A time without a date means the next occurrence of that time.
+ * @param {string} text - Date text
+ * @param {Date} [now] - Reference time
+ * @param {string} [timeZone] - Time zone the text is given in, the server time zone if omitted
+ * @returns {Date|null} Parsed date or null if the text is not a date
+ */
+const parseDateTime = (text, now = new Date(), timeZone = undefined) => {
+  if (!text) return null;
+
+  const value = text.trim();
+  const today = getZonedParts(now, timeZone);
+  let match;
+
+  // HH:MM
+  if ((match = value.match(/^(\d{1,2}):(\d{2})$/))) {
+    if (!isValidTime(match[1], match[2])) return null;
+
+    const time = { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+    const date = fromZonedParts({ ...today, ...time }, timeZone);
+    return date > now ? date : fromZonedParts({ ...today, day: today.day + 1, ...time }, timeZone);
+  }
+
+  // DD.MM[.YYYY] HH:MM
+  if ((match = value.match(/^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?\s+(\d{1,2}):(\d{2})$/))) {
+    const [, day, month, year, hours, minutes] = match;
+    if (!isValidTime(hours, minutes)) return null;
+
+    const parts = {
+      year: year ? parseInt(year, 10) : today.year,
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hours: parseInt(hours, 10),
+      minutes: parseInt(minutes, 10)
+    };
+
+    // Without a year, a date that already passed means next year
+    if (!year && fromZonedParts(parts, timeZone) <= now) {
+      parts.year += 1;
+    }
+
+    return isValidDate(parts.year, parts.month, parts.day) ? fromZonedParts(parts, timeZone) : null;
+  }
+
+  // YYYY-MM-DD HH:MM
+  if ((match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[\sT]+(\d{1,2}):(\d{2})$/))) {
+    const [, year, month, day, hours, minutes] = match;
+    if (!isValidTime(hours, minutes)) return null;
+
+    const parts = {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hours: parseInt(hours, 10),
+      minutes: parseInt(minutes, 10)
+    };
+
+    return isValidDate(parts.year, parts.month, parts.day) ? fromZonedParts(parts, timeZone) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Check hours and minutes are within range
+ * @param {string} hours - Hours
+ * @param {string} minutes - Minutes
+ * @returns {boolean} Whether the time is valid
+ */
+const isValidTime = (hours, minutes) => {
+  return parseInt(hours, 10) < 24 && parseInt(minutes, 10) < 60;
+};
+
+/**
+ * Parse a deadline given either as a relative duration or an absolute date
+ * @param {string} text - Deadline text ("2h", "1d", "18:00", "25.12 18:00", ...)
+ * @param {Date} [now] - Reference time
+ * @param {string} [timeZone] - Time zone absolute dates are given in, the server time zone if omitted
+ * @returns {Date|null} Deadline in the future or null if the text can't be parsed
+ */
+const parseDeadline = (text, now = new Date(), timeZone = undefined) => {
+  const duration = parseDuration(text);
+  if (duration) {
+    return new Date(now.getTime() + duration);
+  }
+
+  const date = parseDateTime(text, now, timeZone);
+  if (date && date > now) {
+    return date;
+  }
+
+  return null;
+};
+
+/**
+ * Format a date for display in messages
+ * @param {Date} date - Date to format
+ * @param {string} [locale] - Language code
+ * @param {string} [timeZone] - Time zone to show the date in, the server time zone if omitted
+ * @returns {string} Formatted date
+ */
+const formatDateTime = (date, locale = 'en', timeZone = undefined) => {
+  return new Date(date).toLocaleString(locale === 'ru' ? 'ru-RU' : 'en-GB', {
+    timeZone,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Units used when formatting durations, largest first
+const FORMAT_UNITS = {
+  en: [[DAY_MS, 'd'], [HOUR_MS, 'h'], [MINUTE_MS, 'm']],
+  ru: [[DAY_MS, 'д'], [HOUR_MS, 'ч'], [MINUTE_MS, 'м']]
+};
+
+/**
+ * Format a duration the way parseDuration accepts it, e.g. "1d 2h" or "30m"
+ * @param {number} ms - Duration in milliseconds
+ * @param {string} [locale] - Language code
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (ms, locale = 'en') => {
+  const parts = [];
+  let rest = ms;
+
+  for (const [unit, suffix] of FORMAT_UNITS[locale] || FORMAT_UNITS.en) {
+    const count = Math.floor(rest / unit);
+    if (count > 0) {
+      parts.push(`${count}${suffix}`);
+      rest -= count * unit;
+    }
+  }
+
+  return parts.join(' ') || `0${(FORMAT_UNITS[locale] || FORMAT_UNITS.en)[2][1]}`;
+};
+
+module.exports = {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  isValidTimeZone,
+  getZonedParts,
+  fromZonedParts,
+  parseDuration,
+  parseDateTime,
+  parseDeadline,
+  formatDateTime,
+  formatDuration
+};
@@ -0,0 +1,237 @@
+/**
+ * Directory of known Telegram users, so names can be shown without asking the Telegram API
+ * @module utils/userDirectory
+ */
+
+const User = require('../models/User');
+const Poll = require('../models/Poll');
+const { isValidUsername } = require('./mentions');
+const logger = require('./logger');
+
+// Don't touch the database for every update, refresh an unchanged user at most this often
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Last stored profile and time per user in this process
+const lastRecorded = new Map();
+
+// Last time a user was stored as seen in a group chat, keyed by "userId:chatId"
+const lastSeenInChat = new Map();
+
+/**
+ * Get a string that changes whenever the name of a user changes
+ * @param {Object} user - Telegram user object
+ * @returns {string} Profile signature
+ */
+const getProfileSignature = (user) => {
+  return [user.username, user.first_name, user.last_name].join('\u0000');
+};
+
+/**
+ * Store a Telegram user in the directory unless it was stored recently with the same name
+ * @param {Object} user - Telegram user object
+ * @returns {Promise<void>}
+ */
+const recordUser = async (user) => {
+  if (!user || !user.id) return;
+
+  const signature = getProfileSignature(user);
+  const last = lastRecorded.get(user.id);
+  if (last && last.signature === signature && Date.now() - last.at < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  await User.record(user);
+  lastRecorded.set(user.id, { signature, at: Date.now() });
+
+  // Mentions made by username before the user was known can be matched now
+  await Poll.backfillMentions(user);
+};
+
+/**
+ * Remember that a user was seen in a group chat, so the user's groups can be found without checking every chat
+ * @param {Object} user - Telegram user object
+ * @param {Object} chat - Telegram chat object
+ * @returns {Promise<void>}
+ */
+const recordChatMember = async (user, chat) => {
+  if (!user || !user.id || user.is_bot || !chat || !['group', 'supergroup'].includes(chat.type)) return;
+
+  const key = `${user.id}:${chat.id}`;
+  if (Date.now() - (lastSeenInChat.get(key) || 0) < REFRESH_INTERVAL_MS) {
+    return;
+  }
+
+  await User.addChat(user.id, chat.id);
+  lastSeenInChat.set(key, Date.now());
+};
+
+/**
+ * Forget a group chat a user left
+ * @param {Object} user - Telegram user object
+ * @param {Number} chatId - Telegram chat ID
+ * @returns {Promise<void>}
+ */
+const forgetChatMember = async (user, chatId) => {
+  lastSeenInChat.delete(`${user.id}:${chatId}`);
+  await User.removeChat(user.id, chatId);
+};
+
+/**
+ * Middleware that keeps the user directory up to date
+ * Stores the user of every update that carries one (messages, callback queries, poll answers, ...)
+ * and the author of the message replied to, and the group chats they were seen in.
+ * @param {import('telegraf').Context} ctx - Telegraf context
+ * @param {Function} next - Next middleware function
+ */
+const userDirectoryMiddleware = async (ctx, next) => {
+  try {
+    await recordUser(ctx.from);
+    await recordChatMember(ctx.from, ctx.chat);
+
+    const leftMember = ctx.message?.left_chat_member;
+    if (leftMember) {
+      await forgetChatMember(leftMember, ctx.chat.id);
+    }
+
+    const repliedFrom = ctx.message?.reply_to_message?.from;
+    if (repliedFrom && repliedFrom.id !== ctx.from?.id) {
+      await recordUser(repliedFrom);
+    }
+  } catch (error) {
+    logger.warn('Could not update user directory:', error);
+  }
+
+  return await next();
+};
+
+/**
+ * Convert a Telegram user object to a profile
+ * @param {Object} user - Telegram user object
+ * @returns {Object} Profile with userId, username, firstName and lastName
+ */
+const toProfile = (user) => ({
+  userId: user.id,
+  username: user.username || null,
+  firstName: user.first_name || null,
+  lastName: user.last_name || null
+});
+
+/**
+ * Get the profiles of users, from the directory first and from the Telegram API for unknown users
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Number} chatId - Chat the users are looked up in when they are unknown
+ * @param {Array<Number>} userIds - Telegram user IDs
+ * @returns {Promise<Map>} Profiles keyed by user ID, users that can't be found are missing
+ */
+const getUserProfiles = async (telegram, chatId, userIds) => {
+  const profiles = new Map();
+  if (userIds.length === 0) {
+    return profiles;
+  }
+
+  const known = await User.findByIds(userIds);
+  known.forEach((user, userId) => {
+    profiles.set(userId, {
+      userId,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName
+    });
+  });
+
+  for (const userId of userIds) {
+    if (profiles.has(userId)) continue;
+
+    try {
+      const chatMember = await telegram.getChatMember(chatId, userId);
+      if (chatMember?.user) {
+        profiles.set(userId, toProfile(chatMember.user));
+        await recordUser(chatMember.user);
+      }
+    } catch (error) {
+      logger.debug(`Could not get chat member ${userId} in chat ${chatId}: ${error.message}`);
+    }
+  }
+
+  return profiles;
+};
+
+/**
+ * Resolve mentions given only by username to the users they refer to
+ * Usernames are matched case-insensitively against the users the bot has seen. Mentions of unknown
+ * users stay pending and are matched once the user votes or writes in the chat. When a Telegram
+ * client is given, mentions that can never be matched are flagged with an unresolvedReason.
+ * @param {Array} mentions - Poll mentions
+ * @param {import('telegraf').Telegram} [telegram] - Telegram API client
+ * @param {Number} [chatId] - Chat the poll is posted in
+ * @returns {Promise<Array>} The same mentions with resolved user IDs
+ */
+const resolveMentions = async (mentions, telegram = null, chatId = null) => {
+  // Older mentions carry a negative placeholder instead of a user ID
+  mentions.forEach(mention => {
+    if (!(mention.userId > 0)) {
+      mention.userId = null;
+    }
+  });
+
+  const unresolved = mentions.filter(mention => mention.username && !mention.userId);
+  if (unresolved.length > 0) {
+    const users = await User.findByUsernames(unresolved.map(mention => mention.username));
+    unresolved.forEach(mention => {
+      const user = users.get(mention.username.toLowerCase());
+      if (user) {
+        mention.userId = user.userId;
+        mention.firstName = mention.firstName || user.firstName;
+        mention.lastName = mention.lastName || user.lastName;
+      }
+    });
+  }
+
+  if (!telegram || !chatId) {
+    return mentions;
+  }
+
+  for (const mention of mentions) {
+    mention.unresolvedReason = await getUnresolvedReason(telegram, chatId, mention);
+  }
+
+  return mentions;
+};
+
+/**
+ * Find out why a mention can't be matched to a voter
+ * Bots can't look users up by username, so a username the bot has never seen and Telegram doesn't
+ * know as a public chat is flagged as unknownUser. It may still be a real user who hasn't voted or
+ * written in the chat yet; the flag is cleared once they do. Other API errors leave the mention pending.
+ * @param {import('telegraf').Telegram} telegram - Telegram API client
+ * @param {Number} chatId - Chat the poll is posted in
+ * @param {Object} mention - Poll mention
+ * @returns {Promise<string|null>} Reason or null if the mention can be matched
+ */
+const getUnresolvedReason = async (telegram, chatId, mention) => {
+  try {
+    if (mention.userId) {
+      const chatMember = await telegram.getChatMember(chatId, mention.userId);
+      return ['left', 'kicked'].includes(chatMember?.status) ? 'notMember' : null;
+    }
+
+    if (!isValidUsername(mention.username)) {
+      return 'invalidUsername';
+    }
+
+    // Bots can only look up public chats and channels by username, not users
+    const chat = await telegram.getChat(`@${mention.username}`);
+    return chat && chat.type !== 'private' ? 'notUser' : null;
+  } catch (error) {
+    logger.debug(`Could not check mention ${mention.username || mention.userId} in chat ${chatId}: ${error.message}`);
+    // "Chat not found" for a username missing from the user directory
+    return !mention.userId && error.response?.error_code === 400 ? 'unknownUser' : null;
+  }
+};
+
+module.exports = {
+  recordUser,
+  userDirectoryMiddleware,
+  getUserProfiles,
+  resolveMentions
+};
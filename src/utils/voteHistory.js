@@ -0,0 +1,65 @@
+/**
+ * Formatting the vote history of a poll
+ * @module utils/voteHistory
+ */
+
+const { formatDateTime } = require('./time');
+
+// Markers that make changes and retractions stand out in the history
+const EVENT_ICONS = {
+  vote: '✅',
+  change: '🔄',
+  retract: '↩️'
+};
+
+/**
+ * Get the display name of the user of a vote event
+ * @param {Object} event - Vote event
+ * @returns {string} Display name
+ */
+const formatEventUser = (event) => {
+  if (event.username) {
+    return `@${event.username}`;
+  }
+  const name = [event.firstName, event.lastName].filter(Boolean).join(' ');
+  return name || `User ${event.userId}`;
+};
+
+/**
+ * Format the options of a selection as a quoted list
+ * @param {Object} poll - Poll document
+ * @param {Array<Number>} optionIds - Option indexes
+ * @returns {string} Option texts
+ */
+const formatSelection = (poll, optionIds) => {
+  return optionIds
+    .map(index => `"${poll.options[index]?.text ?? `#${index + 1}`}"`)
+    .join(', ');
+};
+
+/**
+ * Format one vote event as a history line
+ * @param {Object} event - Vote event
+ * @param {Object} poll - Poll document the event belongs to
+ * @param {Function} t - Translator function
+ * @param {string} [locale] - Language code used for the time
+ * @param {string} [timeZone] - Time zone of the poll's chat
+ * @returns {string} History line
+ */
+const formatVoteEvent = (event, poll, t, locale = 'en', timeZone = undefined) => {
+  const previous = formatSelection(poll, event.previousOptionIds || []);
+  const current = formatSelection(poll, event.optionIds || []);
+
+  return t(`history.${event.type}`, {
+    icon: EVENT_ICONS[event.type],
+    time: formatDateTime(event.createdAt, locale, timeZone),
+    user: formatEventUser(event),
+    previous,
+    current
+  });
+};
+
+module.exports = {
+  formatEventUser,
+  formatVoteEvent
+};
@@ -0,0 +1,94 @@
+/**
+ * Combining the voters of several polls with set operations
+ * @module utils/voterSets
+ */
+
+const Poll = require('../models/Poll');
+
+// Operations a term can be combined with, the first term is always taken as is
+const SET_OPERATIONS = ['union', 'intersect', 'difference'];
+
+// Symbols used when describing a combination
+const OPERATION_SYMBOLS = {
+  union: '∪',
+  intersect: '∩',
+  difference: '∖'
+};
+
+/**
+ * Get the voters of a poll or of one of its options
+ * @param {Object} poll - Poll document
+ * @param {Number|null} optionIndex - Option index or null for everyone who voted
+ * @returns {Array<Number>} Telegram user IDs, unattributed votes are not included
+ */
+const getTermVoterIds = (poll, optionIndex) => {
+  if (optionIndex === null || optionIndex === undefined) {
+    return poll.getUniqueVoterIds();
+  }
+
+  return [...(poll.options[optionIndex]?.voterIds || [])];
+};
+
+/**
+ * Combine sets of voters from left to right
+ * @param {Array<Object>} sets - Sets as { operation, voterIds }
+ * @returns {Array<Number>} Telegram user IDs in the result
+ */
+const combineVoterSets = (sets) => {
+  let result = new Set();
+
+  sets.forEach((set, index) => {
+    const voterIds = new Set(set.voterIds);
+
+    if (index === 0 || set.operation === 'union') {
+      voterIds.forEach(id => result.add(id));
+    } else if (set.operation === 'intersect') {
+      result = new Set([...result].filter(id => voterIds.has(id)));
+    } else if (set.operation === 'difference') {
+      result = new Set([...result].filter(id => !voterIds.has(id)));
+    }
+  });
+
+  return [...result];
+};
+
+/**
+ * Load the polls of a combination and compute its voters
+ * @param {Array<Object>} terms - Terms as { operation, pollId, optionIndex }
+ * @returns {Promise<Object>} { voterIds, polls } where polls maps poll IDs to documents
+ */
+const buildVoterSet = async (terms) => {
+  const pollIds = [...new Set(terms.map(term => term.pollId))];
+  const polls = new Map(
+    (await Poll.find({ _id: { $in: pollIds } })).map(poll => [poll._id.toString(), poll])
+  );
+
+  // Terms whose poll was deleted count as empty sets
+  const voterIds = combineVoterSets(terms.map(term => ({
+    operation: term.operation,
+    voterIds: polls.has(term.pollId) ? getTermVoterIds(polls.get(term.pollId), term.optionIndex) : []
+  })));
+
+  return { voterIds, polls };
+};
+
+/**
+ * Describe a combination, e.g. "Lunch: Yes" ∩ "Dinner: Yes"
+ * @param {Array<Object>} terms - Terms as { operation, title, optionText }
+ * @param {string} anyOptionLabel - Label used for terms without an option
+ * @returns {string} Description
+ */
+const describeVoterSet = (terms, anyOptionLabel) => {
+  return terms.map((term, index) => {
+    const label = `"${term.title}: ${term.optionText || anyOptionLabel}"`;
+    return index === 0 ? label : `${OPERATION_SYMBOLS[term.operation]} ${label}`;
+  }).join(' ');
+};
+
+module.exports = {
+  SET_OPERATIONS,
+  getTermVoterIds,
+  combineVoterSets,
+  buildVoterSet,
+  describeVoterSet
+};
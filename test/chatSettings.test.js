@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuietHours, getNextAllowedTime } = require('../src/utils/chatSettings');
+
+// 22:00-08:00 in minutes after midnight
+const NIGHT = { timezone: 'Europe/Berlin', quietHoursStart: 22 * 60, quietHoursEnd: 8 * 60 };
+
+test('quiet hours are parsed as minutes after midnight', () => {
+  assert.deepStrictEqual(parseQuietHours('22:00-08:00'), { start: 1320, end: 480 });
+  assert.deepStrictEqual(parseQuietHours('13:30 – 14:00'), { start: 810, end: 840 });
+  assert.strictEqual(parseQuietHours('25:00-08:00'), null);
+  assert.strictEqual(parseQuietHours('08:00-08:00'), null);
+});
+
+test('times outside quiet hours are kept', () => {
+  const date = new Date('2026-10-19T10:00:00Z');
+  assert.strictEqual(getNextAllowedTime(NIGHT, date), date);
+  assert.strictEqual(getNextAllowedTime({ ...NIGHT, quietHoursStart: null }, date), date);
+});
+
+test('quiet hours spanning midnight end the next morning', () => {
+  // 23:30 in Berlin (UTC+2 in October)
+  const evening = new Date('2026-10-19T21:30:00Z');
+  assert.deepStrictEqual(getNextAllowedTime(NIGHT, evening), new Date('2026-10-20T06:00:00Z'));
+
+  // 03:00 in Berlin
+  const night = new Date('2026-10-20T01:00:00Z');
+  assert.deepStrictEqual(getNextAllowedTime(NIGHT, night), new Date('2026-10-20T06:00:00Z'));
+});
+
+test('quiet hours within a day end the same day', () => {
+  const lunch = { timezone: 'UTC', quietHoursStart: 12 * 60, quietHoursEnd: 14 * 60 };
+  assert.deepStrictEqual(
+    getNextAllowedTime(lunch, new Date('2026-10-19T12:30:00Z')),
+    new Date('2026-10-19T14:00:00Z')
+  );
+});
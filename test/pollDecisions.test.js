@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDecisionRule } = require('../src/utils/pollDecisions');
+
+test('a percentage is a quorum', () => {
+  assert.deepStrictEqual(parseDecisionRule('60%'), { type: 'quorum', value: 60 });
+  assert.deepStrictEqual(parseDecisionRule(' 100 % '), { type: 'quorum', value: 100 });
+});
+
+test('a number is a vote threshold', () => {
+  assert.deepStrictEqual(parseDecisionRule('5'), { type: 'threshold', value: 5 });
+});
+
+test('values out of range and other text are rejected', () => {
+  for (const text of ['0%', '101%', '0', '-3', 'half', '', null]) {
+    assert.strictEqual(parseDecisionRule(text), null, String(text));
+  }
+});
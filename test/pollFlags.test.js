@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePollFlags } = require('../src/utils/pollFlags');
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+test('flags are read from the end after the last option', () => {
+  const parsed = parsePollFlags('Lunch? | Pizza | Sushi --multi --close=2h', NOW, 'UTC');
+
+  assert.strictEqual(parsed.text, 'Lunch? | Pizza | Sushi');
+  assert.strictEqual(parsed.flags.multi, true);
+  assert.deepStrictEqual(parsed.flags.close, new Date('2026-10-19T12:00:00Z'));
+});
+
+test('titles and options may contain dashes', () => {
+  assert.strictEqual(parsePollFlags('Q | --- | B', NOW).text, 'Q | --- | B');
+  assert.strictEqual(parsePollFlags('Title with --dash | A | B', NOW).text, 'Title with --dash | A | B');
+});
+
+test('whitespace and line breaks of the text are kept', () => {
+  assert.strictEqual(parsePollFlags('Lunch?\n| Pizza  | Sushi --anon', NOW).text, 'Lunch?\n| Pizza  | Sushi');
+});
+
+test('deadlines with a date and a time can be quoted or joined', () => {
+  const expected = new Date('2026-12-25T18:00:00Z');
+
+  assert.deepStrictEqual(parsePollFlags('Q | A | B --close="25.12 18:00"', NOW, 'UTC').flags.close, expected);
+  assert.deepStrictEqual(parsePollFlags('Q | A | B --close=25.12T18:00', NOW, 'UTC').flags.close, expected);
+  assert.deepStrictEqual(parsePollFlags('Q | A | B --close=25.12_18:00', NOW, 'UTC').flags.close, expected);
+});
+
+test('bad flags point at the token', () => {
+  assert.deepStrictEqual(parsePollFlags('Q | A | B --mutli', NOW).error, { key: 'poll.flags.unknown', token: '--mutli' });
+  assert.strictEqual(parsePollFlags('Q | A | B --multi=1', NOW).error.key, 'poll.flags.noValue');
+  assert.strictEqual(parsePollFlags('Q | A | B --close', NOW).error.key, 'poll.flags.valueRequired');
+  assert.strictEqual(parsePollFlags('Q | A | B --remind=1m', NOW).error.key, 'poll.flags.remindTooShort');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Poll = require('../src/models/Poll');
+
+const pollId = new mongoose.Types.ObjectId();
+
+// Stand in for the database: return the stored poll as it was and remember the update.
+// Each test file runs in its own process, so the model is not restored.
+let storedOptions = null;
+let calls = [];
+Poll.findOneAndUpdate = async (filter, update, queryOptions) => {
+  calls.push({ filter, update, queryOptions });
+  return storedOptions && Poll.hydrate({ _id: pollId, chatId: 1, title: 'Dinner', isClosed: false, options: storedOptions });
+};
+
+const stubUpdate = (options) => {
+  storedOptions = options;
+  calls = [];
+  return calls;
+};
+
+test('a vote is pulled from left options and added to selected ones in one update', async () => {
+  const calls = stubUpdate([{ text: 'A', voterIds: [1, 7] }, { text: 'B', voterIds: [2] }]);
+
+  await Poll.applyVote(pollId, 7, [1], 2);
+
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].filter, { _id: pollId, isClosed: false });
+  assert.deepStrictEqual(calls[0].update, {
+    $pull: { 'options.0.voterIds': 7 },
+    $addToSet: { 'options.1.voterIds': 7 }
+  });
+  assert.strictEqual(calls[0].queryOptions.new, false);
+});
+
+test('seats before and after the vote follow from the previous document', async () => {
+  stubUpdate([
+    { text: 'A', capacity: 2, voterIds: [1, 7, 3] },
+    { text: 'B', voterIds: [2] }
+  ]);
+
+  const { previous, poll } = await Poll.applyVote(pollId, 7, [1], 2);
+
+  assert.deepStrictEqual(previous.getWaitlists(), [[3], []]);
+  assert.deepStrictEqual(poll.getWaitlists(), [[], []]);
+  assert.deepStrictEqual(poll.getOptionSeats(0).confirmed, [1, 3]);
+  assert.deepStrictEqual(poll.getUserOptionIds(7), [1]);
+});
+
+test('a kept vote keeps its place and voters are not saved again', async () => {
+  stubUpdate([{ text: 'A', capacity: 1, voterIds: [7, 1] }, { text: 'B', voterIds: [] }]);
+
+  const { poll } = await Poll.applyVote(pollId, 7, [0, 1], 2);
+
+  assert.deepStrictEqual(poll.getOptionSeats(0), { confirmed: [7], waitlisted: [1] });
+  assert.deepStrictEqual(poll.getUserOptionIds(7), [0, 1]);
+  assert.strictEqual(poll.isModified('options'), false);
+});
+
+test('a closed poll records no vote', async () => {
+  stubUpdate(null);
+
+  assert.strictEqual(await Poll.applyVote(pollId, 7, [0], 2), null);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrenceRule, getNextRun } = require('../src/utils/recurrence');
+
+// A Monday
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+test('daily, weekly and cron rules are parsed', () => {
+  assert.deepStrictEqual(parseRecurrenceRule('daily 9:00'), { kind: 'daily', time: '09:00', weekdays: [], cron: null });
+  assert.deepStrictEqual(parseRecurrenceRule('weekly thu, mon 18:30'), { kind: 'weekly', time: '18:30', weekdays: [1, 4], cron: null });
+  assert.strictEqual(parseRecurrenceRule('cron 0  9 * * 1-5').cron, '0 9 * * 1-5');
+});
+
+test('invalid rules are rejected', () => {
+  for (const text of ['daily 24:00', 'weekly xyz 10:00', 'cron 61 * * * *', 'sometimes']) {
+    assert.strictEqual(parseRecurrenceRule(text), null, text);
+  }
+});
+
+test('the next run is the first matching time after the reference time', () => {
+  // A Monday, in the server time zone
+  const now = new Date(2026, 9, 19, 10, 0);
+
+  assert.deepStrictEqual(getNextRun(parseRecurrenceRule('daily 09:00'), now), new Date(2026, 9, 20, 9, 0));
+  assert.deepStrictEqual(getNextRun(parseRecurrenceRule('weekly mon,wed 18:30'), now), new Date(2026, 9, 19, 18, 30));
+  assert.deepStrictEqual(getNextRun(parseRecurrenceRule('cron 0 9 * * 1-5'), now), new Date(2026, 9, 20, 9, 0));
+});
+
+test('the next run is in the time zone of the chat', () => {
+  assert.deepStrictEqual(
+    getNextRun(parseRecurrenceRule('daily 09:00'), NOW, 'Europe/Berlin'),
+    new Date('2026-10-20T07:00:00Z')
+  );
+  assert.deepStrictEqual(
+    getNextRun(parseRecurrenceRule('weekly mon,wed 18:30'), NOW, 'Europe/Berlin'),
+    new Date('2026-10-19T16:30:00Z')
+  );
+  assert.deepStrictEqual(
+    getNextRun(parseRecurrenceRule('cron 0 9 * * 1-5'), NOW, 'UTC'),
+    new Date('2026-10-20T09:00:00Z')
+  );
+});